@@ -0,0 +1,293 @@
+#!/usr/bin/env node
+// Command-line review runner for CI (e.g. a Bitbucket Pipelines step)
+//
+//   ai-review pr <workspace>/<repo>#<id> [--fail-on <severity>] [--no-post] [--output <file>]
+//
+// Credentials and LLM settings come from environment variables (see README).
+// Exit codes: 0 = no blocking findings, 1 = findings at or above the threshold, 2 = usage or review error
+
+import { readFile, writeFile } from 'node:fs/promises';
+import process from 'node:process';
+import { createReviewEngine, loadEffectiveConfig } from '../src/services/reviewEngine.js';
+import { getPRDetails } from '../src/services/bitbucketApi.js';
+import { getProvider } from '../src/services/llmProviders.js';
+import { validateConfig, parseRepoFullName } from '../src/utils/auth.js';
+import { DEFAULT_CONFIG } from '../src/utils/defaultConfig.js';
+import { SEVERITIES, isSeverityAtLeast } from '../src/utils/reviewSchema.js';
+import { APPROVAL_MODES } from '../src/utils/approvalPolicy.js';
+import { OUTPUT_MODES } from '../src/utils/repoConfig.js';
+import { getSourceTag } from '../src/utils/aiComments.js';
+
+const EXIT_OK = 0;
+const EXIT_FINDINGS = 1;
+const EXIT_ERROR = 2;
+
+const USAGE = `Usage: ai-review pr [<workspace>/<repo>#<id>] [options]
+
+Reviews a Bitbucket pull request and posts the findings as comments.
+Inside Bitbucket Pipelines the pull request defaults to BITBUCKET_WORKSPACE,
+BITBUCKET_REPO_SLUG and BITBUCKET_PR_ID.
+
+Options:
+  --fail-on <severity>  Exit with code 1 when a finding is at or above this
+                        severity (${SEVERITIES.join(', ')} or none; default: high)
+  --no-post             Do not post comments or publish a report
+  --build-status        Track the review as a build status on the PR head commit
+  --output <file>       Write the review result as JSON to a file
+  -h, --help            Show this help
+
+Environment:
+  BITBUCKET_USERNAME, BITBUCKET_APP_PASSWORD   Bitbucket credentials (required)
+  AI_REVIEW_PROVIDER                            LLM provider id (default: gemini)
+  AI_REVIEW_API_KEY                             LLM API key
+  AI_REVIEW_BASE_URL, AI_REVIEW_MODEL           Optional provider base URL and model
+  AI_REVIEW_PROMPT_FILE                         File with a custom review prompt
+  AI_REVIEW_MODE                                auto, single or chunked
+  AI_REVIEW_FILE_CONTEXT                        true to add full-file context of modified files
+  AI_REVIEW_RELATED_FILES                       true to add excerpts of importing/imported files
+  AI_REVIEW_REDACT_SECRETS                      false to send secrets in the diff unredacted
+  AI_REVIEW_LOCAL_RULES                         false to skip the built-in local rules
+  AI_REVIEW_OUTPUT_MODE                         comments, insights (Code Insights report), both or none
+  AI_REVIEW_APP_URL                             Web app URL the build status links to
+  AI_REVIEW_APPROVAL                            auto to approve or request changes (at --fail-on)
+                                                as the Bitbucket user; off by default
+  AI_REVIEW_TASK_SEVERITY                       Create PR tasks for posted findings at or above
+                                                this severity; none by default
+  AI_REVIEW_FAIL_ON                             Default for --fail-on`;
+
+// Errors in the command line also print the usage
+const usageError = (message) => Object.assign(new Error(message), { showUsage: true });
+
+// Value of an option such as "--fail-on high"; a missing value is an error, not the default
+const readOptionValue = (argv, i) => {
+  const value = argv[i + 1];
+  if (value === undefined || value.startsWith('-') || value.trim() === '') {
+    throw usageError(`Missing value for ${argv[i]}`);
+  }
+  return value;
+};
+
+const parseArgs = (argv) => {
+  const args = { command: null, target: null, failOn: null, post: true, buildStatus: false, output: null, help: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '-h' || arg === '--help') {
+      args.help = true;
+    } else if (arg === '--no-post') {
+      args.post = false;
+    } else if (arg === '--build-status') {
+      args.buildStatus = true;
+    } else if (arg === '--fail-on') {
+      args.failOn = readOptionValue(argv, i++);
+    } else if (arg === '--output') {
+      args.output = readOptionValue(argv, i++);
+    } else if (arg.startsWith('-')) {
+      throw usageError(`Unknown option: ${arg}`);
+    } else if (!args.command) {
+      args.command = arg;
+    } else if (!args.target) {
+      args.target = arg;
+    } else {
+      throw usageError(`Unexpected argument: ${arg}`);
+    }
+  }
+
+  return args;
+};
+
+// Resolve "<workspace>/<repo>#<id>", falling back to the Pipelines environment
+const parseTarget = (target, env) => {
+  if (!target) {
+    if (env.BITBUCKET_WORKSPACE && env.BITBUCKET_REPO_SLUG && env.BITBUCKET_PR_ID) {
+      return {
+        repoFullName: `${env.BITBUCKET_WORKSPACE}/${env.BITBUCKET_REPO_SLUG}`,
+        prId: parseInt(env.BITBUCKET_PR_ID)
+      };
+    }
+    throw new Error('No pull request given and BITBUCKET_PR_ID is not set');
+  }
+
+  const match = target.match(/^([^/#\s]+\/[^/#\s]+)#(\d+)$/);
+  if (!match) {
+    throw new Error(`Invalid pull request "${target}" - expected <workspace>/<repo>#<id>`);
+  }
+  return { repoFullName: match[1], prId: parseInt(match[2]) };
+};
+
+// Build the review configuration from environment variables
+const loadConfig = async (env) => {
+  const reviewPrompt = env.AI_REVIEW_PROMPT_FILE
+    ? await readFile(env.AI_REVIEW_PROMPT_FILE, 'utf8')
+    : DEFAULT_CONFIG.reviewPrompt;
+
+  return {
+    ...DEFAULT_CONFIG,
+    llmProvider: env.AI_REVIEW_PROVIDER || DEFAULT_CONFIG.llmProvider,
+    llmToken: env.AI_REVIEW_API_KEY || '',
+    llmBaseUrl: env.AI_REVIEW_BASE_URL || '',
+    llmModel: env.AI_REVIEW_MODEL || '',
+    reviewMode: env.AI_REVIEW_MODE || DEFAULT_CONFIG.reviewMode,
+    fullFileContext: env.AI_REVIEW_FILE_CONTEXT === 'true',
+    relatedFileContext: env.AI_REVIEW_RELATED_FILES === 'true',
+    redactSecrets: env.AI_REVIEW_REDACT_SECRETS !== 'false',
+    localRules: env.AI_REVIEW_LOCAL_RULES !== 'false',
+    outputMode: env.AI_REVIEW_OUTPUT_MODE || DEFAULT_CONFIG.outputMode,
+    appUrl: env.AI_REVIEW_APP_URL || '',
+    autoTaskSeverity: env.AI_REVIEW_TASK_SEVERITY || DEFAULT_CONFIG.autoTaskSeverity,
+    // Nobody watches partial output in CI
+    streamResponses: false,
+    bitbucketUsername: env.BITBUCKET_USERNAME || '',
+    bitbucketAppPassword: env.BITBUCKET_APP_PASSWORD || '',
+    reviewPrompt
+  };
+};
+
+const printReview = (review, failOn) => {
+  console.log('\n## AI Code Review Summary\n');
+  console.log(review.summary || 'No summary');
+
+  if (review.excluded_files?.length > 0) {
+    console.log(`\n## Not Reviewed (${review.excluded_files.length})\n`);
+    review.excluded_files.forEach(excluded => {
+      console.log(`- ${excluded.file} [${excluded.reason}] ${excluded.detail}`);
+    });
+  }
+
+  if (review.chunked_review?.failed_parts?.length > 0) {
+    console.log(`\n## Failed Review Parts (${review.chunked_review.failed_parts.length} of ${review.chunked_review.batches})\n`);
+    review.chunked_review.failed_parts.forEach(failed => {
+      console.log(`- Part ${failed.part}: ${failed.error} (${failed.files.join(', ')})`);
+    });
+  }
+
+  if (review.prompt_injection) {
+    console.log(`\nInstruction-like text was removed from the PR title or description (${review.prompt_injection.neutralized_instructions} passage(s))${review.prompt_injection.approval_withheld ? '; the "approve" verdict was changed to "comment"' : ''}.`);
+  }
+
+  if (review.rejected_comments?.length > 0) {
+    console.log(`\n## Rejected Comments (${review.rejected_comments.length})\n`);
+    review.rejected_comments.forEach(rejected => {
+      console.log(`- ${rejected.file}:${rejected.line}${rejected.end_line ? `-${rejected.end_line}` : ''}${rejected.side === 'old' ? ' (removed)' : ''} [${rejected.reason}]`);
+    });
+  }
+
+  if (review.comments.length === 0) {
+    console.log('\nNo issues found.');
+    return;
+  }
+
+  console.log(`\n## Findings (${review.comments.length})\n`);
+  review.comments.forEach(comment => {
+    const lines = `${comment.end_line ? `${comment.line}-${comment.end_line}` : comment.line}${comment.side === 'old' ? ' (removed)' : ''}`;
+    const blocking = failOn !== 'none' && isSeverityAtLeast(comment.severity, failOn) ? ' [blocking]' : '';
+    const source = comment.source ? ` (${getSourceTag(comment)})` : '';
+    console.log(`- ${comment.file}:${lines} [${comment.severity}/${comment.category}]${source}${blocking} ${comment.comment}`);
+  });
+};
+
+const run = async (argv, env) => {
+  const args = parseArgs(argv);
+  if (args.help || !args.command) {
+    console.log(USAGE);
+    return args.help ? EXIT_OK : EXIT_ERROR;
+  }
+  if (args.command !== 'pr') {
+    throw usageError(`Unknown command: ${args.command}`);
+  }
+
+  const failOn = (args.failOn || env.AI_REVIEW_FAIL_ON || 'high').toLowerCase();
+  if (failOn !== 'none' && !SEVERITIES.includes(failOn)) {
+    throw usageError(`Invalid severity "${failOn}" - use one of ${SEVERITIES.join(', ')} or none`);
+  }
+
+  const { repoFullName, prId } = parseTarget(args.target, env);
+  const config = await loadConfig(env);
+  // The Code Insights report fails on the same findings that fail the build
+  config.failOnSeverity = failOn;
+  if (!OUTPUT_MODES.includes(config.outputMode)) {
+    throw new Error(`Invalid output mode "${config.outputMode}" - use ${OUTPUT_MODES.join(', ')}`);
+  }
+  // Nobody can confirm in CI, so approval automation is either automatic or off
+  const approvalMode = (env.AI_REVIEW_APPROVAL || APPROVAL_MODES.OFF).toLowerCase();
+  if (![APPROVAL_MODES.OFF, APPROVAL_MODES.AUTO].includes(approvalMode)) {
+    throw new Error(`Invalid approval mode "${approvalMode}" - use auto or off`);
+  }
+  config.repoSettings = {
+    [repoFullName]: { approval: { mode: approvalMode, requestChangesOn: failOn } }
+  };
+  const validation = validateConfig(config, getProvider(config.llmProvider));
+  if (!validation.isValid) {
+    throw new Error(`Invalid configuration:\n  ${validation.errors.join('\n  ')}`);
+  }
+
+  const { workspace, repoSlug } = parseRepoFullName(repoFullName);
+  const pr = await getPRDetails(config.bitbucketUsername, config.bitbucketAppPassword, workspace, repoSlug, prId);
+
+  // The repository's .ai-review.yml on the destination branch is merged over the environment settings
+  const resolved = await loadEffectiveConfig(config, pr, repoFullName);
+  if (resolved.source && !resolved.error) {
+    console.log(`⚙️ Using ${resolved.source.path} from the destination branch`);
+  }
+  resolved.warnings.forEach(warning => console.warn(`⚠️ ${resolved.source.path}: ${warning}`));
+  const effectiveConfig = resolved.config;
+
+  const engine = createReviewEngine(effectiveConfig);
+  engine.on('stage', ({ stage, status }) => {
+    if (status === 'start') console.log(`▶️ ${stage}`);
+  });
+  engine.on('progress', ({ stage, completed, total }) => {
+    console.log(stage === 'consolidating'
+      ? `🧩 Consolidating findings from ${total} parts...`
+      : `🧩 Reviewed ${completed} of ${total} parts`);
+  });
+  engine.on('tasksCreated', ({ created, failed }) => {
+    console.log(`📌 Created ${created.length} task(s)${failed.length > 0 ? `, ${failed.length} failed` : ''}`);
+  });
+
+  const result = await engine.reviewPullRequest(pr, repoFullName, {
+    postComments: args.post && ['comments', 'both'].includes(effectiveConfig.outputMode),
+    publishReport: args.post && ['insights', 'both'].includes(effectiveConfig.outputMode),
+    buildStatus: args.buildStatus,
+    approval: args.post
+  });
+  printReview(result.review, failOn);
+
+  if (result.postResults) {
+    console.log(`\n💬 Posted ${result.postResults.success.length} comment(s), ${result.postResults.skipped.length} already posted, ${result.postResults.failed.length} failed`);
+  }
+  if (result.approvalApplied) {
+    console.log(`🤝 ${result.approvalDecision.action === 'approve' ? 'Approved' : 'Requested changes'}: ${result.approvalDecision.reason}`);
+  }
+  if (result.reportResult) {
+    console.log(`📊 Code Insights report ${result.reportResult.result} with ${result.reportResult.annotations} annotation(s)`);
+  }
+
+  if (args.output) {
+    await writeFile(args.output, JSON.stringify(result, null, 2));
+    console.log(`📝 Review written to ${args.output}`);
+  }
+
+  const blocking = failOn === 'none'
+    ? []
+    : result.review.comments.filter(comment => isSeverityAtLeast(comment.severity, failOn));
+  if (blocking.length > 0) {
+    console.error(`\n❌ ${blocking.length} finding(s) at or above "${failOn}" severity`);
+    return EXIT_FINDINGS;
+  }
+
+  console.log('\n✅ No blocking findings');
+  return EXIT_OK;
+};
+
+run(process.argv.slice(2), process.env)
+  .then(code => {
+    process.exitCode = code;
+  })
+  .catch(error => {
+    console.error(`❌ ${error.message}`);
+    if (error.showUsage) {
+      console.error(`\n${USAGE}`);
+    }
+    process.exitCode = EXIT_ERROR;
+  });
@@ -8,8 +8,12 @@ export default [
   {
     files: ['**/*.{js,jsx}'],
     languageOptions: {
-      ecmaVersion: 2020,
+      ecmaVersion: 'latest',
+      sourceType: 'module',
       globals: globals.browser,
+      parserOptions: {
+        ecmaFeatures: { jsx: true },
+      },
     },
     plugins: {
       'react-hooks': reactHooks,
@@ -23,4 +27,10 @@ export default [
       ],
     },
   },
+  {
+    files: ['cli/**/*.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
 ]
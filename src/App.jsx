@@ -1,13 +1,16 @@
 import React, { useState, useEffect } from 'react';
-import { Routes, Route, Navigate } from 'react-router-dom';
+import { Routes, Route, Navigate, useLocation } from 'react-router-dom';
 import Navigation from './components/Navigation.jsx';
 import ConfigForm from './components/ConfigForm.jsx';
 import RepoSearch from './components/RepoSearch.jsx';
 import { getConfig } from './db/indexedDB';
+import { isConfigurationComplete } from './utils/auth';
+import { getProvider } from './services/llmProviders';
 
 function App() {
   const [config, setConfig] = useState(null);
   const [loading, setLoading] = useState(true);
+  const location = useLocation();
 
   useEffect(() => {
     loadConfig();
@@ -39,10 +42,7 @@ function App() {
     );
   }
 
-  const isConfigured = config && 
-    config.llmToken && 
-    config.bitbucketUsername && 
-    config.bitbucketAppPassword;
+  const isConfigured = config && isConfigurationComplete(config, getProvider(config.llmProvider));
 
   return (
     <div className="min-h-screen bg-gray-50">
@@ -53,7 +53,7 @@ function App() {
             path="/" 
             element={
               <Navigate 
-                to={isConfigured ? "/search" : "/config"} 
+                to={isConfigured ? `/search${location.search}` : "/config"} 
                 replace 
               />
             } 
@@ -1,54 +1,24 @@
 import React, { useState, useEffect } from 'react'
 import { saveConfig } from '../db/indexedDB'
 import { validateConfig, validateBitbucketCredentials, validateGeminiApiKey } from '../utils/auth'
-import { testApiKey } from '../services/geminiFlashApi'
+import { LLM_PROVIDERS, getProvider, testLLMConnection, listLLMModels } from '../services/llmProviders'
 import { getCurrentUser } from '../services/bitbucketApi'
+import { DEFAULT_CONFIG } from '../utils/defaultConfig'
+import { SEVERITIES } from '../utils/reviewSchema'
+import { APPROVAL_MODES, DEFAULT_APPROVAL_SETTINGS } from '../utils/approvalPolicy'
+import RuleManager from './RuleManager'
 
 const ConfigForm = ({ initialConfig, onConfigUpdate }) => {
-  const [config, setConfig] = useState({
-    llmToken: '',
-    bitbucketUsername: '',
-    bitbucketAppPassword: '',
-    reviewPrompt: `You are an expert code reviewer tasked with reviewing a pull request.
-
-Below is the description of the PR and the code changes:
-
-## Pull Request Description
-{pr_description}
-
-## Code Changes
-{code_changes}
-
-Please provide a thorough code review with the following (suggest fix if needed):
-1. Identify any bugs, logic errors, or potential issues
-2. Suggest improvements in readability, performance, or maintainability
-3. Comment on code structure and organization
-4. Check for proper error handling and edge cases
-5. Assess if the implementation meets the requirements
-6. If a modified block is not an issue or low severity, do **not** add a comment for it.
-
-IMPORTANT: You MUST format your response as a valid JSON object with the following structure:
-\`\`\`json
-{{
-    "summary": "short Title of the changes",
-    "comments": [
-        {{
-            "file": "path/to/file.ext",
-            "line": 42,
-            "comment": "Severity: Your short comment about this code"
-        }},
-        ...more comments...
-    ]
-}}
-\`\`\`
-
-Do not include any text before or after the JSON. The entire response should be a valid JSON object that can be parsed directly. `
-  })
+  const [config, setConfig] = useState({ ...DEFAULT_CONFIG })
 
   const [errors, setErrors] = useState({})
   const [loading, setLoading] = useState(false)
   const [success, setSuccess] = useState(false)
   const [testResults, setTestResults] = useState({})
+  const [availableModels, setAvailableModels] = useState([])
+  const [loadingModels, setLoadingModels] = useState(false)
+  const [newOverrideRepo, setNewOverrideRepo] = useState('')
+  const [newApprovalRepo, setNewApprovalRepo] = useState('')
 
   useEffect(() => {
     if (initialConfig) {
@@ -56,6 +26,8 @@ Do not include any text before or after the JSON. The entire response should be
     }
   }, [initialConfig])
 
+  const provider = getProvider(config.llmProvider)
+
   const handleInputChange = (field, value) => {
     setConfig(prev => ({ ...prev, [field]: value }))
 
@@ -100,35 +72,138 @@ Do not include any text before or after the JSON. The entire response should be
     }
   }
 
-  const testGeminiCredentials = async () => {
-    const validation = validateGeminiApiKey(config.llmToken)
-    if (!validation.isValid) {
+  const handleProviderChange = (providerId) => {
+    // Base URL and model are provider specific, so start from the new provider's defaults
+    setConfig(prev => ({ ...prev, llmProvider: providerId, llmBaseUrl: '', llmModel: '' }))
+    setTestResults(prev => ({ ...prev, llm: null }))
+    setAvailableModels([])
+    setErrors(prev => ({ ...prev, llmToken: null, llmBaseUrl: null, llmModel: null }))
+    if (success) {
+      setSuccess(false)
+    }
+  }
+
+  const loadModels = async () => {
+    try {
+      setLoadingModels(true)
+      const models = await listLLMModels(config)
+      setAvailableModels(models)
       setTestResults(prev => ({
         ...prev,
-        gemini: { success: false, message: validation.error }
+        models: models.length > 0
+          ? { success: true, message: `Found ${models.length} models available to this key` }
+          : { success: false, message: 'No models returned - check the API key and base URL' }
       }))
+    } catch (error) {
+      setTestResults(prev => ({
+        ...prev,
+        models: { success: false, message: error.message }
+      }))
+    } finally {
+      setLoadingModels(false)
+    }
+  }
+
+  // Per-repository settings live in config.repoSettings keyed by "workspace/repo"
+  const updateRepoSetting = (repoFullName, field, value) => {
+    setConfig(prev => ({
+      ...prev,
+      repoSettings: {
+        ...(prev.repoSettings || {}),
+        [repoFullName]: { ...(prev.repoSettings?.[repoFullName] || {}), [field]: value }
+      }
+    }))
+    if (success) {
+      setSuccess(false)
+    }
+  }
+
+  const addModelOverride = () => {
+    const repoFullName = newOverrideRepo.trim()
+    if (!repoFullName || !repoFullName.includes('/')) {
+      setErrors(prev => ({ ...prev, modelOverride: 'Enter the repository as workspace/repo-slug' }))
       return
     }
+    // The model may still be empty (e.g. Azure or self-hosted without a default); the row stays
+    // until it is removed, and an empty override falls back to the default model
+    updateRepoSetting(repoFullName, 'model', config.repoSettings?.[repoFullName]?.model ?? (config.llmModel || provider.defaultModel || ''))
+    setNewOverrideRepo('')
+    setErrors(prev => ({ ...prev, modelOverride: null }))
+  }
+
+  const removeModelOverride = (repoFullName) => {
+    setConfig(prev => {
+      const settings = { ...(prev.repoSettings?.[repoFullName] || {}) }
+      delete settings.model
+      return {
+        ...prev,
+        repoSettings: { ...(prev.repoSettings || {}), [repoFullName]: settings }
+      }
+    })
+    if (success) {
+      setSuccess(false)
+    }
+  }
+
+  // A repository has an override row while its settings hold a model, even an empty one
+  const modelOverrides = Object.entries(config.repoSettings || {})
+    .filter(([, settings]) => typeof settings?.model === 'string')
+
+  const addApprovalRepo = () => {
+    const repoFullName = newApprovalRepo.trim()
+    if (!repoFullName || !repoFullName.includes('/')) {
+      setErrors(prev => ({ ...prev, approvalRepo: 'Enter the repository as workspace/repo-slug' }))
+      return
+    }
+    updateRepoSetting(repoFullName, 'approval', { ...DEFAULT_APPROVAL_SETTINGS, mode: APPROVAL_MODES.CONFIRM })
+    setNewApprovalRepo('')
+    setErrors(prev => ({ ...prev, approvalRepo: null }))
+  }
+
+  const updateApprovalSetting = (repoFullName, field, value) => {
+    updateRepoSetting(repoFullName, 'approval', { ...config.repoSettings[repoFullName].approval, [field]: value })
+  }
+
+  const approvalRepos = Object.entries(config.repoSettings || {})
+    .filter(([, settings]) => settings?.approval)
+
+  // Keep the saved model selectable even if the provider no longer lists it
+  const modelOptions = (selected) => {
+    const options = availableModels.map(model => model.id)
+    return selected && !options.includes(selected) ? [selected, ...options] : options
+  }
+
+  const testLLMCredentials = async () => {
+    if (provider.id === 'gemini') {
+      const validation = validateGeminiApiKey(config.llmToken)
+      if (!validation.isValid) {
+        setTestResults(prev => ({
+          ...prev,
+          llm: { success: false, message: validation.error }
+        }))
+        return
+      }
+    }
 
     try {
-      setTestResults(prev => ({ ...prev, gemini: { testing: true } }))
+      setTestResults(prev => ({ ...prev, llm: { testing: true } }))
 
-      const isValid = await testApiKey(config.llmToken)
+      const isValid = await testLLMConnection(config)
       if (isValid) {
         setTestResults(prev => ({
           ...prev,
-          gemini: { success: true, message: 'API key is valid and working' }
+          llm: { success: true, message: `${provider.label} connection is valid and working` }
         }))
       } else {
         setTestResults(prev => ({
           ...prev,
-          gemini: { success: false, message: 'Invalid API key or connection failed' }
+          llm: { success: false, message: 'Invalid API key or connection failed' }
         }))
       }
     } catch (error) {
       setTestResults(prev => ({
         ...prev,
-        gemini: { success: false, message: error.message }
+        llm: { success: false, message: error.message }
       }))
     }
   }
@@ -136,11 +211,13 @@ Do not include any text before or after the JSON. The entire response should be
   const handleSubmit = async (e) => {
     e.preventDefault()
 
-    const validation = validateConfig(config)
+    const validation = validateConfig(config, getProvider(config.llmProvider))
     if (!validation.isValid) {
       const errorObj = {}
       validation.errors.forEach(error => {
         if (error.includes('Token')) errorObj.llmToken = error
+        if (error.includes('Base URL')) errorObj.llmBaseUrl = error
+        if (error.includes('Model')) errorObj.llmModel = error
         if (error.includes('Username')) errorObj.bitbucketUsername = error
         if (error.includes('Password')) errorObj.bitbucketAppPassword = error
         if (error.includes('Prompt')) errorObj.reviewPrompt = error
@@ -169,48 +246,11 @@ Do not include any text before or after the JSON. The entire response should be
   }
 
   const resetForm = () => {
-    setConfig({
-      llmToken: '',
-      bitbucketUsername: '',
-      bitbucketAppPassword: '',
-      reviewPrompt: `You are an expert code reviewer tasked with reviewing a pull request.
-
-Below is the description of the PR and the code changes:
-
-## Pull Request Description
-{pr_description}
-
-## Code Changes
-{code_changes}
-
-Please provide a thorough code review with the following (suggest fix if needed):
-1. Identify any bugs, logic errors, or potential issues
-2. Suggest improvements in readability, performance, or maintainability
-3. Comment on code structure and organization
-4. Check for proper error handling and edge cases
-5. Assess if the implementation meets the requirements
-6. If a modified block is not an issue or low severity, do **not** add a comment for it.
-
-IMPORTANT: You MUST format your response as a valid JSON object with the following structure:
-\`\`\`json
-{{
-    "summary": "short Title of the changes",
-    "comments": [
-        {{
-            "file": "path/to/file.ext",
-            "line": 42,
-            "comment": "Severity: Your short comment about this code"
-        }},
-        ...more comments...
-    ]
-}}
-\`\`\`
-
-Do not include any text before or after the JSON. The entire response should be a valid JSON object that can be parsed directly. `
-    })
+    setConfig({ ...DEFAULT_CONFIG })
     setErrors({})
     setSuccess(false)
     setTestResults({})
+    setAvailableModels([])
   }
 
   return (
@@ -288,20 +328,122 @@ Do not include any text before or after the JSON. The entire response should be
 
           <form onSubmit={handleSubmit} className="space-y-8">
 
-            {/* Gemini API Configuration */}
+            {/* LLM Provider Configuration */}
             <div className="space-y-4">
               <div className="flex items-center space-x-3 pb-3 border-b">
                 <div className="w-8 h-8 bg-purple-100 rounded-lg flex items-center justify-center">
                   🤖
                 </div>
                 <h2 className="text-lg font-semibold text-gray-900">
-                  Gemini Flash API Configuration
+                  LLM Provider Configuration
                 </h2>
               </div>
 
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div className="form-group">
+                  <label htmlFor="llmProvider" className="form-label">
+                    Provider *
+                  </label>
+                  <select
+                    id="llmProvider"
+                    value={provider.id}
+                    onChange={(e) => handleProviderChange(e.target.value)}
+                    className="form-input"
+                  >
+                    {LLM_PROVIDERS.map(option => (
+                      <option key={option.id} value={option.id}>
+                        {option.label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="llmModel" className="form-label">
+                    Model{provider.defaultModel ? '' : ' *'}
+                  </label>
+                  <div className="flex space-x-2">
+                    {availableModels.length > 0 ? (
+                      <select
+                        id="llmModel"
+                        value={config.llmModel || ''}
+                        onChange={(e) => handleInputChange('llmModel', e.target.value)}
+                        className={`form-input flex-1 ${errors.llmModel ? 'border-red-500' : ''}`}
+                      >
+                        <option value="">Provider default ({provider.defaultModel || 'none'})</option>
+                        {modelOptions(config.llmModel).map(modelId => (
+                          <option key={modelId} value={modelId}>{modelId}</option>
+                        ))}
+                      </select>
+                    ) : (
+                      <input
+                        type="text"
+                        id="llmModel"
+                        value={config.llmModel || ''}
+                        onChange={(e) => handleInputChange('llmModel', e.target.value)}
+                        className={`form-input flex-1 ${errors.llmModel ? 'border-red-500' : ''}`}
+                        placeholder={provider.defaultModel || (provider.id === 'azure-openai' ? 'Deployment name' : 'Model name')}
+                      />
+                    )}
+                    <button
+                      type="button"
+                      onClick={loadModels}
+                      disabled={(provider.requiresApiKey && !config.llmToken) || loadingModels}
+                      className="btn-secondary whitespace-nowrap"
+                      title="List the models your key can access"
+                    >
+                      {loadingModels ? (
+                        <span className="spinner-sm"></span>
+                      ) : (
+                        'Load Models'
+                      )}
+                    </button>
+                  </div>
+                  {errors.llmModel && (
+                    <p className="form-error">{errors.llmModel}</p>
+                  )}
+                  {testResults.models && (
+                    <p className={`text-xs mt-1 ${testResults.models.success ? 'text-green-700' : 'text-red-700'}`}>
+                      {testResults.models.message}
+                    </p>
+                  )}
+                </div>
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="llmBaseUrl" className="form-label">
+                  Base URL{provider.defaultBaseUrl ? '' : ' *'}
+                </label>
+                <input
+                  type="text"
+                  id="llmBaseUrl"
+                  value={config.llmBaseUrl || ''}
+                  onChange={(e) => handleInputChange('llmBaseUrl', e.target.value)}
+                  className={`form-input ${errors.llmBaseUrl ? 'border-red-500' : ''}`}
+                  placeholder={provider.defaultBaseUrl || 'https://<resource>.openai.azure.com'}
+                />
+                {errors.llmBaseUrl && (
+                  <p className="form-error">{errors.llmBaseUrl}</p>
+                )}
+                <p className="form-help">
+                  Leave empty to use the provider default. Self-hosted servers must allow requests from this page (CORS).
+                </p>
+              </div>
+
+              <div className="form-group">
+                <label className="flex items-center space-x-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={config.streamResponses !== false}
+                    onChange={(e) => handleInputChange('streamResponses', e.target.checked)}
+                  />
+                  <span>Stream responses (show the review while it is being generated)</span>
+                </label>
+              </div>
+
               <div className="form-group">
                 <label htmlFor="llmToken" className="form-label">
-                  Gemini API Token *
+                  {provider.label} API Token{provider.requiresApiKey ? ' *' : ' (optional)'}
                 </label>
                 <div className="flex space-x-2">
                   <input
@@ -310,21 +452,21 @@ Do not include any text before or after the JSON. The entire response should be
                     value={config.llmToken}
                     onChange={(e) => handleInputChange('llmToken', e.target.value)}
                     className={`form-input flex-1 ${errors.llmToken ? 'border-red-500' : ''}`}
-                    placeholder="Enter your Gemini API key (starts with AIza...)"
+                    placeholder={provider.id === 'gemini' ? 'Enter your Gemini API key (starts with AIza...)' : `Enter your ${provider.label} API key`}
                   />
                   <button
                     type="button"
-                    onClick={testGeminiCredentials}
-                    disabled={!config.llmToken || testResults.gemini?.testing}
+                    onClick={testLLMCredentials}
+                    disabled={(provider.requiresApiKey && !config.llmToken) || testResults.llm?.testing}
                     className="btn-secondary whitespace-nowrap"
                   >
-                    {testResults.gemini?.testing ? (
+                    {testResults.llm?.testing ? (
                       <>
                         <span className="spinner-sm mr-2"></span>
                         Testing...
                       </>
                     ) : (
-                      'Test API Key'
+                      'Test Connection'
                     )}
                   </button>
                 </div>
@@ -333,26 +475,180 @@ Do not include any text before or after the JSON. The entire response should be
                   <p className="form-error">{errors.llmToken}</p>
                 )}
 
-                {testResults.gemini && !testResults.gemini.testing && (
+                {testResults.llm && !testResults.llm.testing && (
                   <div className={`mt-2 p-3 rounded-md ${
-                    testResults.gemini.success ? 'bg-green-50 text-green-800' : 'bg-red-50 text-red-800'
+                    testResults.llm.success ? 'bg-green-50 text-green-800' : 'bg-red-50 text-red-800'
                   }`}>
-                    <p className="text-sm">{testResults.gemini.message}</p>
+                    <p className="text-sm">{testResults.llm.message}</p>
                   </div>
                 )}
 
-                <p className="form-help">
-                  Get your API key from{' '}
-                  <a
-                    href="https://aistudio.google.com/app/apikey"
-                    target="_blank"
-                    rel="noopener noreferrer"
-                    className="text-blue-600 hover:underline"
-                  >
-                    Google AI Studio
-                  </a>
-                </p>
+                {provider.id === 'gemini' && (
+                  <p className="form-help">
+                    Get your API key from{' '}
+                    <a
+                      href="https://aistudio.google.com/app/apikey"
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="text-blue-600 hover:underline"
+                    >
+                      Google AI Studio
+                    </a>
+                  </p>
+                )}
+              </div>
+            </div>
+
+            {/* Per-repository Model Overrides */}
+            <div className="space-y-4">
+              <div className="flex items-center space-x-3 pb-3 border-b">
+                <div className="w-8 h-8 bg-indigo-100 rounded-lg flex items-center justify-center">
+                  🎛️
+                </div>
+                <h2 className="text-lg font-semibold text-gray-900">
+                  Per-repository Model Overrides
+                </h2>
+              </div>
+
+              {modelOverrides.length > 0 && (
+                <div className="space-y-2">
+                  {modelOverrides.map(([repoFullName, settings]) => (
+                    <div key={repoFullName} className="flex items-center space-x-2">
+                      <span className="font-mono text-sm bg-gray-100 px-2 py-2 rounded flex-1 truncate">
+                        {repoFullName}
+                      </span>
+                      {availableModels.length > 0 ? (
+                        <select
+                          value={settings.model}
+                          onChange={(e) => updateRepoSetting(repoFullName, 'model', e.target.value)}
+                          className="form-input flex-1"
+                        >
+                          <option value="">Default model</option>
+                          {modelOptions(settings.model).map(modelId => (
+                            <option key={modelId} value={modelId}>{modelId}</option>
+                          ))}
+                        </select>
+                      ) : (
+                        <input
+                          type="text"
+                          value={settings.model}
+                          onChange={(e) => updateRepoSetting(repoFullName, 'model', e.target.value)}
+                          className="form-input flex-1"
+                          placeholder="Default model"
+                        />
+                      )}
+                      <button
+                        type="button"
+                        onClick={() => removeModelOverride(repoFullName)}
+                        className="btn-secondary btn-sm"
+                        title="Remove override"
+                      >
+                        ✕
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              <div className="flex space-x-2">
+                <input
+                  type="text"
+                  value={newOverrideRepo}
+                  onChange={(e) => setNewOverrideRepo(e.target.value)}
+                  className={`form-input flex-1 ${errors.modelOverride ? 'border-red-500' : ''}`}
+                  placeholder="workspace/repo-slug"
+                />
+                <button
+                  type="button"
+                  onClick={addModelOverride}
+                  className="btn-secondary whitespace-nowrap"
+                >
+                  ➕ Add Override
+                </button>
+              </div>
+              {errors.modelOverride && (
+                <p className="form-error">{errors.modelOverride}</p>
+              )}
+              <p className="form-help">
+                Repositories listed here are reviewed with their own model instead of the default above.
+              </p>
+            </div>
+
+            {/* Per-repository Approval Automation */}
+            <div className="space-y-4">
+              <div className="flex items-center space-x-3 pb-3 border-b">
+                <div className="w-8 h-8 bg-green-100 rounded-lg flex items-center justify-center">
+                  🤝
+                </div>
+                <h2 className="text-lg font-semibold text-gray-900">
+                  Per-repository Approval Automation
+                </h2>
+              </div>
+
+              {approvalRepos.length > 0 && (
+                <div className="space-y-2">
+                  {approvalRepos.map(([repoFullName, settings]) => (
+                    <div key={repoFullName} className="flex items-center space-x-2">
+                      <span className="font-mono text-sm bg-gray-100 px-2 py-2 rounded flex-1 truncate">
+                        {repoFullName}
+                      </span>
+                      <select
+                        value={settings.approval.mode}
+                        onChange={(e) => updateApprovalSetting(repoFullName, 'mode', e.target.value)}
+                        className="form-input flex-1"
+                        aria-label="Approval mode"
+                      >
+                        <option value={APPROVAL_MODES.CONFIRM}>Ask before approving</option>
+                        <option value={APPROVAL_MODES.AUTO}>Automatic</option>
+                        <option value={APPROVAL_MODES.OFF}>Off</option>
+                      </select>
+                      <select
+                        value={settings.approval.requestChangesOn}
+                        onChange={(e) => updateApprovalSetting(repoFullName, 'requestChangesOn', e.target.value)}
+                        className="form-input flex-1"
+                        aria-label="Request changes on"
+                      >
+                        {SEVERITIES.map(severity => (
+                          <option key={severity} value={severity}>Request changes on {severity}+</option>
+                        ))}
+                      </select>
+                      <button
+                        type="button"
+                        onClick={() => updateRepoSetting(repoFullName, 'approval', undefined)}
+                        className="btn-secondary btn-sm"
+                        title="Remove approval automation"
+                      >
+                        ✕
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              <div className="flex space-x-2">
+                <input
+                  type="text"
+                  value={newApprovalRepo}
+                  onChange={(e) => setNewApprovalRepo(e.target.value)}
+                  className={`form-input flex-1 ${errors.approvalRepo ? 'border-red-500' : ''}`}
+                  placeholder="workspace/repo-slug"
+                />
+                <button
+                  type="button"
+                  onClick={addApprovalRepo}
+                  className="btn-secondary whitespace-nowrap"
+                >
+                  ➕ Add Repository
+                </button>
               </div>
+              {errors.approvalRepo && (
+                <p className="form-error">{errors.approvalRepo}</p>
+              )}
+              <p className="form-help">
+                After a review of an open pull request in these repositories, the Bitbucket account above approves
+                it or requests changes: findings at or above the chosen severity request changes, otherwise the
+                AI verdict decides. "Ask before approving" shows a confirmation first.
+              </p>
             </div>
 
             {/* Bitbucket API Configuration */}
@@ -444,7 +740,397 @@ Do not include any text before or after the JSON. The entire response should be
               </div>
             </div>
 
+            {/* Review Strategy Configuration */}
+            <div className="space-y-4">
+              <div className="flex items-center space-x-3 pb-3 border-b">
+                <div className="w-8 h-8 bg-green-100 rounded-lg flex items-center justify-center">
+                  🧩
+                </div>
+                <h2 className="text-lg font-semibold text-gray-900">
+                  Large Diff Strategy
+                </h2>
+              </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <div className="form-group">
+                  <label htmlFor="reviewMode" className="form-label">
+                    Review Mode
+                  </label>
+                  <select
+                    id="reviewMode"
+                    value={config.reviewMode || 'auto'}
+                    onChange={(e) => handleInputChange('reviewMode', e.target.value)}
+                    className="form-input"
+                  >
+                    <option value="auto">Auto (split only when too large)</option>
+                    <option value="single">Always single prompt</option>
+                    <option value="chunked">Always split into batches</option>
+                  </select>
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="maxPromptTokens" className="form-label">
+                    Max Prompt Tokens
+                  </label>
+                  <input
+                    type="number"
+                    id="maxPromptTokens"
+                    min={2000}
+                    step={1000}
+                    value={config.maxPromptTokens || 100000}
+                    onChange={(e) => handleInputChange('maxPromptTokens', parseInt(e.target.value) || 0)}
+                    className="form-input"
+                  />
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="chunkConcurrency" className="form-label">
+                    Parallel Batch Requests
+                  </label>
+                  <input
+                    type="number"
+                    id="chunkConcurrency"
+                    min={1}
+                    max={10}
+                    value={config.chunkConcurrency || 3}
+                    onChange={(e) => handleInputChange('chunkConcurrency', parseInt(e.target.value) || 1)}
+                    className="form-input"
+                  />
+                </div>
+              </div>
+              <p className="form-help">
+                Diffs whose prompt exceeds the token limit are split by file and hunk, reviewed in parallel,
+                then consolidated into a single deduplicated review.
+              </p>
+            </div>
+
+            {/* Ignored Files Configuration */}
+            <div className="space-y-4">
+              <div className="flex items-center space-x-3 pb-3 border-b">
+                <div className="w-8 h-8 bg-gray-100 rounded-lg flex items-center justify-center">
+                  🙈
+                </div>
+                <h2 className="text-lg font-semibold text-gray-900">
+                  Ignored Files
+                </h2>
+              </div>
+
+              <div className="form-group">
+                <label className="flex items-center space-x-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={config.skipGeneratedFiles !== false}
+                    onChange={(e) => handleInputChange('skipGeneratedFiles', e.target.checked)}
+                  />
+                  <span>Skip lockfiles, minified bundles, build output, vendored code, snapshots and generated files</span>
+                </label>
+                <p className="form-help">
+                  Detected by file name (e.g. <code>package-lock.json</code>, <code>*.min.js</code>, <code>dist/</code>),
+                  by a generated-code header such as <code>@generated</code> or <code>DO NOT EDIT</code>, or by very long lines.
+                </p>
+              </div>
+
+              <div className="form-group">
+                <label className="flex items-center space-x-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={config.redactSecrets !== false}
+                    onChange={(e) => handleInputChange('redactSecrets', e.target.checked)}
+                  />
+                  <span>Redact secrets before code is sent to the LLM</span>
+                </label>
+                <p className="form-help">
+                  AWS keys, private keys, JWTs, connection string passwords, Bitbucket app passwords, API tokens and
+                  random-looking values assigned to password or token variables are replaced with a
+                  <code> [REDACTED]</code> marker in the diff and file contents. Secrets on added lines are reported as
+                  high-severity findings on their exact line.
+                </p>
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="ignorePaths" className="form-label">
+                  Ignored Paths
+                </label>
+                <textarea
+                  id="ignorePaths"
+                  rows={4}
+                  value={(config.ignorePaths || []).join('\n')}
+                  onChange={(e) => handleInputChange('ignorePaths', e.target.value.split('\n'))}
+                  className="form-input font-mono text-sm"
+                  placeholder={'migrations/**\n*.generated.ts\n/docs/'}
+                />
+                <p className="form-help">
+                  One glob per line, like <code>.gitignore</code>: a glob without a slash matches file names in any
+                  directory, a trailing slash matches a whole directory and <code>**</code> matches across directories.
+                  Excluded files and the reason are listed with each review.
+                </p>
+              </div>
+            </div>
+
+            {/* Local Rules Configuration */}
+            <div className="space-y-4">
+              <div className="flex items-center space-x-3 pb-3 border-b">
+                <div className="w-8 h-8 bg-amber-100 rounded-lg flex items-center justify-center">
+                  📏
+                </div>
+                <h2 className="text-lg font-semibold text-gray-900">
+                  Local Rules
+                </h2>
+              </div>
+
+              <div className="form-group">
+                <label className="flex items-center space-x-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={config.localRules !== false}
+                    onChange={(e) => handleInputChange('localRules', e.target.checked)}
+                  />
+                  <span>Run local rules over the added lines of every review</span>
+                </label>
+                <p className="form-help">
+                  Rules are regular expressions checked without the LLM. Their findings are merged with the AI
+                  comments and labelled with the rule that produced them. Your own rules are saved as soon as they are added.
+                </p>
+              </div>
+
+              {config.localRules !== false && (
+                <RuleManager
+                  disabledRules={config.disabledRules || []}
+                  onDisabledRulesChange={(ids) => handleInputChange('disabledRules', ids)}
+                />
+              )}
+            </div>
+
+            {/* Code Context Configuration */}
+            <div className="space-y-4">
+              <div className="flex items-center space-x-3 pb-3 border-b">
+                <div className="w-8 h-8 bg-purple-100 rounded-lg flex items-center justify-center">
+                  📄
+                </div>
+                <h2 className="text-lg font-semibold text-gray-900">
+                  Code Context
+                </h2>
+              </div>
+
+              <div className="form-group">
+                <label className="flex items-center space-x-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={!!config.fullFileContext}
+                    onChange={(e) => handleInputChange('fullFileContext', e.target.checked)}
+                  />
+                  <span>Include full-file context for modified files</span>
+                </label>
+                <p className="form-help">
+                  Fetches each modified file at the PR's source commit and adds whole small files, or the enclosing
+                  function or class of each change, to the prompt. Helps the model see definitions outside the diff.
+                </p>
+              </div>
+
+              {config.fullFileContext && (
+                <div className="form-group">
+                  <label htmlFor="fileContextMaxTokens" className="form-label">
+                    File Context Token Budget
+                  </label>
+                  <input
+                    type="number"
+                    id="fileContextMaxTokens"
+                    min={1000}
+                    step={1000}
+                    value={config.fileContextMaxTokens || 20000}
+                    onChange={(e) => handleInputChange('fileContextMaxTokens', parseInt(e.target.value) || 0)}
+                    className="form-input"
+                  />
+                  <p className="form-help">
+                    Files that do not fit the budget are reduced to their enclosing code or left out.
+                  </p>
+                </div>
+              )}
+
+              <div className="form-group">
+                <label className="flex items-center space-x-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={!!config.relatedFileContext}
+                    onChange={(e) => handleInputChange('relatedFileContext', e.target.checked)}
+                  />
+                  <span>Include related files (imports and callers of the changed files)</span>
+                </label>
+                <p className="form-help">
+                  Resolves the relative imports of changed JavaScript/TypeScript files and looks for files importing them
+                  on the destination branch, then adds their export signatures or call sites to the prompt. The files used
+                  are saved with the review.
+                </p>
+              </div>
+
+              {config.relatedFileContext && (
+                <div className="form-group">
+                  <label htmlFor="relatedFileMaxTokens" className="form-label">
+                    Related Files Token Budget
+                  </label>
+                  <input
+                    type="number"
+                    id="relatedFileMaxTokens"
+                    min={1000}
+                    step={1000}
+                    value={config.relatedFileMaxTokens || 8000}
+                    onChange={(e) => handleInputChange('relatedFileMaxTokens', parseInt(e.target.value) || 0)}
+                    className="form-input"
+                  />
+                </div>
+              )}
+            </div>
+
+            {/* Publishing Configuration */}
+            <div className="space-y-4">
+              <div className="flex items-center space-x-3 pb-3 border-b">
+                <div className="w-8 h-8 bg-blue-100 rounded-lg flex items-center justify-center">
+                  📝
+                </div>
+                <h2 className="text-lg font-semibold text-gray-900">
+                  Publishing Findings
+                </h2>
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="postMode" className="form-label">
+                  Posting Mode
+                </label>
+                <select
+                  id="postMode"
+                  value={config.postMode || 'draft'}
+                  onChange={(e) => handleInputChange('postMode', e.target.value)}
+                  className="form-input"
+                >
+                  <option value="draft">Draft - triage comments before posting</option>
+                  <option value="auto">Automatic - post every comment right away</option>
+                </select>
+                <p className="form-help">
+                  In draft mode each AI comment can be edited, accepted or discarded, and only the accepted
+                  comments are posted to the pull request. Drafts are kept in this browser until posted.
+                </p>
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="outputMode" className="form-label">
+                  Findings Output
+                </label>
+                <select
+                  id="outputMode"
+                  value={config.outputMode || 'comments'}
+                  onChange={(e) => handleInputChange('outputMode', e.target.value)}
+                  className="form-input"
+                >
+                  <option value="comments">PR comments</option>
+                  <option value="insights">Code Insights report</option>
+                  <option value="both">Both</option>
+                </select>
+                <p className="form-help">
+                  A Code Insights report shows the findings as annotations in the Reports panel of the
+                  pull request's source commit instead of in the conversation, and can be used by merge checks.
+                </p>
+              </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div className="form-group">
+                  <label htmlFor="minSeverity" className="form-label">
+                    Minimum Severity
+                  </label>
+                  <select
+                    id="minSeverity"
+                    value={config.minSeverity || 'info'}
+                    onChange={(e) => handleInputChange('minSeverity', e.target.value)}
+                    className="form-input"
+                  >
+                    {SEVERITIES.map(severity => (
+                      <option key={severity} value={severity}>{severity} or higher</option>
+                    ))}
+                  </select>
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="maxComments" className="form-label">
+                    Max Comments
+                  </label>
+                  <input
+                    type="number"
+                    id="maxComments"
+                    min={0}
+                    value={config.maxComments || 0}
+                    onChange={(e) => handleInputChange('maxComments', parseInt(e.target.value) || 0)}
+                    className="form-input"
+                  />
+                </div>
+              </div>
+              <p className="form-help">
+                Findings below the minimum severity are dropped; over the limit only the most severe are kept (0 for
+                no limit). A repository can override these, the output mode and the ignored paths, and add to the
+                review prompt, with an <code>.ai-review.yml</code> or <code>.ai-review.json</code> file on the
+                pull request's destination branch.
+              </p>
+
+              <div className="form-group">
+                <label className="flex items-center space-x-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={!!config.buildStatus}
+                    onChange={(e) => handleInputChange('buildStatus', e.target.checked)}
+                  />
+                  <span>Set a commit build status (in progress, then successful or failed) on the PR head commit</span>
+                </label>
+                <p className="form-help">
+                  Lets merge checks that require passing builds block on the AI review. The status links back to
+                  the pull request in this app.
+                </p>
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="autoTaskSeverity" className="form-label">
+                  Create Tasks Automatically
+                </label>
+                <select
+                  id="autoTaskSeverity"
+                  value={config.autoTaskSeverity || 'none'}
+                  onChange={(e) => handleInputChange('autoTaskSeverity', e.target.value)}
+                  className="form-input"
+                >
+                  <option value="none">Never</option>
+                  {SEVERITIES.map(severity => (
+                    <option key={severity} value={severity}>For {severity} findings or higher</option>
+                  ))}
+                </select>
+                <p className="form-help">
+                  Newly posted inline comments at or above this severity get a PR task attached, so the author
+                  has to resolve them before merging when the repository requires resolved tasks. Tasks can also
+                  be created one by one from the posted comments list.
+                </p>
+              </div>
+
+              {(config.buildStatus || (config.outputMode && config.outputMode !== 'comments')) && (
+                <div className="form-group">
+                  <label htmlFor="failOnSeverity" className="form-label">
+                    Fail On Severity
+                  </label>
+                  <select
+                    id="failOnSeverity"
+                    value={config.failOnSeverity || 'high'}
+                    onChange={(e) => handleInputChange('failOnSeverity', e.target.value)}
+                    className="form-input"
+                  >
+                    {SEVERITIES.map(severity => (
+                      <option key={severity} value={severity}>{severity} or higher</option>
+                    ))}
+                    <option value="none">Never (always pass)</option>
+                  </select>
+                  <p className="form-help">
+                    The Code Insights report and the build status fail when any finding is at or above this severity.
+                  </p>
+                </div>
+              )}
+            </div>
+
             {/* Review Prompt Configuration */}
+
             <div className="space-y-4">
               <div className="flex items-center space-x-3 pb-3 border-b">
                 <div className="w-8 h-8 bg-yellow-100 rounded-lg flex items-center justify-center">
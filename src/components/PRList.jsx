@@ -1,9 +1,11 @@
 import React, { useState, useEffect } from 'react'
 import { getPullRequests } from '../services/bitbucketApi'
-import { parseRepoFullName } from '../utils/auth'
+import { getReviewedPRs } from '../db/indexedDB'
+import { parseRepoFullName, isSameCommit } from '../utils/auth'
 import PRListItem from './PRListItem.jsx'
 
-const PRList = ({ repo, config, onReady }) => {
+// focusPrId expands the review of one PR, e.g. when opened from a build status link
+const PRList = ({ repo, config, focusPrId, onReady }) => {
   const [pullRequests, setPullRequests] = useState([])
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState(null)
@@ -13,6 +15,7 @@ const PRList = ({ repo, config, onReady }) => {
     size: 0
   })
   const [selectedState, setSelectedState] = useState('OPEN')
+  const [reviewRecords, setReviewRecords] = useState({})
 
   const prStates = [
     { value: 'OPEN', label: 'Open PRs', icon: '🟢' },
@@ -24,6 +27,8 @@ const PRList = ({ repo, config, onReady }) => {
     if (repo) {
       fetchPullRequests(1, selectedState)
     }
+    // Reload only when the repository or state filter changes, not on every render
+    // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [repo, selectedState])
 
   // Notify parent when data is loaded
@@ -53,6 +58,7 @@ const PRList = ({ repo, config, onReady }) => {
 
       setPullRequests(result.pullRequests)
       setPagination(result.pagination)
+      await loadReviewRecords()
 
     } catch (err) {
       console.error('Error fetching pull requests:', err)
@@ -64,6 +70,28 @@ const PRList = ({ repo, config, onReady }) => {
     }
   }
 
+  // Reviewed PR records for this repository, keyed by PR id
+  const loadReviewRecords = async () => {
+    try {
+      const records = await getReviewedPRs()
+      setReviewRecords(Object.fromEntries(
+        records
+          .filter(record => record.repoFullName === repo.full_name)
+          .map(record => [record.prId, record])
+      ))
+    } catch (err) {
+      console.error('Error loading reviewed PRs:', err)
+    }
+  }
+
+  const hasNewCommits = (pr) => {
+    const record = reviewRecords[pr.id]
+    return !!record?.commitHash && !!pr.source?.commit?.hash && !isSameCommit(record.commitHash, pr.source.commit.hash)
+  }
+
+  const reviewedCount = pullRequests.filter(pr => reviewRecords[pr.id]).length
+  const newCommitsCount = pullRequests.filter(hasNewCommits).length
+
   const handleStateChange = (newState) => {
     setSelectedState(newState)
   }
@@ -180,15 +208,20 @@ const PRList = ({ repo, config, onReady }) => {
                 </div>
                 <div>
                   <div className="text-2xl font-bold text-green-600">
-                    {pullRequests.filter(pr => pr.reviewedByAI).length}
+                    {reviewedCount}
                   </div>
                   <div className="text-sm text-gray-600">
                     Reviewed by AI
+                    {newCommitsCount > 0 && (
+                      <span className="block text-xs text-yellow-700">
+                        🆕 {newCommitsCount} with new commits
+                      </span>
+                    )}
                   </div>
                 </div>
                 <div>
                   <div className="text-2xl font-bold text-yellow-600">
-                    {pullRequests.filter(pr => !pr.reviewedByAI).length}
+                    {pullRequests.length - reviewedCount}
                   </div>
                   <div className="text-sm text-gray-600">
                     Pending Review
@@ -205,6 +238,8 @@ const PRList = ({ repo, config, onReady }) => {
                   pr={pr}
                   repo={repo}
                   config={config}
+                  reviewRecord={reviewRecords[pr.id]}
+                  focused={pr.id === focusPrId}
                   onReviewComplete={refreshPRs}
                 />
               ))}
@@ -1,17 +1,34 @@
-import React, { useState, useEffect } from 'react'
-import { getPRDiff, postReviewComments } from '../services/bitbucketApi.js'
-import { reviewCode } from '../services/geminiFlashApi.js'
-import { isPRReviewed, markPRReviewed, saveReviewContent, getReviewContent } from '../db/indexedDB.js'
-import { formatDate, generatePRKey, parseRepoFullName } from '../utils/auth.js'
-import { 
-  parseDiff, 
-  analyzeChanges, 
-  extractChangedCodeWithContext,
-  getChangesSummary 
-} from '../utils/diffParser.js'
-
-const PRListItem = ({ pr, repo, config, onReviewComplete }) => {
-  const [reviewedByAI, setReviewedByAI] = useState(false)
+import React, { useState, useEffect, useRef } from 'react'
+import { getProvider, isAbortError } from '../services/llmProviders.js'
+import { createReviewEngine, loadEffectiveConfig, REVIEW_STAGES } from '../services/reviewEngine.js'
+import {
+  getReviewContent,
+  indexedDBReviewStorage,
+  saveReviewDraft,
+  getReviewDraft
+} from '../db/indexedDB.js'
+import { formatDate, generatePRKey, parseRepoFullName, isSameCommit } from '../utils/auth.js'
+import { parsePartialReview } from '../utils/reviewParser.js'
+import {
+  createReviewDraft,
+  updateDraftComment,
+  acceptPendingComments,
+  getReviewToPost,
+  getTriagedReview,
+  markDraftPosted,
+  DRAFT_STATUS
+} from '../utils/reviewDraft.js'
+import { buildSuggestionsPatch, hasApplicableSuggestion } from '../utils/suggestions.js'
+import { APPROVAL_ACTIONS } from '../utils/approvalPolicy.js'
+import { describeEffectiveConfig } from '../utils/repoConfig.js'
+import ReviewCommentCard from './ReviewCommentCard.jsx'
+import ReviewDraft from './ReviewDraft.jsx'
+import PostedComments from './PostedComments.jsx'
+
+// reviewRecord is the reviewed_prs entry for this PR, if it was reviewed before;
+// focused highlights the PR and opens its saved review
+const PRListItem = ({ pr, repo, config, reviewRecord, focused, onReviewComplete }) => {
+  const [reviewedByAI, setReviewedByAI] = useState(!!reviewRecord)
   const [reviewing, setReviewing] = useState(false)
   const [reviewResult, setReviewResult] = useState(null)
   const [error, setError] = useState(null)
@@ -20,351 +37,276 @@ const PRListItem = ({ pr, repo, config, onReviewComplete }) => {
   const [loadingPreviousReview, setLoadingPreviousReview] = useState(false)
   const [postingComments, setPostingComments] = useState(false)
   const [postResults, setPostResults] = useState(null)
+  const [reviewModel, setReviewModel] = useState(null)
+  const [reviewProgress, setReviewProgress] = useState(null)
+  const [streamText, setStreamText] = useState('')
+  const [draft, setDraft] = useState(null)
+  const [reviewScope, setReviewScope] = useState(null)
+  const [reportResult, setReportResult] = useState(null)
+  const [publishingReport, setPublishingReport] = useState(false)
+  const [buildStatus, setBuildStatus] = useState(null)
+  // { decision, applied, applying, error } - pending decisions wait for confirmation
+  const [approval, setApproval] = useState(null)
+  // Global configuration merged with the repository's .ai-review.yml, loaded before each review
+  const [effectiveConfig, setEffectiveConfig] = useState(null)
+  const [showEffectiveConfig, setShowEffectiveConfig] = useState(false)
+  const [loadingEffectiveConfig, setLoadingEffectiveConfig] = useState(false)
+  const abortControllerRef = useRef(null)
 
   useEffect(() => {
-    checkReviewStatus()
-  }, [pr.id, repo.full_name])
+    setReviewedByAI(!!reviewRecord)
+  }, [reviewRecord])
 
-  const checkReviewStatus = async () => {
-    try {
-      const { workspace, repoSlug } = parseRepoFullName(repo.full_name)
-      const prKey = generatePRKey(workspace, repoSlug, pr.id)
-      const isReviewed = await isPRReviewed(prKey)
-      setReviewedByAI(isReviewed)
-    } catch (err) {
-      console.error('Error checking review status:', err)
+  useEffect(() => {
+    if (focused && reviewRecord && !showReview) {
+      toggleReview()
     }
+    // Open the saved review once, when the PR gets focus or its record arrives
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [focused, !!reviewRecord])
+
+  // Older records have no commit hash, so they never report new commits
+  const hasNewCommits = pr.state === 'OPEN' &&
+    !!reviewRecord?.commitHash &&
+    !!pr.source?.commit?.hash &&
+    !isSameCommit(reviewRecord.commitHash, pr.source.commit.hash)
+
+  const getPRKey = () => {
+    const { workspace, repoSlug } = parseRepoFullName(repo.full_name)
+    return generatePRKey(workspace, repoSlug, pr.id)
   }
 
-  const handleReview = async () => {
-    try {
-      setReviewing(true)
-      setError(null)
-      setReviewResult(null)
-      setPostResults(null) // Reset post results for new review
+  // Settings from the repository's .ai-review.yml apply once it has been loaded
+  const activeConfig = effectiveConfig?.config || config
 
-      const { workspace, repoSlug } = parseRepoFullName(repo.full_name)
-      
-      // Step 1: Get PR diff
-      const diffText = await getPRDiff(
-        config.bitbucketUsername,
-        config.bitbucketAppPassword,
-        workspace,
-        repoSlug,
-        pr.id
-      )
-
-      if (!diffText || diffText.trim().length === 0) {
-        throw new Error('No changes found in this pull request')
+  // The review pipeline lives in the headless review engine; this component only renders its events
+  const createEngine = (engineConfig = activeConfig) => {
+    // Build statuses link back to this PR in the app
+    const appUrl = engineConfig.appUrl || `${window.location.origin}${import.meta.env.BASE_URL}`
+    const engine = createReviewEngine({ ...engineConfig, appUrl }, { storage: indexedDBReviewStorage })
+    engine.on('stage', ({ stage, status }) => {
+      if (stage === REVIEW_STAGES.POST_COMMENTS) {
+        setPostingComments(status === 'start')
+      }
+      if (stage === REVIEW_STAGES.PUBLISH_REPORT) {
+        setPublishingReport(status === 'start')
       }
+    })
+    engine.on('reportPublished', setReportResult)
+    engine.on('buildStatus', setBuildStatus)
+    return engine
+  }
 
-      // Step 2: Parse and analyze the diff using enhanced parser
-      console.log('🔍 Parsing diff with enhanced parser...')
-      const parsedChanges = parseDiff(diffText)
-      const diffAnalysis = analyzeChanges(parsedChanges)
-      const changesSummary = getChangesSummary(parsedChanges)
-      
-      // Extract code blocks with context for better AI understanding
-      const codeBlocks = extractChangedCodeWithContext(parsedChanges, 4) // 4 lines of context
-      
-      console.log('📊 Diff Analysis:', {
-        filesChanged: diffAnalysis.totalFiles,
-        linesAdded: diffAnalysis.totalAdded,
-        linesRemoved: diffAnalysis.totalRemoved,
-        codeBlocks: codeBlocks.length
-      })
+  const cancelReview = () => {
+    abortControllerRef.current?.abort()
+  }
 
-      // Set enhanced diff stats
-      setDiffStats({
-        additions: diffAnalysis.totalAdded,
-        deletions: diffAnalysis.totalRemoved,
-        total: diffAnalysis.totalAdded + diffAnalysis.totalRemoved,
-        files: diffAnalysis.totalFiles,
-        codeBlocks: codeBlocks.length
-      })
+  const refreshEffectiveConfig = async () => {
+    setLoadingEffectiveConfig(true)
+    try {
+      const resolved = await loadEffectiveConfig(config, pr, repo.full_name)
+      setEffectiveConfig(resolved)
+      return resolved
+    } finally {
+      setLoadingEffectiveConfig(false)
+    }
+  }
 
-      // Step 3: Create enhanced context for Gemini 2.5 Flash
-      const enhancedContext = {
-        pr_title: pr.title,
-        pr_description: pr.description || 'No description provided',
-        pr_author: pr.author?.display_name || pr.author?.username || 'Unknown',
-        branch_info: {
-          source: pr.source?.branch?.name || 'unknown',
-          destination: pr.destination?.branch?.name || 'unknown'
-        },
-        diff_summary: {
-          files_changed: changesSummary.filesChanged,
-          lines_added: changesSummary.linesAdded,
-          lines_removed: changesSummary.linesRemoved,
-          total_changes: changesSummary.linesAdded + changesSummary.linesRemoved
-        },
-        files_overview: changesSummary.files.map(file => ({
-          path: file.path,
-          added: file.added,
-          removed: file.removed,
-          is_new: file.isNew,
-          is_deleted: file.isDeleted,
-          is_binary: file.isBinary
-        })),
-        code_changes: codeBlocks.map((block, index) => ({
-          block_id: index + 1,
-          file_path: block.filePath,
-          start_line: block.startLine,
-          end_line: block.endLine,
-          total_lines: block.code.length,
-          changed_lines: block.code.filter(line => line.isChange).length,
-          context_lines: block.code.filter(line => !line.isChange).length,
-          code_preview: block.code.map(line => ({
-            line_number: line.lineNumber,
-            content: line.content,
-            is_change: line.isChange,
-            // Truncate very long lines for context
-            preview: line.content.length > 100 ? 
-              line.content.substring(0, 100) + '...' : line.content
-          }))
-        }))
+  const toggleEffectiveConfig = async () => {
+    if (!showEffectiveConfig && !effectiveConfig) {
+      try {
+        await refreshEffectiveConfig()
+      } catch (err) {
+        console.error('Error loading repository review config:', err)
+        setError(err.message)
+        return
       }
-
-      // Create structured prompt with enhanced context
-      const structuredPrompt = `${config.reviewPrompt}
-
-## Pull Request Context
-**Title:** ${enhancedContext.pr_title}
-**Author:** ${enhancedContext.pr_author}
-**Branch:** ${enhancedContext.branch_info.source} → ${enhancedContext.branch_info.destination}
-**Description:** ${enhancedContext.pr_description}
-
-## Changes Summary
-- **Files Changed:** ${enhancedContext.diff_summary.files_changed}
-- **Lines Added:** ${enhancedContext.diff_summary.lines_added}
-- **Lines Removed:** ${enhancedContext.diff_summary.lines_removed}
-- **Total Changes:** ${enhancedContext.diff_summary.total_changes}
-
-## Files Modified
-${enhancedContext.files_overview.map(file => 
-  `- **${file.path}**: +${file.added} -${file.removed}${file.is_new ? ' (NEW FILE)' : ''}${file.is_deleted ? ' (DELETED)' : ''}${file.is_binary ? ' (BINARY)' : ''}`
-).join('\n')}
-
-## Code Changes Analysis
-${enhancedContext.code_changes.map(block => `
-### Block ${block.block_id}: ${block.file_path}
-**Lines:** ${block.start_line}-${block.end_line} (${block.changed_lines} changes, ${block.context_lines} context)
-
-\`\`\`
-${block.code_preview.map(line => 
-  `${line.is_change ? '> ' : '  '}${line.line_number}: ${line.preview}`
-).join('\n')}
-\`\`\``).join('\n')}
-
-## Raw Diff for Reference
-\`\`\`diff
-${diffText}
-\`\`\`
-
-Please provide a thorough code review focusing on the structured changes above.
-
-**IMPORTANT: Please respond in JSON format with the following structure:**
-{
-  "summary": "Brief overall summary of the review",
-  "comments": [
-    {
-      "file": "path/to/file.js",
-      "line": 123,
-      "comment": "Specific feedback for this line"
     }
-  ]
-}
-
-If you cannot provide JSON format, please provide your review as plain text and it will be processed accordingly.`
+    setShowEffectiveConfig(!showEffectiveConfig)
+  }
 
-      console.log('🤖 Sending enhanced context to Gemini 2.5 Flash...')
+  // incremental: only review the commits pushed since the last AI review
+  const handleReview = async (incremental = false) => {
+    const abortController = new AbortController()
+    abortControllerRef.current = abortController
+    setReviewing(true)
+    setError(null)
 
-      // Step 4: Get AI review with enhanced context
-      const review = await reviewCode(
-        structuredPrompt, // Pass the structured prompt as diffText parameter
-        '', // Empty prompt since we're using structured prompt above
-        config.llmToken,
-        enhancedContext
-      )
+    // The repository's .ai-review.yml may have changed since it was last loaded
+    let resolved
+    try {
+      resolved = await refreshEffectiveConfig()
+    } catch (err) {
+      console.error('Error loading repository review config:', err)
+      setError(err.message)
+      setReviewing(false)
+      abortControllerRef.current = null
+      return
+    }
 
-      // Parse the AI response (handle both JSON and plain text)
-      let parsedReview;
-      try {
-        const reviewText = typeof review.reviewResult === 'string' 
-          ? review.reviewResult 
-          : JSON.stringify(review.reviewResult);
-          
-        // Try to parse as JSON first
-        try {
-          parsedReview = JSON.parse(reviewText);
-        } catch (jsonError) {
-          console.log('AI returned plain text instead of JSON, converting...');
-          
-          // If JSON parsing fails, convert plain text to structured format
-          parsedReview = {
-            summary: reviewText.length > 500 ? 
-              reviewText.substring(0, 500) + '...' : reviewText,
-            comments: [], // No inline comments for plain text responses
-            overall_assessment: reviewText,
-            diff_analysis: {
-              files_changed: diffAnalysis.totalFiles,
-              lines_added: diffAnalysis.totalAdded,
-              lines_removed: diffAnalysis.totalRemoved,
-              code_blocks_analyzed: codeBlocks.length
-            }
-          };
-          
-          console.log('Converted plain text to structured format');
-        }
-        
-        // Ensure we have the required structure
-        if (!parsedReview.summary && !parsedReview.overall_assessment && !parsedReview.comments) {
-          parsedReview = {
-            summary: typeof parsedReview === 'string' ? parsedReview : 'AI review completed',
-            comments: [],
-            overall_assessment: typeof parsedReview === 'string' ? parsedReview : JSON.stringify(parsedReview)
-          };
-        }
-          
-        // Validate and fix line numbers using parsed changes
-        if (parsedReview.comments && Array.isArray(parsedReview.comments)) {
-          parsedReview.comments = parsedReview.comments.map(comment => {
-            // Find the file in parsed changes to validate line numbers
-            const fileChange = parsedChanges.find(change => 
-              change.filePath === comment.file || 
-              change.filePath.endsWith(comment.file) ||
-              comment.file.endsWith(change.filePath)
-            );
-            
-            let validatedLine = Math.max(1, parseInt(comment.line) || 1);
-            
-            if (fileChange) {
-              // Check if the line exists in the actual changes
-              const availableLines = [];
-              fileChange.hunks.forEach(hunk => {
-                hunk.lines.forEach(line => {
-                  if (line.newLineNumber !== null) {
-                    availableLines.push(line.newLineNumber);
-                  }
-                });
-              });
-              
-              if (availableLines.length > 0 && !availableLines.includes(validatedLine)) {
-                // Find closest available line
-                const closest = availableLines.reduce((prev, curr) => 
-                  Math.abs(curr - validatedLine) < Math.abs(prev - validatedLine) ? curr : prev
-                );
-                console.log(`🔧 Adjusted comment line ${validatedLine} to ${closest} for ${comment.file}`);
-                validatedLine = closest;
-              }
-            }
-            
-            return {
-              ...comment,
-              line: validatedLine,
-              originalLine: parseInt(comment.line) || 1
-            };
-          });
-        }
+    const engine = createEngine(resolved.config)
+    engine.on('diffStats', setDiffStats)
+    engine.on('progress', setReviewProgress)
+    engine.on('text', setStreamText)
+    engine.on('reviewed', ({ review, metadata }) => {
+      setReviewResult(review)
+      setReviewModel(metadata.model)
+      setReviewScope(metadata)
+      setReviewedByAI(true)
+      setShowReview(true)
+    })
 
-        // Add analysis metadata to review
-        parsedReview.diff_analysis = {
-          files_changed: diffAnalysis.totalFiles,
-          lines_added: diffAnalysis.totalAdded,
-          lines_removed: diffAnalysis.totalRemoved,
-          code_blocks_analyzed: codeBlocks.length
-        };
-
-      } catch (parseError) {
-        console.error('Failed to process AI response:', parseError);
-        
-        // Create a fallback review structure
-        parsedReview = {
-          summary: 'AI review completed, but response format was unexpected.',
-          comments: [],
-          overall_assessment: typeof review.reviewResult === 'string' ? 
-            review.reviewResult : 'Review completed with parsing issues.',
-          diff_analysis: {
-            files_changed: diffAnalysis.totalFiles,
-            lines_added: diffAnalysis.totalAdded,
-            lines_removed: diffAnalysis.totalRemoved,
-            code_blocks_analyzed: codeBlocks.length
-          },
-          parsing_error: true
-        };
-        
-        console.log('Created fallback review structure');
-      }
+    try {
+      setStreamText('')
+      setReviewResult(null)
+      setPostResults(null) // Reset post results for new review
+      setReportResult(null)
+      setBuildStatus(null)
+      setApproval(null)
 
-      console.log('✅ AI Review completed:', {
-        summary: parsedReview.summary ? 'Yes' : 'No',
-        comments: parsedReview.comments?.length || 0,
-        analysis: parsedReview.diff_analysis
-      });
-
-      // Step 5: Save review result with enhanced metadata
-      const prKey = generatePRKey(workspace, repoSlug, pr.id)
-      await markPRReviewed(prKey, repo.full_name, pr.id)
-      await saveReviewContent(prKey, parsedReview, {
-        prTitle: pr.title,
-        prAuthor: pr.author?.display_name || pr.author?.username,
-        reviewedAt: new Date().toISOString(),
-        model: review.model,
-        usage: review.usage,
-        diffAnalysis: diffAnalysis,
-        enhancedContext: true // Flag to indicate this review used enhanced parsing
+      // Comments on open pull requests are either posted right away or kept as a draft for triage;
+      // the Code Insights report needs no triage since it stays out of the PR conversation.
+      // Output mode 'none' publishes nothing; findings can still be posted by hand.
+      const outputMode = resolved.config.outputMode || 'comments'
+      const postsComments = pr.state === 'OPEN' && (outputMode === 'comments' || outputMode === 'both')
+      const useDraft = postsComments && resolved.config.postMode !== 'auto'
+      const result = await engine.reviewPullRequest(pr, repo.full_name, {
+        signal: abortController.signal,
+        postComments: postsComments && !useDraft,
+        publishReport: pr.state === 'OPEN' && (outputMode === 'insights' || outputMode === 'both'),
+        buildStatus: pr.state === 'OPEN' && !!resolved.config.buildStatus,
+        // With a draft, the decision waits for the triaged findings (see postDraft)
+        approval: pr.state === 'OPEN' && !useDraft,
+        sinceCommit: incremental ? reviewRecord?.commitHash : null
       })
+      setPostResults(result.postResults)
+      if (result.approvalDecision) {
+        setApproval({ decision: result.approvalDecision, applied: result.approvalApplied })
+      }
 
-      setReviewResult(parsedReview)
-      setReviewedByAI(true)
-      setShowReview(true)
-      
-      // Step 6: Automatically post comments to Bitbucket with enhanced positioning
-      if (pr.state === 'OPEN' && parsedReview.comments && parsedReview.comments.length > 0) {
-        setPostingComments(true);
-        try {
-          const postResults = await postReviewComments(
-            config.bitbucketUsername,
-            config.bitbucketAppPassword,
-            workspace,
-            repoSlug,
-            pr.id,
-            parsedReview
-          );
-          
-          setPostResults(postResults);
-          
-          // Show success/failure summary
-          const totalComments = (postResults.success?.length || 0) + (postResults.failed?.length || 0);
-          const successCount = postResults.success?.length || 0;
-          
-          if (successCount === totalComments) {
-            console.log(`✅ Successfully posted all ${successCount} comments to Bitbucket`);
-          } else if (successCount > 0) {
-            console.warn(`⚠️ Posted ${successCount} of ${totalComments} comments. ${postResults.failed?.length} failed.`);
-          } else {
-            console.error('❌ Failed to post any comments to Bitbucket');
-          }
-        } catch (error) {
-          console.error('Error posting comments to Bitbucket:', error);
-          // Don't throw - we still want to show the review even if posting failed
-        } finally {
-          setPostingComments(false);
-        }
+      if (useDraft) {
+        await updateDraft(createReviewDraft(getPRKey(), repo.full_name, pr.id, result.review))
+      } else {
+        setDraft(null)
       }
-      
+
       if (onReviewComplete) {
         onReviewComplete()
       }
 
     } catch (err) {
-      console.error('Review error:', err)
-      setError(err.message)
+      if (isAbortError(err)) {
+        console.log('⏹️ Review cancelled by user')
+      } else {
+        console.error('Review error:', err)
+        setError(err.message)
+      }
     } finally {
+      abortControllerRef.current = null
       setReviewing(false)
+      setReviewProgress(null)
+      setStreamText('')
+    }
+  }
+
+  // Show or hide the review, loading the saved review and draft the first time
+  const toggleReview = async () => {
+    if (!showReview && !reviewResult) {
+      setLoadingPreviousReview(true)
+      try {
+        const prKey = getPRKey()
+        const savedReview = await getReviewContent(prKey)
+        if (savedReview) {
+          setReviewResult(savedReview.reviewContent)
+          setReviewModel(savedReview.metadata?.model || null)
+          setReviewScope(savedReview.metadata || null)
+          // Clear any previous post results when loading old review
+          setPostResults(null)
+        }
+        setDraft(await getReviewDraft(prKey) || null)
+      } catch (err) {
+        console.error('Error loading previous review:', err)
+      } finally {
+        setLoadingPreviousReview(false)
+      }
+    }
+    setShowReview(!showReview)
+  }
+
+  // Persist every triage change so the draft survives a reload
+  const updateDraft = async (nextDraft) => {
+    setDraft(nextDraft)
+    try {
+      await saveReviewDraft(nextDraft)
+    } catch (err) {
+      console.error('Error saving review draft:', err)
+    }
+  }
+
+  const postDraft = async () => {
+    setPostResults(null)
+    try {
+      const engine = createEngine()
+      const results = await engine.postComments(repo.full_name, pr.id, getReviewToPost(draft))
+      setPostResults(results)
+      const postedDraft = markDraftPosted(draft, results)
+      await updateDraft(postedDraft)
+      // Approve or request changes based on the findings that survived triage
+      if (pr.state === 'OPEN') {
+        const { approvalDecision, approvalApplied } = await engine.runApprovalAutomation(repo.full_name, pr.id, getTriagedReview(postedDraft))
+        setApproval(approvalDecision ? { decision: approvalDecision, applied: approvalApplied } : null)
+      }
+    } catch (err) {
+      console.error('Error posting accepted comments:', err)
+      setError('Failed to post comments to Bitbucket')
     }
   }
 
+  const confirmApproval = async () => {
+    setApproval(prev => ({ ...prev, applying: true, error: null }))
+    try {
+      await createEngine().applyApprovalDecision(repo.full_name, pr.id, approval.decision)
+      setApproval(prev => ({ ...prev, applying: false, applied: true }))
+    } catch (err) {
+      console.error('Error applying approval decision:', err)
+      setApproval(prev => ({ ...prev, applying: false, error: err.message }))
+    }
+  }
+
+  const publishReport = async () => {
+    setReportResult(null)
+    try {
+      await createEngine().publishReport(repo.full_name, pr, reviewResult)
+    } catch (err) {
+      console.error('Error publishing Code Insights report:', err)
+      setError(err.message)
+    }
+  }
+
+  // Suggestions that end up in the patch: accepted ones while triaging a draft, otherwise all of them
+  const getPatchComments = () => draft
+    ? draft.comments.filter(comment => comment.status === DRAFT_STATUS.ACCEPTED || comment.status === DRAFT_STATUS.POSTED)
+    : reviewResult?.comments || []
+
+  const downloadSuggestionsPatch = () => {
+    const { patch, included, skipped } = buildSuggestionsPatch(getPatchComments())
+    if (included === 0) {
+      setError(draft ? 'Accept at least one comment with a suggested change to download a patch' : 'No suggested changes to download')
+      return
+    }
+    if (skipped > 0) {
+      console.warn(`Left ${skipped} overlapping suggestion(s) out of the patch`)
+    }
+    const url = URL.createObjectURL(new Blob([patch], { type: 'text/x-diff' }))
+    const link = document.createElement('a')
+    link.href = url
+    link.download = `pr-${pr.id}-ai-suggestions.patch`
+    link.click()
+    URL.revokeObjectURL(url)
+  }
+
+  const partialReview = streamText ? parsePartialReview(streamText) : null
+
   const getStatusBadge = (state) => {
     const badges = {
       OPEN: { class: 'badge-primary', icon: '🟢', text: 'Open' },
@@ -378,7 +320,7 @@ If you cannot provide JSON format, please provide your review as plain text and
   const statusBadge = getStatusBadge(pr.state)
 
   return (
-    <div className="border border-gray-200 rounded-lg bg-white hover:shadow-md transition-shadow">
+    <div className={`border rounded-lg bg-white hover:shadow-md transition-shadow ${focused ? 'border-blue-400 ring-2 ring-blue-200' : 'border-gray-200'}`}>
       <div className="p-4">
         {/* PR Header */}
         <div className="flex items-start justify-between mb-3">
@@ -397,6 +339,12 @@ If you cannot provide JSON format, please provide your review as plain text and
                   🤖 AI Reviewed
                 </span>
               )}
+
+              {hasNewCommits && (
+                <span className="badge badge-warning" title="Commits were pushed after the last AI review">
+                  🆕 New commits since AI review
+                </span>
+              )}
             </div>
 
             {/* PR Metadata */}
@@ -471,9 +419,25 @@ If you cannot provide JSON format, please provide your review as plain text and
               </a>
             )}
 
+            <button
+              onClick={toggleEffectiveConfig}
+              disabled={loadingEffectiveConfig}
+              className="btn btn-sm btn-secondary"
+              title="Show the review settings for this repository, including its .ai-review.yml"
+            >
+              {loadingEffectiveConfig ? (
+                <>
+                  <span className="spinner-sm mr-2"></span>
+                  Loading...
+                </>
+              ) : (
+                '⚙️ Config'
+              )}
+            </button>
+
             {!reviewedByAI && pr.state === 'OPEN' && (
               <button
-                onClick={handleReview}
+                onClick={() => handleReview()}
                 disabled={reviewing}
                 className="btn btn-sm btn-primary"
               >
@@ -491,27 +455,7 @@ If you cannot provide JSON format, please provide your review as plain text and
             {reviewedByAI && pr.state === 'OPEN' && (
               <div className="flex items-center space-x-2">
                 <button
-                  onClick={async () => {
-                    if (!showReview && !reviewResult) {
-                      // Load previous review if not already loaded
-                      setLoadingPreviousReview(true);
-                      try {
-                        const { workspace, repoSlug } = parseRepoFullName(repo.full_name);
-                        const prKey = generatePRKey(workspace, repoSlug, pr.id);
-                        const savedReview = await getReviewContent(prKey);
-                        if (savedReview) {
-                          setReviewResult(savedReview.reviewContent);
-                          // Clear any previous post results when loading old review
-                          setPostResults(null);
-                        }
-                      } catch (err) {
-                        console.error('Error loading previous review:', err);
-                      } finally {
-                        setLoadingPreviousReview(false);
-                      }
-                    }
-                    setShowReview(!showReview);
-                  }}
+                  onClick={toggleReview}
                   disabled={loadingPreviousReview}
                   className="btn btn-sm btn-success"
                 >
@@ -525,8 +469,19 @@ If you cannot provide JSON format, please provide your review as plain text and
                   )}
                 </button>
                 
+                {hasNewCommits && (
+                  <button
+                    onClick={() => handleReview(true)}
+                    disabled={reviewing}
+                    className="btn btn-sm btn-primary"
+                    title="Review only the commits pushed since the last AI review"
+                  >
+                    🆕 Review New Commits
+                  </button>
+                )}
+
                 <button
-                  onClick={handleReview}
+                  onClick={() => handleReview()}
                   disabled={reviewing}
                   className="btn btn-sm btn-secondary"
                   title="Run AI review again"
@@ -546,27 +501,7 @@ If you cannot provide JSON format, please provide your review as plain text and
             {/* Show review button for closed/merged PRs that were reviewed */}
             {reviewedByAI && pr.state !== 'OPEN' && (
               <button
-                onClick={async () => {
-                  if (!showReview && !reviewResult) {
-                    // Load previous review if not already loaded
-                    setLoadingPreviousReview(true);
-                    try {
-                      const { workspace, repoSlug } = parseRepoFullName(repo.full_name);
-                      const prKey = generatePRKey(workspace, repoSlug, pr.id);
-                      const savedReview = await getReviewContent(prKey);
-                      if (savedReview) {
-                        setReviewResult(savedReview.reviewContent);
-                        // Clear any previous post results when loading old review
-                        setPostResults(null);
-                      }
-                    } catch (err) {
-                      console.error('Error loading previous review:', err);
-                    } finally {
-                      setLoadingPreviousReview(false);
-                    }
-                  }
-                  setShowReview(!showReview);
-                }}
+                onClick={toggleReview}
                 disabled={loadingPreviousReview}
                 className="btn btn-sm btn-success"
               >
@@ -583,13 +518,64 @@ If you cannot provide JSON format, please provide your review as plain text and
           </div>
         </div>
 
+        {/* Effective Config */}
+        {showEffectiveConfig && effectiveConfig && (
+          <div className="mt-4 p-4 bg-gray-50 rounded-lg border border-gray-200 text-sm">
+            <div className="flex items-center justify-between mb-2">
+              <p className="font-medium text-gray-900">⚙️ Effective Review Config</p>
+              <button
+                onClick={() => setShowEffectiveConfig(false)}
+                className="text-gray-400 hover:text-gray-600"
+              >
+                ✕
+              </button>
+            </div>
+            <p className="text-xs text-gray-600 mb-2">
+              {effectiveConfig.source ? (
+                <>
+                  Global settings merged with <span className="font-mono">{effectiveConfig.source.path}</span> from
+                  {' '}{pr.destination?.branch?.name || 'the destination branch'}
+                  {effectiveConfig.source.commit && (
+                    <span className="font-mono"> ({effectiveConfig.source.commit.substring(0, 7)})</span>
+                  )}
+                </>
+              ) : !effectiveConfig.error && (
+                'No .ai-review.yml or .ai-review.json on the destination branch; the global settings apply.'
+              )}
+            </p>
+            {effectiveConfig.error && (
+              <p className="text-xs text-red-700 mb-2">
+                ⚠️ {effectiveConfig.error}. The global settings apply.
+              </p>
+            )}
+            {effectiveConfig.warnings.map(warning => (
+              <p key={warning} className="text-xs text-yellow-800 mb-1">⚠️ {warning}</p>
+            ))}
+            <table className="w-full text-xs mt-2">
+              <tbody>
+                {describeEffectiveConfig(effectiveConfig).map(row => (
+                  <tr key={row.label} className="border-t border-gray-200 align-top">
+                    <td className="py-1 pr-3 text-gray-600 whitespace-nowrap">{row.label}</td>
+                    <td className="py-1 pr-3 text-gray-900 whitespace-pre-wrap break-words">{row.value}</td>
+                    <td className="py-1 text-right">
+                      <span className={`badge ${row.fromRepo ? 'badge-primary' : 'badge-secondary'}`}>
+                        {row.fromRepo ? 'repository' : 'global'}
+                      </span>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
         {/* Error Display */}
         {error && (
           <div className="alert-error">
             <p className="font-medium">Review Failed</p>
             <p className="text-sm mt-1">{error}</p>
             <button
-              onClick={handleReview}
+              onClick={() => handleReview()}
               className="btn btn-sm btn-secondary mt-2"
             >
               Try Again
@@ -602,7 +588,7 @@ If you cannot provide JSON format, please provide your review as plain text and
           <div className="mt-4 p-4 bg-blue-50 rounded-lg border border-blue-200">
             <div className="flex items-center space-x-3">
               <div className="spinner-md"></div>
-              <div>
+              <div className="flex-1">
                 <p className="font-medium text-blue-900">🤖 AI Review in Progress</p>
                 <p className="text-sm text-blue-700">
                   Parsing diff structure → Extracting code context → Generating intelligent review...
@@ -610,8 +596,48 @@ If you cannot provide JSON format, please provide your review as plain text and
                 <p className="text-xs text-blue-600 mt-1">
                   ✨ Using enhanced diff analysis for better AI understanding
                 </p>
+                {reviewProgress && (
+                  <p className="text-xs text-blue-800 mt-1 font-medium">
+                    {reviewProgress.stage === 'consolidating'
+                      ? `🧩 Consolidating findings from ${reviewProgress.total} parts...`
+                      : `🧩 Large diff: reviewed ${reviewProgress.completed} of ${reviewProgress.total} parts`}
+                  </p>
+                )}
               </div>
+              <button
+                onClick={cancelReview}
+                className="btn btn-sm btn-secondary self-start"
+                title="Abort the in-flight AI request"
+              >
+                ⏹️ Cancel
+              </button>
             </div>
+
+            {/* Live streamed output */}
+            {partialReview && (
+              <div className="mt-3 pt-3 border-t border-blue-200 space-y-2">
+                <p className="text-xs font-medium text-blue-900">
+                  📡 Receiving review ({streamText.length} characters so far)
+                </p>
+                {partialReview.summary ? (
+                  <div className="text-sm text-blue-800 whitespace-pre-wrap">
+                    {partialReview.summary}
+                  </div>
+                ) : !partialReview.isJson && (
+                  <div className="text-sm text-blue-800 whitespace-pre-wrap">
+                    {streamText}
+                  </div>
+                )}
+                {partialReview.comments.map((comment, index) => (
+                  <div key={index} className="bg-white rounded p-2 border border-blue-100 text-xs">
+                    <span className="font-mono bg-gray-100 px-1 rounded mr-2">
+                      {comment.file}:{comment.line}
+                    </span>
+                    <span className="text-gray-800">{comment.comment}</span>
+                  </div>
+                ))}
+              </div>
+            )}
           </div>
         )}
 
@@ -627,6 +653,102 @@ If you cannot provide JSON format, please provide your review as plain text and
                 ✕
               </button>
             </div>
+
+            {/* Review Scope */}
+            {reviewScope?.incremental && (
+              <div className="mb-4 p-3 bg-blue-50 rounded-lg border border-blue-200 text-sm text-blue-800">
+                🆕 Follow-up review of the commits pushed since the last AI review
+                <span className="font-mono text-xs ml-2">
+                  {reviewScope.incremental.fromCommit.substring(0, 7)}..{reviewScope.incremental.toCommit.substring(0, 7)}
+                </span>
+              </div>
+            )}
+            {reviewScope?.fileContext && (
+              <div className="mb-4 p-3 bg-gray-50 rounded-lg border border-gray-200 text-sm text-gray-700">
+                📄 Full-file context from {reviewScope.fileContext.files} file{reviewScope.fileContext.files !== 1 ? 's' : ''}
+                {' '}({reviewScope.fileContext.wholeFiles} whole, ~{reviewScope.fileContext.tokens.toLocaleString()} tokens)
+              </div>
+            )}
+            {reviewScope?.relatedFiles?.length > 0 && (
+              <details className="mb-4 p-3 bg-gray-50 rounded-lg border border-gray-200 text-sm text-gray-700">
+                <summary className="cursor-pointer">
+                  🔗 Context from {reviewScope.relatedFiles.length} related file{reviewScope.relatedFiles.length !== 1 ? 's' : ''}
+                </summary>
+                <ul className="mt-2 space-y-1 text-xs">
+                  {reviewScope.relatedFiles.map(file => (
+                    <li key={`${file.relation}:${file.path}`}>
+                      <span className="font-mono">{file.path}</span>
+                      {' '}{file.relation === 'imports-change' ? 'imports' : 'is imported by'} {file.linkedTo.join(', ')}
+                    </li>
+                  ))}
+                </ul>
+              </details>
+            )}
+            {reviewScope?.repoConfig && (
+              <div className="mb-4 p-3 bg-gray-50 rounded-lg border border-gray-200 text-sm text-gray-700">
+                ⚙️ Reviewed with the repository's <span className="font-mono">{reviewScope.repoConfig.path}</span>
+                {reviewScope.repoConfig.commit && (
+                  <span className="font-mono text-xs ml-1">({reviewScope.repoConfig.commit.substring(0, 7)})</span>
+                )}
+              </div>
+            )}
+            {reviewResult.excluded_files?.length > 0 && (
+              <details className="mb-4 p-3 bg-gray-50 rounded-lg border border-gray-200 text-sm text-gray-700">
+                <summary className="cursor-pointer">
+                  🙈 {reviewResult.excluded_files.length} file{reviewResult.excluded_files.length !== 1 ? 's' : ''} not reviewed
+                </summary>
+                <ul className="mt-2 space-y-1 text-xs">
+                  {reviewResult.excluded_files.map(excluded => (
+                    <li key={excluded.file}>
+                      <span className="font-mono">{excluded.file}</span>
+                      {' '}<span className="badge badge-secondary">{excluded.reason}</span> {excluded.detail}
+                    </li>
+                  ))}
+                </ul>
+              </details>
+            )}
+            {reviewResult.secret_scan && (
+              <div className="mb-4 p-3 bg-red-50 rounded-lg border border-red-200 text-sm text-red-800">
+                🔐 Possible secrets were redacted on {reviewResult.secret_scan.redacted_lines} line{reviewResult.secret_scan.redacted_lines !== 1 ? 's' : ''} before
+                {' '}the code was sent to the AI reviewer
+                {reviewResult.secret_scan.findings > 0 && ` - ${reviewResult.secret_scan.findings} on added lines are reported below`}
+              </div>
+            )}
+            {reviewResult.findings_filtered && (
+              <div className="mb-4 p-3 bg-gray-50 rounded-lg border border-gray-200 text-sm text-gray-700">
+                🔽 {[
+                  reviewResult.findings_filtered.below_threshold > 0 && `${reviewResult.findings_filtered.below_threshold} below the severity threshold`,
+                  reviewResult.findings_filtered.over_limit > 0 && `${reviewResult.findings_filtered.over_limit} over the comment limit`
+                ].filter(Boolean).join(' and ')} left out
+              </div>
+            )}
+            {reviewResult.prompt_injection && (
+              <div className="mb-4 p-3 bg-red-50 rounded-lg border border-red-200 text-sm text-red-800">
+                🛡️ Instruction-like text was removed from the PR title or description
+                {' '}({reviewResult.prompt_injection.neutralized_instructions} passage{reviewResult.prompt_injection.neutralized_instructions !== 1 ? 's' : ''})
+                {reviewResult.prompt_injection.approval_withheld && ' - the AI verdict "approve" was changed to "comment"'}
+              </div>
+            )}
+            {reviewResult.rejected_comments?.length > 0 && (
+              <details className="mb-4 p-3 bg-gray-50 rounded-lg border border-gray-200 text-sm text-gray-700">
+                <summary className="cursor-pointer">
+                  🛡️ {reviewResult.rejected_comments.length} comment{reviewResult.rejected_comments.length !== 1 ? 's' : ''} rejected for pointing outside the diff
+                </summary>
+                <ul className="mt-2 space-y-1 text-xs">
+                  {reviewResult.rejected_comments.map((rejected, index) => (
+                    <li key={`${rejected.file}:${rejected.line}:${index}`}>
+                      <span className="font-mono">{rejected.file}:{rejected.line}{rejected.end_line ? `-${rejected.end_line}` : ''}{rejected.side === 'old' ? ' (removed)' : ''}</span>
+                      {' '}<span className="badge badge-secondary">{rejected.reason}</span>
+                    </li>
+                  ))}
+                </ul>
+              </details>
+            )}
+            {reviewScope?.incrementalFallback && (
+              <div className="mb-4 p-3 bg-yellow-50 rounded-lg border border-yellow-200 text-sm text-yellow-800">
+                ⚠️ {reviewScope.incrementalFallback}. The full pull request was reviewed instead.
+              </div>
+            )}
             
             {/* Posting Status */}
             {postingComments && (
@@ -665,6 +787,11 @@ If you cannot provide JSON format, please provide your review as plain text and
                           💬 Some comments posted with file/line references (fallback mode)
                         </p>
                       )}
+                      {postResults.success?.some(s => s.updated) && (
+                        <p className="text-green-700 text-xs mt-1">
+                          ✏️ {postResults.success.filter(s => s.updated).length} existing AI comment{postResults.success.filter(s => s.updated).length !== 1 ? 's' : ''} updated instead of posted again
+                        </p>
+                      )}
                     </>
                   ) : postResults.success?.length > 0 ? (
                     <>
@@ -682,10 +809,103 @@ If you cannot provide JSON format, please provide your review as plain text and
                       ❌ Failed to post comments to Bitbucket
                     </p>
                   )}
+                  {postResults.skipped?.length > 0 && (
+                    <details className="mt-2 text-xs text-gray-600">
+                      <summary className="cursor-pointer">
+                        ⏭️ Skipped {postResults.skipped.length} comment{postResults.skipped.length !== 1 ? 's' : ''} already on the pull request
+                      </summary>
+                      {postResults.skipped.map((skip, idx) => (
+                        <p key={idx} className="mt-1">
+                          • {skip.type === 'summary' ? 'Summary' : `${skip.file}:${skip.line}`} - {skip.reason}
+                        </p>
+                      ))}
+                    </details>
+                  )}
                 </div>
               </div>
             )}
             
+            {/* Approval Automation */}
+            {approval && (
+              <div className={`mb-4 p-3 rounded-lg border text-sm ${
+                approval.decision.action === APPROVAL_ACTIONS.APPROVE
+                  ? 'bg-green-50 border-green-200 text-green-800'
+                  : 'bg-orange-50 border-orange-200 text-orange-800'
+              }`}>
+                {approval.applied ? (
+                  <p>
+                    {approval.decision.action === APPROVAL_ACTIONS.APPROVE ? '👍 Approved' : '✋ Requested changes on'} this
+                    pull request: {approval.decision.reason}
+                  </p>
+                ) : (
+                  <div role="dialog" aria-label="Confirm approval decision">
+                    <p className="font-medium">
+                      {approval.decision.action === APPROVAL_ACTIONS.APPROVE
+                        ? '👍 Approve this pull request?'
+                        : '✋ Request changes on this pull request?'}
+                    </p>
+                    <p className="text-xs mt-1">{approval.decision.reason}</p>
+                    <p className="text-xs mt-1 opacity-75">
+                      This is done as {config.bitbucketUsername}, visible to everyone on the pull request.
+                    </p>
+                    {approval.error && <p className="text-xs text-red-700 mt-1">❌ {approval.error}</p>}
+                    <div className="mt-2 flex items-center space-x-2">
+                      <button
+                        onClick={confirmApproval}
+                        disabled={approval.applying}
+                        className={`btn btn-sm ${approval.decision.action === APPROVAL_ACTIONS.APPROVE ? 'btn-success' : 'btn-warning'}`}
+                      >
+                        {approval.applying ? (
+                          <>
+                            <span className="spinner-sm mr-2"></span>
+                            Submitting...
+                          </>
+                        ) : (
+                          approval.decision.action === APPROVAL_ACTIONS.APPROVE ? 'Approve' : 'Request Changes'
+                        )}
+                      </button>
+                      <button
+                        onClick={() => setApproval(null)}
+                        disabled={approval.applying}
+                        className="btn btn-sm btn-secondary"
+                      >
+                        Dismiss
+                      </button>
+                    </div>
+                  </div>
+                )}
+              </div>
+            )}
+
+            {/* Code Insights Report */}
+            {publishingReport && (
+              <div className="mb-4 p-3 bg-yellow-50 rounded-lg border border-yellow-200">
+                <div className="flex items-center space-x-2">
+                  <div className="spinner-sm"></div>
+                  <p className="text-sm text-yellow-800">
+                    Publishing Code Insights report...
+                  </p>
+                </div>
+              </div>
+            )}
+            {reportResult && (
+              <div className={`mb-4 p-3 rounded-lg border text-sm ${
+                reportResult.result === 'PASSED'
+                  ? 'bg-green-50 border-green-200 text-green-800'
+                  : 'bg-red-50 border-red-200 text-red-800'
+              }`}>
+                📊 Code Insights report published: {reportResult.result === 'PASSED' ? '✅ Passed' : '❌ Failed'}
+                {' '}with {reportResult.annotations} annotation{reportResult.annotations !== 1 ? 's' : ''}
+                <span className="font-mono text-xs ml-2">on {reportResult.commitHash.substring(0, 7)}</span>
+              </div>
+            )}
+
+            {buildStatus && (
+              <div className="mb-4 text-xs text-gray-600">
+                🚦 Commit build status: <span className="font-medium">{buildStatus.state}</span> - {buildStatus.description}
+              </div>
+            )}
+
             {/* Enhanced Review Summary */}
             {(reviewResult.summary || reviewResult.overall_assessment) && (
               <div className="mb-4 p-3 bg-blue-50 rounded-lg">
@@ -693,42 +913,62 @@ If you cannot provide JSON format, please provide your review as plain text and
                 <div className="text-sm text-blue-800 whitespace-pre-wrap">
                   {reviewResult.summary || reviewResult.overall_assessment}
                 </div>
+                {reviewResult.verdict && (
+                  <div className="mt-2 text-xs text-blue-700">
+                    Verdict: {{ approve: '👍 Approve', comment: '💬 Comment', request_changes: '✋ Request changes' }[reviewResult.verdict]}
+                  </div>
+                )}
                 {reviewResult.diff_analysis && (
                   <div className="mt-2 text-xs text-blue-600">
                     ✨ Enhanced Analysis: {reviewResult.diff_analysis.files_changed} files, 
                     {reviewResult.diff_analysis.code_blocks_analyzed} code blocks analyzed
                   </div>
                 )}
-                {reviewResult.parsing_error && (
+                {reviewResult.chunked_review && (
+                  <div className="mt-1 text-xs text-blue-600">
+                    🧩 Large diff reviewed in {reviewResult.chunked_review.batches} parts
+                    {reviewResult.chunked_review.consolidated ? ' and consolidated' : ' (findings merged without consolidation)'}
+                    {reviewResult.chunked_review.failed_parts?.map(failed => (
+                      <div key={failed.part} className="text-orange-600">
+                        ⚠️ Part {failed.part} could not be reviewed ({failed.error}): {failed.files.join(', ')}
+                      </div>
+                    ))}
+                  </div>
+                )}
+                {reviewResult.schema_validation && (
                   <div className="mt-2 text-xs text-orange-600">
-                    ⚠️ Note: AI returned plain text format instead of structured JSON
+                    {reviewResult.schema_validation.errors.length === 0
+                      ? '🔧 The AI output did not match the review schema and was repaired automatically'
+                      : `⚠️ ${reviewResult.schema_validation.errors.length} schema error${reviewResult.schema_validation.errors.length !== 1 ? 's' : ''} remained after repair; invalid findings were dropped`}
+                    {reviewResult.schema_validation.errors.length > 0 && (
+                      <ul className="mt-1 list-disc list-inside">
+                        {reviewResult.schema_validation.errors.slice(0, 5).map((validationError, idx) => (
+                          <li key={idx}>{validationError}</li>
+                        ))}
+                      </ul>
+                    )}
                   </div>
                 )}
               </div>
             )}
 
-            {/* Line-by-line Comments */}
-            {reviewResult.comments && reviewResult.comments.length > 0 ? (
+            {/* Line-by-line Comments - triaged through the draft when one exists */}
+            {draft && draft.comments.length > 0 ? (
+              <ReviewDraft
+                draft={draft}
+                canPost={pr.state === 'OPEN'}
+                posting={postingComments}
+                onUpdateComment={(commentId, changes) => updateDraft(updateDraftComment(draft, commentId, changes))}
+                onAcceptAll={() => updateDraft(acceptPendingComments(draft))}
+                onPost={postDraft}
+              />
+            ) : reviewResult.comments && reviewResult.comments.length > 0 ? (
               <div className="space-y-3">
                 <h5 className="font-medium text-gray-900">
                   Code Comments ({reviewResult.comments.length})
                 </h5>
                 {reviewResult.comments.map((comment, index) => (
-                  <div key={index} className="bg-gray-50 rounded-lg p-3 border border-gray-200">
-                    <div className="flex items-start justify-between mb-2">
-                      <div className="flex items-center space-x-2">
-                        <span className="font-mono text-xs bg-gray-100 px-2 py-1 rounded">
-                          {comment.file}
-                        </span>
-                        <span className="text-xs text-gray-600">
-                          Line {comment.line}
-                        </span>
-                      </div>
-                    </div>
-                    <div className="text-sm text-gray-800">
-                      {comment.comment}
-                    </div>
-                  </div>
+                  <ReviewCommentCard key={index} comment={comment} />
                 ))}
               </div>
             ) : (
@@ -742,7 +982,7 @@ If you cannot provide JSON format, please provide your review as plain text and
             {/* Enhanced Review Actions */}
             <div className="mt-4 flex items-center justify-between">
               <div className="text-xs text-gray-500">
-                <div>Generated by Gemini 2.5 Flash • {formatDate(new Date().toISOString())}</div>
+                <div>Generated by {reviewModel || getProvider(config.llmProvider).label} • {formatDate(new Date().toISOString())}</div>
                 {reviewResult.diff_analysis && (
                   <div className="text-green-600 mt-1">
                     ✨ Enhanced with structured diff analysis
@@ -761,24 +1001,37 @@ If you cannot provide JSON format, please provide your review as plain text and
                 >
                   📋 Copy JSON
                 </button>
+
+                {(draft ? draft.comments : reviewResult.comments || []).some(hasApplicableSuggestion) && (
+                  <button
+                    onClick={downloadSuggestionsPatch}
+                    className="btn btn-sm btn-secondary"
+                    title={draft ? 'Download the suggested changes of the accepted comments as a patch' : 'Download the suggested changes as a patch'}
+                  >
+                    📥 Download Patch
+                  </button>
+                )}
                 
+                {pr.state === 'OPEN' && (activeConfig.outputMode || 'comments') !== 'comments' && !reportResult && (
+                  <button
+                    onClick={publishReport}
+                    disabled={publishingReport}
+                    className="btn btn-sm btn-secondary"
+                    title="Publish the findings as a Code Insights report on the source commit"
+                  >
+                    📊 Publish Report
+                  </button>
+                )}
+
                 {/* Manual post option if auto-post failed or for re-posting */}
-                {pr.state === 'OPEN' && reviewResult.comments && reviewResult.comments.length > 0 && 
+                {!draft && pr.state === 'OPEN' && activeConfig.outputMode !== 'insights' && reviewResult.comments && reviewResult.comments.length > 0 && 
                  (!postResults || postResults.failed?.length > 0) && (
                   <button
                     onClick={async () => {
                       setPostingComments(true);
                       setPostResults(null);
                       try {
-                        const { workspace, repoSlug } = parseRepoFullName(repo.full_name);
-                        const results = await postReviewComments(
-                          config.bitbucketUsername,
-                          config.bitbucketAppPassword,
-                          workspace,
-                          repoSlug,
-                          pr.id,
-                          reviewResult
-                        );
+                        const results = await createEngine().postComments(repo.full_name, pr.id, reviewResult);
                         setPostResults(results);
                       } catch (error) {
                         console.error('Error posting comments:', error);
@@ -803,6 +1056,9 @@ If you cannot provide JSON format, please provide your review as plain text and
                 )}
               </div>
             </div>
+
+            {/* Manage comments already posted on the PR */}
+            <PostedComments pr={pr} repo={repo} config={config} refreshKey={postResults} />
           </div>
         )}
 
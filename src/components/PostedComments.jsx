@@ -0,0 +1,307 @@
+import React, { useState, useEffect } from 'react'
+import {
+  getAIComments,
+  updatePRComment,
+  deletePRComment,
+  setPRCommentResolved,
+  deleteAIComments,
+  createPRTask,
+  getPRTasks
+} from '../services/bitbucketApi.js'
+import { getPostedComments, savePostedComments, getTrackedTasks, saveTrackedTasks } from '../db/indexedDB.js'
+import { generatePRKey, parseRepoFullName, truncateText } from '../utils/auth.js'
+import { parseFindingBody } from '../utils/aiComments.js'
+import { TASK_STATES, buildTaskContent, trackTasks, refreshTaskStates } from '../utils/prTasks.js'
+
+// Manage the AI comments already posted on a PR: edit, resolve or delete them one by one or all at once
+// refreshKey changes whenever new comments were posted, so the tracked list is reloaded
+const PostedComments = ({ pr, repo, config, refreshKey }) => {
+  const [comments, setComments] = useState([])
+  const [tasks, setTasks] = useState([])
+  const [busyId, setBusyId] = useState(null)
+  const [editingId, setEditingId] = useState(null)
+  const [editText, setEditText] = useState('')
+  const [error, setError] = useState(null)
+  const [message, setMessage] = useState(null)
+
+  const { workspace, repoSlug } = parseRepoFullName(repo.full_name)
+  const prKey = generatePRKey(workspace, repoSlug, pr.id)
+
+  useEffect(() => {
+    loadTrackedComments()
+    loadTrackedTasks()
+    // The loaders read the latest props; reloading is driven by the PR and refreshKey only
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [prKey, refreshKey])
+
+  const loadTrackedComments = async () => {
+    try {
+      const record = await getPostedComments(prKey)
+      setComments(record?.comments || [])
+    } catch (err) {
+      console.error('Error loading posted comments:', err)
+    }
+  }
+
+  // Load the tasks created from findings and refresh their state from Bitbucket
+  const loadTrackedTasks = async () => {
+    try {
+      const record = await getTrackedTasks(prKey)
+      const tracked = record?.tasks || []
+      setTasks(tracked)
+      if (tracked.length === 0) {
+        return
+      }
+      const remoteTasks = await getPRTasks(config.bitbucketUsername, config.bitbucketAppPassword, workspace, repoSlug, pr.id)
+      await saveTasks(refreshTaskStates(tracked, remoteTasks))
+    } catch (err) {
+      console.error('Error loading PR tasks:', err)
+    }
+  }
+
+  const saveTasks = async (nextTasks) => {
+    setTasks(nextTasks)
+    try {
+      await saveTrackedTasks(prKey, repo.full_name, pr.id, nextTasks)
+    } catch (err) {
+      console.error('Error saving PR tasks:', err)
+    }
+  }
+
+  const saveComments = async (nextComments) => {
+    setComments(nextComments)
+    try {
+      await savePostedComments(prKey, repo.full_name, pr.id, nextComments)
+    } catch (err) {
+      console.error('Error saving posted comments:', err)
+    }
+  }
+
+  // Run one Bitbucket action, showing its error instead of throwing
+  const runAction = async (busyKey, action) => {
+    setBusyId(busyKey)
+    setError(null)
+    setMessage(null)
+    try {
+      await action()
+    } catch (err) {
+      console.error('Error managing AI comments:', err)
+      setError(err.message)
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  // Replace the tracked list with the AI comments currently on the PR
+  const syncFromBitbucket = () => runAction('sync', async () => {
+    const aiComments = await getAIComments(config.bitbucketUsername, config.bitbucketAppPassword, workspace, repoSlug, pr.id)
+    const tracked = new Map(comments.map(comment => [comment.commentId, comment]))
+    await saveComments(aiComments.map(comment => ({
+      commentId: comment.id,
+      type: comment.type,
+      file: comment.file,
+      line: comment.line,
+      body: comment.header + comment.body,
+      resolved: comment.resolved,
+      postedAt: tracked.get(comment.id)?.postedAt || null
+    })))
+    setMessage(`Found ${aiComments.length} AI comment${aiComments.length !== 1 ? 's' : ''} on the pull request`)
+  })
+
+  const saveEdit = (comment) => runAction(comment.commentId, async () => {
+    await updatePRComment(config.bitbucketUsername, config.bitbucketAppPassword, workspace, repoSlug, pr.id, comment.commentId, editText)
+    await saveComments(comments.map(c => c.commentId === comment.commentId ? { ...c, body: editText } : c))
+    setEditingId(null)
+  })
+
+  const toggleResolved = (comment) => runAction(comment.commentId, async () => {
+    await setPRCommentResolved(config.bitbucketUsername, config.bitbucketAppPassword, workspace, repoSlug, pr.id, comment.commentId, !comment.resolved)
+    await saveComments(comments.map(c => c.commentId === comment.commentId ? { ...c, resolved: !comment.resolved } : c))
+  })
+
+  const deleteComment = (comment) => runAction(comment.commentId, async () => {
+    await deletePRComment(config.bitbucketUsername, config.bitbucketAppPassword, workspace, repoSlug, pr.id, comment.commentId)
+    await saveComments(comments.filter(c => c.commentId !== comment.commentId))
+  })
+
+  const createTask = (comment) => runAction(comment.commentId, async () => {
+    const finding = parseFindingBody(comment.body)
+    const content = buildTaskContent({
+      file: comment.file,
+      line: comment.line,
+      severity: finding?.severity,
+      comment: finding?.text || comment.body
+    })
+    const task = await createPRTask(config.bitbucketUsername, config.bitbucketAppPassword, workspace, repoSlug, pr.id, content, comment.commentId)
+    await saveTasks(trackTasks(tasks, [{ task, finding: comment, commentId: comment.commentId }]))
+  })
+
+  const cleanUpAll = () => {
+    if (!window.confirm('Delete every AI review comment you posted on this pull request? This cannot be undone.')) {
+      return
+    }
+    runAction('cleanup', async () => {
+      const results = await deleteAIComments(config.bitbucketUsername, config.bitbucketAppPassword, workspace, repoSlug, pr.id)
+      const failedIds = new Set(results.failed.map(failure => failure.commentId))
+      await saveComments(comments.filter(comment => failedIds.has(comment.commentId)))
+      if (results.failed.length > 0) {
+        setError(`Deleted ${results.deleted.length} AI comments, ${results.failed.length} could not be deleted`)
+      } else {
+        setMessage(`Deleted ${results.deleted.length} AI comment${results.deleted.length !== 1 ? 's' : ''}`)
+      }
+    })
+  }
+
+  const openTasks = tasks.filter(task => task.state !== TASK_STATES.RESOLVED)
+  const taskByComment = new Map(tasks.map(task => [task.commentId, task]))
+
+  return (
+    <div className="mt-4 pt-4 border-t">
+      <div className="flex items-center justify-between mb-2">
+        <h5 className="font-medium text-gray-900">
+          Posted AI Comments ({comments.length})
+        </h5>
+        <div className="flex items-center space-x-2">
+          <button
+            onClick={syncFromBitbucket}
+            disabled={!!busyId}
+            className="btn btn-sm btn-secondary"
+            title="Load the AI comments currently on the pull request"
+          >
+            {busyId === 'sync' ? <span className="spinner-sm"></span> : '🔄 Sync'}
+          </button>
+          <button
+            onClick={cleanUpAll}
+            disabled={!!busyId}
+            className="btn btn-sm btn-danger"
+            title="Delete every AI comment on this pull request"
+          >
+            {busyId === 'cleanup' ? <span className="spinner-sm"></span> : '🧹 Clean Up All'}
+          </button>
+        </div>
+      </div>
+
+      {error && <p className="text-xs text-red-700 mb-2">❌ {error}</p>}
+      {message && <p className="text-xs text-green-700 mb-2">✅ {message}</p>}
+
+      {tasks.length > 0 && (
+        <div className="mb-3 p-2 rounded bg-gray-50 border border-gray-200 text-xs">
+          <p className="font-medium text-gray-900 mb-1">
+            📌 Tasks: {openTasks.length} open, {tasks.length - openTasks.length} resolved
+          </p>
+          <ul className="space-y-1">
+            {tasks.map(task => (
+              <li key={task.taskId} className="flex items-start space-x-2">
+                <span className={`badge ${task.state === TASK_STATES.RESOLVED ? 'badge-success' : 'badge-warning'}`}>
+                  {task.state === TASK_STATES.RESOLVED ? 'Resolved' : 'Open'}
+                </span>
+                <span className={task.state === TASK_STATES.RESOLVED ? 'text-gray-500 line-through' : 'text-gray-800'}>
+                  {truncateText(task.content, 150)}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {comments.length === 0 ? (
+        <p className="text-xs text-gray-500">
+          No AI comments tracked for this pull request. Use Sync to load comments posted elsewhere (e.g. by the CLI).
+        </p>
+      ) : (
+        <div className="space-y-2">
+          {comments.map(comment => (
+            <div
+              key={comment.commentId}
+              className={`rounded p-2 border text-xs ${comment.resolved ? 'bg-gray-50 border-gray-200 opacity-70' : 'bg-white border-gray-200'}`}
+            >
+              <div className="flex items-center justify-between mb-1">
+                <span className="font-mono bg-gray-100 px-1 rounded">
+                  {comment.type === 'summary' ? 'Summary' : `${comment.file}:${comment.line}`}
+                </span>
+                <div className="flex items-center space-x-1">
+                  {taskByComment.has(comment.commentId) && (
+                    <span className="badge badge-primary">
+                      📌 Task {taskByComment.get(comment.commentId).state === TASK_STATES.RESOLVED ? 'resolved' : 'open'}
+                    </span>
+                  )}
+                  {comment.resolved && <span className="badge badge-secondary">Resolved</span>}
+                </div>
+              </div>
+
+              {editingId === comment.commentId ? (
+                <textarea
+                  value={editText}
+                  onChange={(e) => setEditText(e.target.value)}
+                  rows={4}
+                  className="form-textarea text-xs"
+                />
+              ) : (
+                <p className="text-gray-800 whitespace-pre-wrap">{truncateText(comment.body, 300)}</p>
+              )}
+
+              <div className="mt-2 flex items-center space-x-2">
+                {editingId === comment.commentId ? (
+                  <>
+                    <button
+                      onClick={() => saveEdit(comment)}
+                      disabled={!!busyId || editText.trim().length === 0}
+                      className="btn btn-sm btn-primary"
+                    >
+                      💾 Save
+                    </button>
+                    <button onClick={() => setEditingId(null)} className="btn btn-sm btn-secondary">
+                      Cancel
+                    </button>
+                  </>
+                ) : (
+                  <>
+                    <button
+                      onClick={() => {
+                        setEditingId(comment.commentId)
+                        setEditText(comment.body)
+                      }}
+                      disabled={!!busyId}
+                      className="btn btn-sm btn-secondary"
+                    >
+                      ✏️ Edit
+                    </button>
+                    {comment.type !== 'summary' && (
+                      <button
+                        onClick={() => toggleResolved(comment)}
+                        disabled={!!busyId}
+                        className="btn btn-sm btn-secondary"
+                      >
+                        {comment.resolved ? '↩️ Reopen' : '✔️ Resolve'}
+                      </button>
+                    )}
+                    {comment.type === 'inline' && !taskByComment.has(comment.commentId) && (
+                      <button
+                        onClick={() => createTask(comment)}
+                        disabled={!!busyId}
+                        className="btn btn-sm btn-secondary"
+                        title="Create a PR task linked to this comment"
+                      >
+                        📌 Task
+                      </button>
+                    )}
+                    <button
+                      onClick={() => deleteComment(comment)}
+                      disabled={!!busyId}
+                      className="btn btn-sm btn-secondary"
+                    >
+                      🗑️ Delete
+                    </button>
+                  </>
+                )}
+                {busyId === comment.commentId && <span className="spinner-sm"></span>}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default PostedComments
@@ -1,9 +1,19 @@
 import React, { useState, useEffect, useRef } from 'react'
+import { useSearchParams } from 'react-router-dom'
 import { searchRepositories } from '../services/bitbucketApi'
 import RepoListItem from './RepoListItem.jsx'
 import PRList from './PRList.jsx'
 
+// Links of the form ?repo=<workspace>/<repo>&pr=<id> (e.g. from a commit build status)
+// open that repository's pull requests with the review of the given PR expanded
+const getLinkedRepo = (searchParams) => {
+  const fullName = searchParams.get('repo')
+  if (!fullName || !/^[^/]+\/[^/]+$/.test(fullName)) return null
+  return { full_name: fullName, name: fullName.split('/')[1] }
+}
+
 const RepoSearch = ({ config }) => {
+  const [searchParams] = useSearchParams()
   const [searchTerm, setSearchTerm] = useState('')
   const [repositories, setRepositories] = useState([])
   const [pagination, setPagination] = useState({
@@ -11,7 +21,8 @@ const RepoSearch = ({ config }) => {
     totalPages: 0,
     size: 0
   })
-  const [selectedRepo, setSelectedRepo] = useState(null)
+  const [selectedRepo, setSelectedRepo] = useState(() => getLinkedRepo(searchParams))
+  const linkedPrId = parseInt(searchParams.get('pr')) || null
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState(null)
   const [hasSearched, setHasSearched] = useState(false)
@@ -250,6 +261,7 @@ const RepoSearch = ({ config }) => {
           <PRList 
             repo={selectedRepo}
             config={config}
+            focusPrId={selectedRepo.full_name === searchParams.get('repo') ? linkedPrId : null}
             onReady={handlePRListReady}
           />
         </div>
@@ -0,0 +1,102 @@
+import React from 'react'
+import clsx from 'clsx'
+import { hasApplicableSuggestion, getSuggestionDiffRows } from '../utils/suggestions.js'
+
+// Severity badge mapping
+const SEVERITY_BADGES = {
+  critical: 'badge-danger',
+  high: 'badge-danger',
+  medium: 'badge-warning',
+  low: 'badge-primary',
+  info: 'badge-secondary'
+}
+
+// Findings that did not come from the LLM
+const SOURCE_LABELS = {
+  'secret-scan': '🔐 Secret scan',
+  rule: '📏 Rule'
+}
+
+const DIFF_ROW_STYLES = {
+  context: { row: 'text-gray-700', prefix: ' ' },
+  removed: { row: 'bg-red-50 text-red-800', prefix: '-' },
+  added: { row: 'bg-green-50 text-green-800', prefix: '+' }
+}
+
+// Before/after view of a suggested change against the lines of the diff
+const SuggestionDiff = ({ comment }) => (
+  <div className="mt-2 border border-gray-200 rounded overflow-x-auto bg-white">
+    <div className="px-2 py-1 text-xs font-medium text-gray-600 border-b border-gray-200">Suggested change</div>
+    <pre className="text-xs">
+      {getSuggestionDiffRows(comment).map((row, index) => (
+        <div key={index} className={clsx('px-2', DIFF_ROW_STYLES[row.type].row)}>
+          <span className="inline-block w-10 text-gray-400 select-none">{row.lineNumber ?? ''}</span>
+          {DIFF_ROW_STYLES[row.type].prefix} {row.content}
+        </div>
+      ))}
+    </pre>
+  </div>
+)
+
+// A single AI review finding
+// Pass `editor` to replace the comment text (e.g. while editing) and `actions` for buttons under it
+const ReviewCommentCard = ({ comment, className, badge, editor, actions }) => (
+  <div className={clsx('rounded-lg p-3 border', className || 'bg-gray-50 border-gray-200')}>
+    <div className="flex items-start justify-between mb-2">
+      <div className="flex items-center space-x-2">
+        <span className="font-mono text-xs bg-gray-100 px-2 py-1 rounded">
+          {comment.file}
+        </span>
+        <span className="text-xs text-gray-600">
+          {comment.end_line ? `Lines ${comment.line}-${comment.end_line}` : `Line ${comment.line}`}
+          {comment.side === 'old' && ' (removed)'}
+        </span>
+        {badge}
+      </div>
+      {comment.severity && (
+        <div className="flex items-center space-x-2">
+          <span className={`badge ${SEVERITY_BADGES[comment.severity] || 'badge-secondary'}`}>
+            {comment.severity}
+          </span>
+          <span className="text-xs text-gray-600">{comment.category}</span>
+          {SOURCE_LABELS[comment.source] && (
+            <span className="badge badge-secondary" title={comment.rule ? `Local rule ${comment.rule}` : undefined}>
+              {SOURCE_LABELS[comment.source]}{comment.rule && `: ${comment.rule}`}
+            </span>
+          )}
+          {typeof comment.confidence === 'number' && !comment.source && (
+            <span className="text-xs text-gray-500" title="Model confidence">
+              {Math.round(comment.confidence * 100)}%
+            </span>
+          )}
+        </div>
+      )}
+    </div>
+    {editor || (
+      <>
+        <div className="text-sm text-gray-800 whitespace-pre-wrap">
+          {comment.comment}
+        </div>
+        {comment.suggestion && (
+          <pre className="mt-2 text-xs bg-white border border-gray-200 rounded p-2 overflow-x-auto">
+            {comment.suggestion}
+          </pre>
+        )}
+        {hasApplicableSuggestion(comment) ? (
+          <SuggestionDiff comment={comment} />
+        ) : typeof comment.replacement === 'string' && (
+          <pre className="mt-2 text-xs bg-white border border-gray-200 rounded p-2 overflow-x-auto" title="The replaced lines are not part of the diff">
+            {comment.replacement}
+          </pre>
+        )}
+      </>
+    )}
+    {actions && (
+      <div className="mt-2 flex items-center space-x-2">
+        {actions}
+      </div>
+    )}
+  </div>
+)
+
+export default ReviewCommentCard
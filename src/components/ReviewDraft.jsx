@@ -0,0 +1,138 @@
+import React, { useState } from 'react'
+import ReviewCommentCard from './ReviewCommentCard.jsx'
+import { DRAFT_STATUS, getDraftCounts } from '../utils/reviewDraft.js'
+
+const STATUS_STYLES = {
+  [DRAFT_STATUS.PENDING]: { card: 'bg-gray-50 border-gray-200', badge: 'badge-secondary', label: 'Pending' },
+  [DRAFT_STATUS.ACCEPTED]: { card: 'bg-green-50 border-green-200', badge: 'badge-success', label: 'Accepted' },
+  [DRAFT_STATUS.DISCARDED]: { card: 'bg-white border-gray-200 opacity-60', badge: 'badge-secondary', label: 'Discarded' },
+  [DRAFT_STATUS.POSTED]: { card: 'bg-blue-50 border-blue-200', badge: 'badge-primary', label: 'Posted' }
+}
+
+// Triage list for draft AI comments: edit, accept or discard each one, then post the accepted set
+const ReviewDraft = ({ draft, canPost, posting, onUpdateComment, onAcceptAll, onPost }) => {
+  const [editingId, setEditingId] = useState(null)
+  const [editText, setEditText] = useState('')
+
+  const counts = getDraftCounts(draft)
+
+  const startEditing = (comment) => {
+    setEditingId(comment.id)
+    setEditText(comment.comment)
+  }
+
+  const saveEdit = (comment) => {
+    onUpdateComment(comment.id, {
+      comment: editText,
+      // Editing a comment implies it should be posted
+      status: comment.status === DRAFT_STATUS.DISCARDED ? comment.status : DRAFT_STATUS.ACCEPTED
+    })
+    setEditingId(null)
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between">
+        <h5 className="font-medium text-gray-900">
+          Draft Comments ({draft.comments.length})
+        </h5>
+        <div className="text-xs text-gray-600 space-x-3">
+          <span>⏳ {counts.pending} pending</span>
+          <span>✅ {counts.accepted} accepted</span>
+          <span>🗑️ {counts.discarded} discarded</span>
+          {counts.posted > 0 && <span>💬 {counts.posted} posted</span>}
+        </div>
+      </div>
+
+      {draft.comments.map(comment => {
+        const style = STATUS_STYLES[comment.status]
+        const isEditing = editingId === comment.id
+        const isPosted = comment.status === DRAFT_STATUS.POSTED
+
+        return (
+          <ReviewCommentCard
+            key={comment.id}
+            comment={comment}
+            className={style.card}
+            badge={
+              <span className={`badge ${style.badge}`}>
+                {style.label}{comment.comment !== comment.originalComment ? ' (edited)' : ''}
+              </span>
+            }
+            editor={isEditing && (
+              <textarea
+                value={editText}
+                onChange={(e) => setEditText(e.target.value)}
+                rows={4}
+                className="form-textarea text-sm"
+              />
+            )}
+            actions={!isPosted && (isEditing ? (
+              <>
+                <button
+                  onClick={() => saveEdit(comment)}
+                  disabled={editText.trim().length === 0}
+                  className="btn btn-sm btn-primary"
+                >
+                  💾 Save
+                </button>
+                <button onClick={() => setEditingId(null)} className="btn btn-sm btn-secondary">
+                  Cancel
+                </button>
+              </>
+            ) : (
+              <>
+                {comment.status !== DRAFT_STATUS.ACCEPTED && (
+                  <button
+                    onClick={() => onUpdateComment(comment.id, { status: DRAFT_STATUS.ACCEPTED })}
+                    className="btn btn-sm btn-success"
+                  >
+                    ✅ Accept
+                  </button>
+                )}
+                {comment.status !== DRAFT_STATUS.DISCARDED && (
+                  <button
+                    onClick={() => onUpdateComment(comment.id, { status: DRAFT_STATUS.DISCARDED })}
+                    className="btn btn-sm btn-secondary"
+                  >
+                    🗑️ Discard
+                  </button>
+                )}
+                <button onClick={() => startEditing(comment)} className="btn btn-sm btn-secondary">
+                  ✏️ Edit
+                </button>
+              </>
+            ))}
+          />
+        )
+      })}
+
+      <div className="flex items-center justify-end space-x-2 pt-2">
+        {counts.pending > 0 && (
+          <button onClick={onAcceptAll} className="btn btn-sm btn-secondary">
+            ✅ Accept All Pending ({counts.pending})
+          </button>
+        )}
+        {canPost && (
+          <button
+            onClick={onPost}
+            disabled={posting || counts.accepted === 0}
+            className="btn btn-sm btn-primary"
+            title="Post the accepted comments to the pull request"
+          >
+            {posting ? (
+              <>
+                <span className="spinner-sm mr-2"></span>
+                Posting...
+              </>
+            ) : (
+              `💬 Post ${counts.accepted} Accepted Comment${counts.accepted !== 1 ? 's' : ''}`
+            )}
+          </button>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default ReviewDraft
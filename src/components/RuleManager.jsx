@@ -0,0 +1,213 @@
+import React, { useState, useEffect } from 'react'
+import { getReviewRules, saveReviewRule, deleteReviewRule } from '../db/indexedDB'
+import { SEVERITIES, CATEGORIES } from '../utils/reviewSchema'
+import { BUILT_IN_RULES, validateRule, createRule } from '../utils/ruleEngine'
+
+const EMPTY_RULE = {
+  name: '',
+  pattern: '',
+  ignoreCase: false,
+  severity: 'low',
+  category: 'other',
+  message: '',
+  include: ''
+}
+
+// Built-in local rules are switched on and off in the configuration; user-defined
+// rules are saved to IndexedDB right away, independently of the configuration form
+const RuleManager = ({ disabledRules = [], onDisabledRulesChange }) => {
+  const [userRules, setUserRules] = useState([])
+  const [newRule, setNewRule] = useState(EMPTY_RULE)
+  const [ruleErrors, setRuleErrors] = useState([])
+
+  useEffect(() => {
+    loadRules()
+  }, [])
+
+  const loadRules = async () => {
+    try {
+      setUserRules(await getReviewRules())
+    } catch (error) {
+      console.error('Error loading review rules:', error)
+    }
+  }
+
+  const toggleBuiltInRule = (ruleId, enabled) => {
+    onDisabledRulesChange(enabled
+      ? disabledRules.filter(id => id !== ruleId)
+      : [...disabledRules, ruleId])
+  }
+
+  const updateNewRule = (field, value) => {
+    setNewRule(prev => ({ ...prev, [field]: value }))
+    setRuleErrors([])
+  }
+
+  const addRule = async () => {
+    const rule = createRule({
+      name: newRule.name.trim(),
+      pattern: newRule.pattern,
+      flags: newRule.ignoreCase ? 'i' : '',
+      severity: newRule.severity,
+      category: newRule.category,
+      message: newRule.message.trim(),
+      include: newRule.include.split(',').map(glob => glob.trim()).filter(Boolean)
+    })
+    const errors = validateRule(rule)
+    if (errors.length > 0) {
+      setRuleErrors(errors)
+      return
+    }
+
+    try {
+      await saveReviewRule(rule)
+      setNewRule(EMPTY_RULE)
+      await loadRules()
+    } catch (error) {
+      console.error('Error saving review rule:', error)
+      setRuleErrors(['Failed to save the rule'])
+    }
+  }
+
+  const toggleUserRule = async (rule) => {
+    try {
+      await saveReviewRule({ ...rule, enabled: rule.enabled === false })
+      await loadRules()
+    } catch (error) {
+      console.error('Error updating review rule:', error)
+    }
+  }
+
+  const removeUserRule = async (ruleId) => {
+    try {
+      await deleteReviewRule(ruleId)
+      await loadRules()
+    } catch (error) {
+      console.error('Error deleting review rule:', error)
+    }
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="space-y-2">
+        {BUILT_IN_RULES.map(rule => (
+          <label key={rule.id} className="flex items-start space-x-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              className="mt-1"
+              checked={!disabledRules.includes(rule.id)}
+              onChange={(e) => toggleBuiltInRule(rule.id, e.target.checked)}
+            />
+            <span>
+              <span className="font-medium">{rule.name}</span>
+              <span className="text-xs text-gray-500 ml-2">{rule.severity} · {rule.category}</span>
+              <span className="block text-xs text-gray-500">{rule.message}</span>
+            </span>
+          </label>
+        ))}
+      </div>
+
+      {userRules.length > 0 && (
+        <div className="space-y-2">
+          {userRules.map(rule => (
+            <div key={rule.id} className="flex items-center space-x-2">
+              <input
+                type="checkbox"
+                checked={rule.enabled !== false}
+                onChange={() => toggleUserRule(rule)}
+                aria-label={`Enable ${rule.name}`}
+              />
+              <span className="text-sm flex-1 truncate">
+                <span className="font-medium">{rule.name}</span>
+                <span className="font-mono text-xs bg-gray-100 px-1 rounded ml-2">/{rule.pattern}/{rule.flags}</span>
+                <span className="text-xs text-gray-500 ml-2">{rule.severity} · {rule.category}</span>
+              </span>
+              <button
+                type="button"
+                onClick={() => removeUserRule(rule.id)}
+                className="btn-secondary btn-sm"
+                title="Delete rule"
+              >
+                ✕
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="p-3 bg-gray-50 rounded-lg border border-gray-200 space-y-2">
+        <p className="text-sm font-medium text-gray-700">Add a rule</p>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+          <input
+            type="text"
+            value={newRule.name}
+            onChange={(e) => updateNewRule('name', e.target.value)}
+            className="form-input"
+            placeholder="Name, e.g. No moment.js"
+          />
+          <input
+            type="text"
+            value={newRule.pattern}
+            onChange={(e) => updateNewRule('pattern', e.target.value)}
+            className="form-input font-mono text-sm"
+            placeholder="Regular expression, e.g. from ['&quot;]moment['&quot;]"
+          />
+          <select
+            value={newRule.severity}
+            onChange={(e) => updateNewRule('severity', e.target.value)}
+            className="form-input"
+            aria-label="Severity"
+          >
+            {SEVERITIES.map(severity => (
+              <option key={severity} value={severity}>{severity}</option>
+            ))}
+          </select>
+          <select
+            value={newRule.category}
+            onChange={(e) => updateNewRule('category', e.target.value)}
+            className="form-input"
+            aria-label="Category"
+          >
+            {CATEGORIES.map(category => (
+              <option key={category} value={category}>{category}</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            value={newRule.message}
+            onChange={(e) => updateNewRule('message', e.target.value)}
+            className="form-input md:col-span-2"
+            placeholder="Comment posted on matching lines"
+          />
+          <input
+            type="text"
+            value={newRule.include}
+            onChange={(e) => updateNewRule('include', e.target.value)}
+            className="form-input font-mono text-sm"
+            placeholder="Only in files (globs, comma separated)"
+          />
+          <label className="flex items-center space-x-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={newRule.ignoreCase}
+              onChange={(e) => updateNewRule('ignoreCase', e.target.checked)}
+            />
+            <span>Ignore case</span>
+          </label>
+        </div>
+        {ruleErrors.map(error => (
+          <p key={error} className="form-error">{error}</p>
+        ))}
+        <button
+          type="button"
+          onClick={addRule}
+          className="btn-secondary whitespace-nowrap"
+        >
+          ➕ Add Rule
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default RuleManager
@@ -1,7 +1,10 @@
 import { openDB } from 'idb';
+import { DEFAULT_CONFIG, migrateConfig } from '../utils/defaultConfig.js';
+import { trackPostedComments } from '../utils/aiComments.js';
+import { trackTasks } from '../utils/prTasks.js';
 
 const DB_NAME = 'bitbucket_ai_review';
-const DB_VERSION = 1;
+const DB_VERSION = 5;
 
 // Initialize IndexedDB
 export const initDB = async () => {
@@ -21,6 +24,26 @@ export const initDB = async () => {
       if (!db.objectStoreNames.contains('reviews')) {
         db.createObjectStore('reviews', { keyPath: 'prKey' });
       }
+
+      // Draft comments awaiting triage before they are posted (v2)
+      if (!db.objectStoreNames.contains('review_drafts')) {
+        db.createObjectStore('review_drafts', { keyPath: 'prKey' });
+      }
+
+      // Bitbucket IDs of the AI comments posted on each PR (v3)
+      if (!db.objectStoreNames.contains('posted_comments')) {
+        db.createObjectStore('posted_comments', { keyPath: 'prKey' });
+      }
+
+      // PR tasks created from AI findings (v4)
+      if (!db.objectStoreNames.contains('pr_tasks')) {
+        db.createObjectStore('pr_tasks', { keyPath: 'prKey' });
+      }
+
+      // User-defined local review rules (v5)
+      if (!db.objectStoreNames.contains('review_rules')) {
+        db.createObjectStore('review_rules', { keyPath: 'id' });
+      }
     },
   });
 };
@@ -29,45 +52,7 @@ export const initDB = async () => {
 export const getConfig = async () => {
   const db = await initDB();
   const config = await db.get('config', 'singleton');
-  return config || {
-    llmToken: '',
-    bitbucketUsername: '',
-    bitbucketAppPassword: '',
-    reviewPrompt: `You are an expert code reviewer tasked with reviewing a pull request.
-
-Below is the description of the PR and the code changes:
-
-## Pull Request Description
-{pr_description}
-
-## Code Changes
-{code_changes}
-
-Please provide a thorough code review with the following (suggest fix if needed):
-1. Identify any bugs, logic errors, or potential issues
-2. Suggest improvements in readability, performance, or maintainability
-3. Comment on code structure and organization
-4. Check for proper error handling and edge cases
-5. Assess if the implementation meets the requirements
-6. If a modified block is not an issue or low severity, do **not** add a comment for it.
-
-IMPORTANT: You MUST format your response as a valid JSON object with the following structure:
-\`\`\`json
-{{
-    "summary": "short Title of the changes",
-    "comments": [
-        {{
-            "file": "path/to/file.ext",
-            "line": 42,
-            "comment": "Severity: Your short comment about this code"
-        }},
-        ...more comments...
-    ]
-}}
-\`\`\`
-
-Do not include any text before or after the JSON. The entire response should be a valid JSON object that can be parsed directly. `
-  };
+  return config ? migrateConfig(config) : { ...DEFAULT_CONFIG };
 };
 
 export const saveConfig = async (configData) => {
@@ -82,12 +67,14 @@ export const isPRReviewed = async (prKey) => {
   return !!reviewedPR;
 };
 
-export const markPRReviewed = async (prKey, repoFullName, prId) => {
+// commitHash is the PR source commit that was reviewed, used to detect new pushes
+export const markPRReviewed = async (prKey, repoFullName, prId, commitHash = null) => {
   const db = await initDB();
   await db.put('reviewed_prs', {
     prKey,
     repoFullName,
     prId,
+    commitHash,
     reviewedAt: new Date().toISOString()
   });
 };
@@ -116,4 +103,87 @@ export const getReviewContent = async (prKey) => {
 export const getAllReviews = async () => {
   const db = await initDB();
   return await db.getAll('reviews');
+};
+
+// Review draft functions
+export const saveReviewDraft = async (draft) => {
+  const db = await initDB();
+  await db.put('review_drafts', draft);
+};
+
+export const getReviewDraft = async (prKey) => {
+  const db = await initDB();
+  return await db.get('review_drafts', prKey);
+};
+
+export const deleteReviewDraft = async (prKey) => {
+  const db = await initDB();
+  await db.delete('review_drafts', prKey);
+};
+
+// Posted AI comment functions
+export const getPostedComments = async (prKey) => {
+  const db = await initDB();
+  return await db.get('posted_comments', prKey);
+};
+
+export const savePostedComments = async (prKey, repoFullName, prId, comments) => {
+  const db = await initDB();
+  await db.put('posted_comments', {
+    prKey,
+    repoFullName,
+    prId,
+    comments,
+    updatedAt: new Date().toISOString()
+  });
+};
+
+// PR task functions
+export const getTrackedTasks = async (prKey) => {
+  const db = await initDB();
+  return await db.get('pr_tasks', prKey);
+};
+
+export const saveTrackedTasks = async (prKey, repoFullName, prId, tasks) => {
+  const db = await initDB();
+  await db.put('pr_tasks', {
+    prKey,
+    repoFullName,
+    prId,
+    tasks,
+    updatedAt: new Date().toISOString()
+  });
+};
+
+// Local review rule functions
+export const getReviewRules = async () => {
+  const db = await initDB();
+  return await db.getAll('review_rules');
+};
+
+export const saveReviewRule = async (rule) => {
+  const db = await initDB();
+  await db.put('review_rules', { ...rule, updatedAt: new Date().toISOString() });
+};
+
+export const deleteReviewRule = async (ruleId) => {
+  const db = await initDB();
+  await db.delete('review_rules', ruleId);
+};
+
+// Storage adapter for the review engine (see services/reviewEngine.js)
+export const indexedDBReviewStorage = {
+  saveReview: async (prKey, repoFullName, prId, reviewContent, metadata) => {
+    await markPRReviewed(prKey, repoFullName, prId, metadata?.sourceCommit);
+    await saveReviewContent(prKey, reviewContent, metadata);
+  },
+  savePostedComments: async (prKey, repoFullName, prId, postResults) => {
+    const existing = await getPostedComments(prKey);
+    await savePostedComments(prKey, repoFullName, prId, trackPostedComments(existing?.comments, postResults));
+  },
+  saveTasks: async (prKey, repoFullName, prId, created) => {
+    const existing = await getTrackedTasks(prKey);
+    await saveTrackedTasks(prKey, repoFullName, prId, trackTasks(existing?.tasks, created));
+  },
+  getRules: getReviewRules
 };
\ No newline at end of file
@@ -0,0 +1,180 @@
+import { createLLMClient, streamServerSentEvents, toLLMError } from './llmClient.js';
+import { describeRequestError } from './requestScheduler.js';
+
+const ANTHROPIC_API_BASE = 'https://api.anthropic.com/v1';
+const ANTHROPIC_VERSION = '2023-06-01';
+const REVIEW_TOOL_NAME = 'submit_review';
+
+const getAnthropicHeaders = (settings) => ({
+  'x-api-key': settings.apiKey,
+  'anthropic-version': ANTHROPIC_VERSION,
+  // Required for calling the API straight from the browser
+  'anthropic-dangerous-direct-browser-access': 'true'
+});
+
+// Create axios instance for the Anthropic Messages API
+const createAnthropicClient = (settings) => {
+  return createLLMClient(settings.baseUrl || ANTHROPIC_API_BASE, getAnthropicHeaders(settings));
+};
+
+// Messages API request body for a review prompt
+// Anthropic has no JSON mode, so structured output is a forced tool call whose input follows the schema
+const buildMessagesBody = (prompt, model, responseSchema = null) => ({
+  model,
+  max_tokens: 8096,
+  temperature: 0.1,
+  messages: [
+    {
+      role: 'user',
+      content: prompt
+    }
+  ],
+  ...(responseSchema && {
+    tools: [
+      {
+        name: REVIEW_TOOL_NAME,
+        description: 'Submit the code review',
+        input_schema: responseSchema
+      }
+    ],
+    tool_choice: { type: 'tool', name: REVIEW_TOOL_NAME }
+  })
+});
+
+const validateRequest = (prompt, settings) => {
+  if (!settings.apiKey) {
+    throw new Error('Anthropic API key is required');
+  }
+
+  if (!prompt || prompt.trim().length === 0) {
+    throw new Error('No diff content to review');
+  }
+};
+
+export const anthropicProvider = {
+  id: 'anthropic',
+  label: 'Anthropic',
+  defaultBaseUrl: ANTHROPIC_API_BASE,
+  defaultModel: 'claude-3-5-haiku-latest',
+  requiresApiKey: true,
+
+  review: async (prompt, settings, options = {}) => {
+    try {
+      validateRequest(prompt, settings);
+
+      const model = settings.model || anthropicProvider.defaultModel;
+      const api = createAnthropicClient(settings);
+
+      console.log('📤 Sending to Anthropic:', {
+        model,
+        promptLength: prompt.length
+      });
+
+      const response = await api.post('/messages', buildMessagesBody(prompt, model, options.responseSchema), { signal: options.signal });
+
+      const blocks = response.data?.content || [];
+      const toolUse = blocks.find(block => block.type === 'tool_use');
+      const content = toolUse
+        ? JSON.stringify(toolUse.input)
+        : blocks
+          .filter(block => block.type === 'text')
+          .map(block => block.text)
+          .join('');
+      if (!content) {
+        throw new Error('Empty response from Anthropic API');
+      }
+
+      return {
+        reviewResult: content.trim(),
+        usage: response.data.usage || {},
+        model: response.data.model || model
+      };
+    } catch (error) {
+      console.error('Error calling Anthropic API:', describeRequestError(error));
+      throw toLLMError(error, 'Anthropic');
+    }
+  },
+
+  // Same as review, but streams the response and calls options.onText with the text so far
+  reviewStream: async (prompt, settings, options = {}) => {
+    try {
+      validateRequest(prompt, settings);
+
+      const model = settings.model || anthropicProvider.defaultModel;
+      const baseUrl = (settings.baseUrl || ANTHROPIC_API_BASE).replace(/\/+$/, '');
+      let content = '';
+      let usage = {};
+      let responseModel = model;
+
+      await streamServerSentEvents(`${baseUrl}/messages`, {
+        headers: getAnthropicHeaders(settings),
+        body: { ...buildMessagesBody(prompt, model, options.responseSchema), stream: true },
+        signal: options.signal
+      }, ({ event, data }) => {
+        const payload = JSON.parse(data);
+        if (event === 'message_start') {
+          usage = payload.message?.usage || {};
+          responseModel = payload.message?.model || model;
+        } else if (event === 'content_block_delta' && payload.delta?.type === 'text_delta') {
+          content += payload.delta.text;
+          options.onText?.(content);
+        } else if (event === 'content_block_delta' && payload.delta?.type === 'input_json_delta') {
+          // Forced tool call: the review JSON arrives as partial tool input
+          content += payload.delta.partial_json;
+          options.onText?.(content);
+        } else if (event === 'message_delta' && payload.usage) {
+          usage = { ...usage, ...payload.usage };
+        } else if (event === 'error') {
+          throw new Error(payload.error?.message || 'Anthropic stream error');
+        }
+      });
+
+      if (!content) {
+        throw new Error('Empty response from Anthropic API');
+      }
+
+      return {
+        reviewResult: content.trim(),
+        usage,
+        model: responseModel
+      };
+    } catch (error) {
+      console.error('Error streaming from Anthropic API:', describeRequestError(error));
+      throw toLLMError(error, 'Anthropic');
+    }
+  },
+
+  testKey: async (settings) => {
+    try {
+      const api = createAnthropicClient(settings);
+      const response = await api.post('/messages', {
+        model: settings.model || anthropicProvider.defaultModel,
+        max_tokens: 20,
+        messages: [
+          {
+            role: 'user',
+            content: "Hello, please respond with 'API key is valid'"
+          }
+        ]
+      });
+
+      return (response.data?.content || []).length > 0;
+    } catch (error) {
+      return false;
+    }
+  },
+
+  listModels: async (settings) => {
+    try {
+      const api = createAnthropicClient(settings);
+      const response = await api.get('/models', { params: { limit: 100 } });
+      return (response.data?.data || []).map(model => ({
+        id: model.id,
+        name: model.display_name || model.id
+      }));
+    } catch (error) {
+      console.error('Error fetching Anthropic models:', describeRequestError(error));
+      return [];
+    }
+  }
+};
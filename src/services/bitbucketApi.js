@@ -1,19 +1,43 @@
 import axios from 'axios';
-import { parseUnifiedDiff, findBestLineForComment } from '../utils/diffParser';
+import { parseUnifiedDiff, getCommentAnchor } from '../utils/diffParser.js';
+import { withRequestScheduler, describeRequestError } from './requestScheduler.js';
+import {
+  formatReviewComment,
+  formatReviewSummary,
+  parseAIComment,
+  findExistingAIComment,
+  isCommentByUser,
+  fingerprintText
+} from '../utils/aiComments.js';
+import { MAX_FILE_CONTEXT_BYTES } from '../utils/fileContext.js';
+import { MAX_LISTED_FILES } from '../utils/relatedFiles.js';
+import { REPO_CONFIG_FILES } from '../utils/repoConfig.js';
+import { isSameCommit } from '../utils/auth.js';
+import {
+  INSIGHTS_REPORT_ID,
+  ANNOTATION_BATCH_SIZE,
+  buildInsightsReport,
+  buildInsightsAnnotations
+} from '../utils/codeInsights.js';
 
 const BITBUCKET_API_BASE = 'https://api.bitbucket.org/2.0';
 
+// File contents by repository, commit and path; a commit's files never change
+const FILE_CACHE_SIZE = 200;
+const fileContentCache = new Map();
+
 // Create axios instance with default config
+// All Bitbucket calls share one rate-limited queue (see requestScheduler.js)
 const createApiClient = (username, appPassword) => {
   const auth = btoa(`${username}:${appPassword}`);
-  return axios.create({
+  return withRequestScheduler(axios.create({
     baseURL: BITBUCKET_API_BASE,
     headers: {
       'Authorization': `Basic ${auth}`,
       'Content-Type': 'application/json',
     },
     timeout: 30000,
-  });
+  }));
 };
 
 // Search repositories
@@ -39,7 +63,7 @@ export const searchRepositories = async (username, appPassword, searchTerm, page
       }
     };
   } catch (error) {
-    console.error('Error searching repositories:', error);
+    console.error('Error searching repositories:', describeRequestError(error));
     throw new Error(
       error.response?.status === 401
         ? 'Invalid Bitbucket credentials'
@@ -73,7 +97,7 @@ export const getPullRequests = async (username, appPassword, workspace, repoSlug
       }
     };
   } catch (error) {
-    console.error('Error fetching pull requests:', error);
+    console.error('Error fetching pull requests:', describeRequestError(error));
     throw new Error(
       error.response?.status === 404
         ? 'Repository not found'
@@ -89,7 +113,7 @@ export const getPRDetails = async (username, appPassword, workspace, repoSlug, p
     const response = await api.get(`/repositories/${workspace}/${repoSlug}/pullrequests/${prId}`);
     return response.data;
   } catch (error) {
-    console.error('Error fetching PR details:', error);
+    console.error('Error fetching PR details:', describeRequestError(error));
     throw new Error('Failed to fetch pull request details');
   }
 };
@@ -106,7 +130,7 @@ export const getPRDiff = async (username, appPassword, workspace, repoSlug, prId
 
     return response.data;
   } catch (error) {
-    console.error('Error fetching PR diff:', error);
+    console.error('Error fetching PR diff:', describeRequestError(error));
     throw new Error(
       error.response?.status === 404
         ? 'Pull request not found or has no diff'
@@ -115,6 +139,147 @@ export const getPRDiff = async (username, appPassword, workspace, repoSlug, prId
   }
 };
 
+// Most commits checked for merges when reviewing only the commits since the last review
+const MAX_RANGE_COMMITS = 200;
+
+// Explain why the diff between two commits would not contain only the PR's own new changes:
+// the base is no longer an ancestor of the head (rebase or force push), or a merge commit
+// (e.g. the destination merged into the source) brings in changes from another branch.
+// Returns null when the range can be reviewed on its own.
+const getCommitRangeProblem = async (api, repoUrl, headCommit, baseCommit) => {
+  const mergeBase = await api.get(`${repoUrl}/merge-base/${headCommit}..${baseCommit}`);
+  if (!isSameCommit(mergeBase.data?.hash, baseCommit)) {
+    return 'The previously reviewed commit is no longer part of the branch - it may have been rebased or force-pushed';
+  }
+
+  const commits = await getAllPages(api, `${repoUrl}/commits/${headCommit}`, { exclude: baseCommit }, MAX_RANGE_COMMITS);
+  if (commits.some(commit => (commit.parents || []).length > 1)) {
+    return 'A merge commit was pushed since the last review, so the new changes may include other branches';
+  }
+  return null;
+};
+
+// Get the diff between two commits (used for incremental reviews)
+// Bitbucket's diff/{spec} compares the first commit against the second; topic=false
+// gives a plain two-dot diff instead of diffing against the merge base.
+// Throws when the range does not hold only the PR's new changes (see getCommitRangeProblem).
+export const getCommitRangeDiff = async (username, appPassword, workspace, repoSlug, headCommit, baseCommit) => {
+  const repoUrl = `/repositories/${workspace}/${repoSlug}`;
+  let rangeProblem;
+  try {
+    const api = createApiClient(username, appPassword);
+    rangeProblem = await getCommitRangeProblem(api, repoUrl, headCommit, baseCommit);
+    if (rangeProblem) {
+      throw new Error(rangeProblem);
+    }
+    const response = await api.get(`${repoUrl}/diff/${headCommit}..${baseCommit}`, {
+      params: {
+        topic: false,
+      },
+      headers: {
+        'Accept': 'text/plain',
+      },
+    });
+
+    return response.data;
+  } catch (error) {
+    if (rangeProblem) {
+      throw error;
+    }
+    console.error('Error fetching commit range diff:', describeRequestError(error));
+    throw new Error(
+      error.response?.status === 404
+        ? 'Previously reviewed commit not found - it may have been removed by a force push'
+        : 'Failed to fetch the diff since the last review'
+    );
+  }
+};
+
+// Get the content of a file at a commit, or null when it is larger than maxBytes
+// Results are cached by commit, so re-reviews and batches don't fetch the same file twice;
+// the size limit is part of the key since a file too large under one limit may fit another
+export const getFileContent = async (username, appPassword, workspace, repoSlug, commitHash, path, maxBytes = MAX_FILE_CONTEXT_BYTES) => {
+  const cacheKey = `${workspace}/${repoSlug}@${commitHash}:${path}<=${maxBytes}`;
+  if (fileContentCache.has(cacheKey)) {
+    return fileContentCache.get(cacheKey);
+  }
+
+  try {
+    const api = createApiClient(username, appPassword);
+    const url = `/repositories/${workspace}/${repoSlug}/src/${commitHash}/${path.split('/').map(encodeURIComponent).join('/')}`;
+
+    // Check the size first so large files are never downloaded
+    const meta = await api.get(url, { params: { format: 'meta' } });
+    let content = null;
+    if (meta.data.size <= maxBytes) {
+      const response = await api.get(url, {
+        headers: {
+          'Accept': 'text/plain',
+        },
+        responseType: 'text',
+        // Keep JSON files as text
+        transformResponse: [data => data],
+      });
+      content = response.data;
+    }
+
+    if (fileContentCache.size >= FILE_CACHE_SIZE) {
+      fileContentCache.delete(fileContentCache.keys().next().value);
+    }
+    fileContentCache.set(cacheKey, content);
+    return content;
+  } catch (error) {
+    console.error('Error fetching file content:', describeRequestError(error));
+    throw new Error(
+      error.response?.status === 404
+        ? `File ${path} not found at commit ${commitHash.substring(0, 12)}`
+        : `Failed to fetch ${path}`
+    );
+  }
+};
+
+// Get the repository's review configuration file at a commit
+// Returns { path, content }, or null when the repository has none
+export const getRepoConfigFile = async (username, appPassword, workspace, repoSlug, commitHash) => {
+  const api = createApiClient(username, appPassword);
+  for (const path of REPO_CONFIG_FILES) {
+    try {
+      const response = await api.get(`/repositories/${workspace}/${repoSlug}/src/${commitHash}/${path}`, {
+        headers: {
+          'Accept': 'text/plain',
+        },
+        responseType: 'text',
+        transformResponse: [data => data],
+      });
+      return { path, content: response.data };
+    } catch (error) {
+      if (error.response?.status === 404) {
+        continue;
+      }
+      console.error('Error fetching repository review config:', describeRequestError(error));
+      throw new Error(`Failed to fetch ${path}`);
+    }
+  }
+  return null;
+};
+
+// List the file paths of a repository at a commit, up to maxFiles
+export const listRepositoryFiles = async (username, appPassword, workspace, repoSlug, commitHash, maxFiles = MAX_LISTED_FILES) => {
+  try {
+    const api = createApiClient(username, appPassword);
+    const entries = await getAllPages(
+      api,
+      `/repositories/${workspace}/${repoSlug}/src/${commitHash}/`,
+      { max_depth: 20, q: 'type="commit_file"', fields: 'values.path,next' },
+      maxFiles
+    );
+    return entries.map(entry => entry.path);
+  } catch (error) {
+    console.error('Error listing repository files:', describeRequestError(error));
+    throw new Error('Failed to list repository files');
+  }
+};
+
 // Get pull request diffstat for file information
 export const getPRDiffstat = async (username, appPassword, workspace, repoSlug, prId) => {
   try {
@@ -122,7 +287,7 @@ export const getPRDiffstat = async (username, appPassword, workspace, repoSlug,
     const response = await api.get(`/repositories/${workspace}/${repoSlug}/pullrequests/${prId}/diffstat`);
     return response.data;
   } catch (error) {
-    console.error('Error fetching PR diffstat:', error);
+    console.error('Error fetching PR diffstat:', describeRequestError(error));
     throw new Error('Failed to fetch pull request diffstat');
   }
 };
@@ -134,7 +299,7 @@ export const getCurrentUser = async (username, appPassword) => {
     const response = await api.get('/user');
     return response.data;
   } catch (error) {
-    console.error('Error fetching current user:', error);
+    console.error('Error fetching current user:', describeRequestError(error));
     throw new Error('Invalid credentials or unable to fetch user info');
   }
 };
@@ -151,58 +316,169 @@ export const addPRComment = async (username, appPassword, workspace, repoSlug, p
 
     return response.data;
   } catch (error) {
-    console.error('Error adding PR comment:', error);
+    console.error('Error adding PR comment:', describeRequestError(error));
     throw new Error('Failed to add comment to pull request');
   }
 };
 
-// Add inline comment to PR on specific file and line
-export const addPRInlineComment = async (username, appPassword, workspace, repoSlug, prId, file, line, comment) => {
+// Fetch every value of a paginated collection
+const getAllPages = async (api, url, extraParams = {}, maxValues = Infinity) => {
+  const values = [];
+  let params = { pagelen: 100, ...extraParams };
+
+  while (url && values.length < maxValues) {
+    const response = await api.get(url, { params });
+    values.push(...(response.data.values || []));
+    // The next link already carries the query string
+    url = response.data.next || null;
+    params = undefined;
+  }
+
+  return values.slice(0, maxValues);
+};
+
+// Get all comments on a PR, following pagination
+export const getPRComments = async (username, appPassword, workspace, repoSlug, prId) => {
   try {
     const api = createApiClient(username, appPassword);
-    
-    // First, try to get the PR details to ensure we have the latest commit
-    const prDetails = await getPRDetails(username, appPassword, workspace, repoSlug, prId);
-    const destinationCommit = prDetails.destination?.commit?.hash;
-    
-    // Post as an inline comment on the specific file and line
+    return await getAllPages(api, `/repositories/${workspace}/${repoSlug}/pullrequests/${prId}/comments`);
+  } catch (error) {
+    console.error('Error fetching PR comments:', describeRequestError(error));
+    throw new Error('Failed to fetch pull request comments');
+  }
+};
+
+// Replace the text of an existing PR comment
+export const updatePRComment = async (username, appPassword, workspace, repoSlug, prId, commentId, comment) => {
+  try {
+    const api = createApiClient(username, appPassword);
+    const response = await api.put(`/repositories/${workspace}/${repoSlug}/pullrequests/${prId}/comments/${commentId}`, {
+      content: {
+        raw: comment
+      }
+    });
+
+    return response.data;
+  } catch (error) {
+    console.error('Error updating PR comment:', describeRequestError(error));
+    throw new Error('Failed to update comment on pull request');
+  }
+};
+
+// Create a PR task, attached to a comment when commentId is given
+export const createPRTask = async (username, appPassword, workspace, repoSlug, prId, content, commentId = null) => {
+  try {
+    const api = createApiClient(username, appPassword);
+    const response = await api.post(`/repositories/${workspace}/${repoSlug}/pullrequests/${prId}/tasks`, {
+      content: {
+        raw: content
+      },
+      ...(commentId ? { comment: { id: commentId } } : {})
+    });
+
+    return response.data;
+  } catch (error) {
+    console.error('Error creating PR task:', describeRequestError(error));
+    throw new Error('Failed to create task on pull request');
+  }
+};
+
+// Get all tasks on a PR, following pagination
+export const getPRTasks = async (username, appPassword, workspace, repoSlug, prId) => {
+  try {
+    const api = createApiClient(username, appPassword);
+    return await getAllPages(api, `/repositories/${workspace}/${repoSlug}/pullrequests/${prId}/tasks`);
+  } catch (error) {
+    console.error('Error fetching PR tasks:', describeRequestError(error));
+    throw new Error('Failed to fetch pull request tasks');
+  }
+};
+
+// Delete a PR comment
+export const deletePRComment = async (username, appPassword, workspace, repoSlug, prId, commentId) => {
+  try {
+    const api = createApiClient(username, appPassword);
+    await api.delete(`/repositories/${workspace}/${repoSlug}/pullrequests/${prId}/comments/${commentId}`);
+  } catch (error) {
+    // Already gone is as good as deleted
+    if (error.response?.status === 404) {
+      return;
+    }
+    console.error('Error deleting PR comment:', describeRequestError(error));
+    throw new Error('Failed to delete comment from pull request');
+  }
+};
+
+// Resolve a PR comment thread, or reopen it when resolved is false
+export const setPRCommentResolved = async (username, appPassword, workspace, repoSlug, prId, commentId, resolved = true) => {
+  try {
+    const api = createApiClient(username, appPassword);
+    const url = `/repositories/${workspace}/${repoSlug}/pullrequests/${prId}/comments/${commentId}/resolve`;
+    if (resolved) {
+      await api.post(url);
+    } else {
+      await api.delete(url);
+    }
+  } catch (error) {
+    console.error('Error changing PR comment resolution:', describeRequestError(error));
+    throw new Error(resolved ? 'Failed to resolve comment' : 'Failed to reopen comment');
+  }
+};
+
+// Build the `inline` anchor of a comment
+// New-side lines use `to`, removed lines use `from`; ranges add `start_to` / `start_from`
+const buildInlineAnchor = (file, { line, endLine = null, side = 'new' }) => {
+  const [startKey, endKey] = side === 'old' ? ['start_from', 'from'] : ['start_to', 'to'];
+  const inline = { path: file, [endKey]: parseInt(endLine || line) };
+  if (endLine && endLine > line) {
+    inline[startKey] = parseInt(line);
+  }
+  return inline;
+};
+
+// Describe an anchor for comments that could not be posted inline
+const formatAnchorLines = ({ line, endLine = null, side = 'new' }) => {
+  const lines = endLine && endLine > line ? `${line}-${endLine}` : `${line}`;
+  return side === 'old' ? `${lines} (removed)` : lines;
+};
+
+// Add inline comment to PR on specific file and line
+// `anchor` is a line number, or { line, endLine, side } for ranges and removed lines
+export const addPRInlineComment = async (username, appPassword, workspace, repoSlug, prId, file, anchor, comment) => {
+  const target = typeof anchor === 'object' ? anchor : { line: parseInt(anchor) };
+  const api = createApiClient(username, appPassword);
+  const postInline = async (inline) => {
     const response = await api.post(`/repositories/${workspace}/${repoSlug}/pullrequests/${prId}/comments`, {
       content: {
         raw: comment
       },
-      inline: {
-        path: file,
-        to: parseInt(line),  // Ensure line is a number
-        // from: null - not specifying 'from' for single-line comments
-      }
+      inline
     });
-    
     return response.data;
-    
+  };
+
+  try {
+    return await postInline(buildInlineAnchor(file, target));
   } catch (error) {
-    console.error('Error adding inline comment:', error.response?.data || error);
+    console.error('Error adding inline comment:', describeRequestError(error));
     
     // If inline comment fails with specific errors, try different approaches
     if (error.response?.status === 400) {
       const errorMessage = error.response?.data?.error?.message || '';
       
-      // If the error is about the line not being in the diff, try with 'from' parameter
+      // If the range or line is rejected, retry on the single first line, then on both sides of it
       if (errorMessage.includes('line') || errorMessage.includes('diff')) {
-        console.log('Trying inline comment with from parameter');
-        try {
-          const retryResponse = await api.post(`/repositories/${workspace}/${repoSlug}/pullrequests/${prId}/comments`, {
-            content: {
-              raw: comment
-            },
-            inline: {
-              path: file,
-              from: parseInt(line),
-              to: parseInt(line)
-            }
-          });
-          return retryResponse.data;
-        } catch (retryError) {
-          console.log('Inline comment with from/to failed, falling back to contextual comment');
+        const retries = [
+          ...(target.endLine ? [buildInlineAnchor(file, { ...target, endLine: null })] : []),
+          { path: file, from: parseInt(target.line), to: parseInt(target.line) }
+        ];
+        for (const inline of retries) {
+          console.log('Retrying inline comment with anchor', inline);
+          try {
+            return await postInline(inline);
+          } catch (retryError) {
+            console.log('Inline comment retry failed');
+          }
         }
       }
     }
@@ -210,7 +486,7 @@ export const addPRInlineComment = async (username, appPassword, workspace, repoS
     // If inline comment fails, try posting as a general comment with context
     console.log('All inline attempts failed, falling back to general comment with context');
     try {
-      const contextualComment = `**📍 File:** \`${file}\`\n**📍 Line:** ${line}\n\n${comment}`;
+      const contextualComment = `**📍 File:** \`${file}\`\n**📍 Line:** ${formatAnchorLines(target)}\n\n${comment}`;
       const fallbackResponse = await api.post(`/repositories/${workspace}/${repoSlug}/pullrequests/${prId}/comments`, {
         content: {
           raw: contextualComment
@@ -218,16 +494,19 @@ export const addPRInlineComment = async (username, appPassword, workspace, repoS
       });
       return { ...fallbackResponse.data, contextual: true };
     } catch (fallbackError) {
-      throw new Error(`Failed to add comment for ${file}:${line} - ${fallbackError.response?.data?.error?.message || fallbackError.message}`);
+      throw new Error(`Failed to add comment for ${file}:${formatAnchorLines(target)} - ${fallbackError.response?.data?.error?.message || fallbackError.message}`);
     }
   }
 };
 
 // Post all review comments to PR
+// Findings that were already posted by an earlier run are skipped, or updated in place
+// when only their wording around the same finding changed (e.g. severity or suggestion)
 export const postReviewComments = async (username, appPassword, workspace, repoSlug, prId, reviewResult) => {
   const results = {
     success: [],
-    failed: []
+    failed: [],
+    skipped: []
   };
 
   try {
@@ -239,27 +518,50 @@ export const postReviewComments = async (username, appPassword, workspace, repoS
     const fileMap = new Map();
     parsedFiles.forEach(file => {
       // Use the new path as the primary key
-      fileMap.set(file.newPath, file);
+      fileMap.set(file.filePath, file);
       // Also map the old path if it's different (for renamed files)
-      if (file.oldPath && file.oldPath !== file.newPath) {
-        fileMap.set(file.oldPath, file);
+      if (file.oldFilePath && file.oldFilePath !== file.filePath) {
+        fileMap.set(file.oldFilePath, file);
       }
     });
 
+    // Load the AI comments already on the PR so re-runs don't stack duplicates
+    const existingComments = await getAIComments(username, appPassword, workspace, repoSlug, prId);
+
     // Post summary as a general PR comment if it exists
     if (reviewResult.summary) {
-      try {
-        await addPRComment(
-          username, 
-          appPassword, 
-          workspace, 
-          repoSlug, 
-          prId, 
-          `## 🤖 AI Code Review Summary\n\n${reviewResult.summary}`
-        );
-        results.success.push({ type: 'summary', message: 'Summary posted successfully' });
-      } catch (error) {
-        results.failed.push({ type: 'summary', error: error.message });
+      const summaryFingerprint = fingerprintText(reviewResult.summary);
+      const existingSummary = existingComments.find(existing =>
+        existing.type === 'summary' && existing.fingerprint === summaryFingerprint
+      );
+
+      if (existingSummary) {
+        results.skipped.push({
+          type: 'summary',
+          commentId: existingSummary.id,
+          body: existingSummary.body,
+          reason: 'Summary already posted'
+        });
+      } else {
+        try {
+          const summaryBody = formatReviewSummary(reviewResult.summary);
+          const posted = await addPRComment(
+            username, 
+            appPassword, 
+            workspace, 
+            repoSlug, 
+            prId, 
+            summaryBody
+          );
+          results.success.push({
+            type: 'summary',
+            commentId: posted.id,
+            body: summaryBody,
+            message: 'Summary posted successfully'
+          });
+        } catch (error) {
+          results.failed.push({ type: 'summary', error: error.message });
+        }
       }
     }
 
@@ -274,17 +576,52 @@ export const postReviewComments = async (username, appPassword, workspace, repoS
             console.warn(`File ${comment.file} not found in diff, will try posting anyway`);
           }
           
-          // Find the best line for the comment
-          let targetLine = parseInt(comment.line);
-          let lineMetadata = null;
+          // Find the best lines for the comment, on the side of the diff it refers to
+          let anchor = {
+            line: parseInt(comment.line),
+            endLine: comment.end_line ? parseInt(comment.end_line) : null,
+            side: comment.side || 'new',
+            adjusted: false
+          };
           
           if (fileInfo) {
-            lineMetadata = findBestLineForComment(fileInfo, targetLine);
-            if (lineMetadata.adjusted) {
-              console.log(`Adjusted line ${targetLine} to ${lineMetadata.line} for ${comment.file}`);
-              targetLine = lineMetadata.line;
+            anchor = getCommentAnchor(fileInfo, anchor);
+            if (anchor.adjusted) {
+              console.log(`Adjusted line ${comment.line} to ${anchor.side}:${anchor.line} for ${comment.file}`);
             }
           }
+          const targetLine = anchor.line;
+
+          const body = formatReviewComment(comment);
+          const existing = findExistingAIComment(existingComments, comment, [targetLine, parseInt(comment.line)]);
+
+          if (existing && existing.body === body) {
+            results.skipped.push({
+              type: existing.type,
+              file: comment.file,
+              line: existing.line,
+              originalLine: comment.line,
+              commentId: existing.id,
+              body: existing.header + existing.body,
+              reason: 'Already posted'
+            });
+            continue;
+          }
+
+          if (existing) {
+            await updatePRComment(username, appPassword, workspace, repoSlug, prId, existing.id, existing.header + body);
+            results.success.push({
+              type: existing.type,
+              file: comment.file,
+              line: existing.line,
+              originalLine: comment.line,
+              commentId: existing.id,
+              body: existing.header + body,
+              message: 'Existing comment updated',
+              updated: true
+            });
+            continue;
+          }
           
           const result = await addPRInlineComment(
             username,
@@ -293,18 +630,22 @@ export const postReviewComments = async (username, appPassword, workspace, repoS
             repoSlug,
             prId,
             comment.file,
-            targetLine,
-            `**🤖 AI Review:** ${comment.comment}`
+            anchor,
+            body
           );
           
           results.success.push({ 
             type: result.contextual ? 'contextual' : 'inline', 
             file: comment.file, 
             line: targetLine,
+            endLine: anchor.endLine,
+            side: anchor.side,
             originalLine: comment.line,
+            commentId: result.id,
+            body: result.content?.raw || body,
             message: result.contextual ? 'Comment posted with file/line context' : 'Inline comment posted successfully',
             contextual: result.contextual || false,
-            adjusted: lineMetadata?.adjusted || false
+            adjusted: anchor.adjusted || false
           });
         } catch (error) {
           results.failed.push({ 
@@ -319,7 +660,135 @@ export const postReviewComments = async (username, appPassword, workspace, repoS
 
     return results;
   } catch (error) {
-    console.error('Error posting review comments:', error);
+    console.error('Error posting review comments:', describeRequestError(error));
     throw new Error('Failed to post review comments to Bitbucket');
   }
+};
+
+// Find every comment this tool posted on a PR as the authenticated user, including ones
+// posted by other runs or the CLI. AI comments of other accounts are never returned
+export const getAIComments = async (username, appPassword, workspace, repoSlug, prId) => {
+  const [comments, currentUser] = await Promise.all([
+    getPRComments(username, appPassword, workspace, repoSlug, prId),
+    getCurrentUser(username, appPassword)
+  ]);
+  return comments
+    .filter(comment => isCommentByUser(comment, currentUser))
+    .map(comment => {
+      const parsed = parseAIComment(comment);
+      return parsed && { ...parsed, resolved: !!comment.resolution };
+    })
+    .filter(Boolean);
+};
+
+// Delete every AI comment the authenticated user posted on a PR
+export const deleteAIComments = async (username, appPassword, workspace, repoSlug, prId) => {
+  const results = {
+    deleted: [],
+    failed: []
+  };
+
+  const aiComments = await getAIComments(username, appPassword, workspace, repoSlug, prId);
+  for (const comment of aiComments) {
+    try {
+      await deletePRComment(username, appPassword, workspace, repoSlug, prId, comment.id);
+      results.deleted.push(comment.id);
+    } catch (error) {
+      results.failed.push({ commentId: comment.id, file: comment.file, line: comment.line, error: error.message });
+    }
+  }
+
+  return results;
+};
+
+// Approve a PR or request changes as the authenticated user
+// The opposite decision is withdrawn first, since a reviewer can only hold one of them
+export const setPRReviewDecision = async (username, appPassword, workspace, repoSlug, prId, action) => {
+  const api = createApiClient(username, appPassword);
+  const prUrl = `/repositories/${workspace}/${repoSlug}/pullrequests/${prId}`;
+  const endpoint = action === 'approve' ? 'approve' : 'request-changes';
+  const opposite = action === 'approve' ? 'request-changes' : 'approve';
+
+  try {
+    try {
+      await api.delete(`${prUrl}/${opposite}`);
+    } catch (error) {
+      // Nothing to withdraw
+      if (![400, 404].includes(error.response?.status)) {
+        throw error;
+      }
+    }
+
+    const response = await api.post(`${prUrl}/${endpoint}`);
+    return response.data;
+  } catch (error) {
+    console.error(`Error setting PR review decision (${action}):`, describeRequestError(error));
+    throw new Error(
+      error.response?.status === 400 && error.response?.data?.error?.message
+        ? error.response.data.error.message
+        : action === 'approve'
+        ? 'Failed to approve pull request'
+        : 'Failed to request changes on pull request'
+    );
+  }
+};
+
+// Set a build status on a commit; state is INPROGRESS, SUCCESSFUL, FAILED or STOPPED
+// Statuses with the same key replace each other, so each review updates a single status
+export const setCommitBuildStatus = async (username, appPassword, workspace, repoSlug, commitHash, status) => {
+  try {
+    const api = createApiClient(username, appPassword);
+    const response = await api.post(`/repositories/${workspace}/${repoSlug}/commit/${commitHash}/statuses/build`, {
+      key: status.key || 'ai-code-review',
+      name: status.name || 'AI Code Review',
+      state: status.state,
+      description: (status.description || '').substring(0, 255),
+      url: status.url
+    });
+
+    return response.data;
+  } catch (error) {
+    console.error('Error setting commit build status:', describeRequestError(error));
+    throw new Error('Failed to set commit build status');
+  }
+};
+
+// Publish a review as a Code Insights report with one annotation per finding on a commit
+// The previous report is deleted first so stale annotations from an earlier review don't linger
+// options: { failOn } - findings at or above this severity make the report FAILED
+export const publishInsightsReport = async (username, appPassword, workspace, repoSlug, commitHash, reviewResult, options = {}) => {
+  try {
+    const api = createApiClient(username, appPassword);
+    const reportUrl = `/repositories/${workspace}/${repoSlug}/commit/${commitHash}/reports/${INSIGHTS_REPORT_ID}`;
+
+    try {
+      await api.delete(reportUrl);
+    } catch (error) {
+      if (error.response?.status !== 404) {
+        throw error;
+      }
+    }
+
+    const report = buildInsightsReport(reviewResult, options);
+    await api.put(reportUrl, report);
+
+    const annotations = buildInsightsAnnotations(reviewResult);
+    for (let i = 0; i < annotations.length; i += ANNOTATION_BATCH_SIZE) {
+      await api.post(`${reportUrl}/annotations`, annotations.slice(i, i + ANNOTATION_BATCH_SIZE));
+    }
+
+    return {
+      reportId: INSIGHTS_REPORT_ID,
+      commitHash,
+      result: report.result,
+      annotations: annotations.length
+    };
+  } catch (error) {
+    console.error('Error publishing Code Insights report:', describeRequestError(error));
+    throw new Error(
+      error.response?.status === 404
+        ? 'Commit not found - the pull request may have been updated'
+        : 'Failed to publish Code Insights report'
+    );
+  }
 };
\ No newline at end of file
@@ -0,0 +1,60 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import axios from 'axios';
+import { getFileContent } from './bitbucketApi.js';
+
+const FILE_SIZE = 5000;
+
+// Serve every file as FILE_SIZE bytes of text, recording the requests
+let requests;
+const originalAdapter = axios.defaults.adapter;
+
+beforeEach(() => {
+  requests = [];
+  axios.defaults.adapter = vi.fn(async (config) => {
+    requests.push({ url: config.url, format: config.params?.format || null });
+    const data = config.params?.format === 'meta' ? { size: FILE_SIZE } : `content of ${config.url}`;
+    return { data, status: 200, statusText: 'OK', headers: {}, config };
+  });
+});
+
+afterEach(() => {
+  axios.defaults.adapter = originalAdapter;
+});
+
+describe('getFileContent', () => {
+  it('skips the download of a file larger than the limit', async () => {
+    const content = await getFileContent('user', 'pass', 'team', 'repo', 'c1', 'src/large.js', FILE_SIZE - 1);
+
+    expect(content).toBeNull();
+    expect(requests).toEqual([{ url: '/repositories/team/repo/src/c1/src/large.js', format: 'meta' }]);
+  });
+
+  it('caches the content by commit and path', async () => {
+    const first = await getFileContent('user', 'pass', 'team', 'repo', 'c2', 'src/a b.js');
+    const second = await getFileContent('user', 'pass', 'team', 'repo', 'c2', 'src/a b.js');
+
+    expect(first).toBe('content of /repositories/team/repo/src/c2/src/a%20b.js');
+    expect(second).toBe(first);
+    expect(requests).toHaveLength(2);
+  });
+
+  it('does not reuse a result cached under a smaller size limit', async () => {
+    expect(await getFileContent('user', 'pass', 'team', 'repo', 'c3', 'src/app.js', 100)).toBeNull();
+    expect(await getFileContent('user', 'pass', 'team', 'repo', 'c3', 'src/app.js', 10000))
+      .toBe('content of /repositories/team/repo/src/c3/src/app.js');
+    expect(requests.map(request => request.format)).toEqual(['meta', 'meta', null]);
+  });
+
+  it('reports a missing file', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    axios.defaults.adapter = async (config) => {
+      const error = new Error('Request failed with status code 404');
+      error.config = config;
+      error.response = { status: 404, data: {}, headers: {}, config };
+      throw error;
+    };
+
+    await expect(getFileContent('user', 'pass', 'team', 'repo', 'abcdef1234567890', 'gone.js'))
+      .rejects.toThrow('File gone.js not found at commit abcdef123456');
+  });
+});
@@ -1,17 +1,87 @@
 import axios from 'axios';
+import { isAbortError, streamServerSentEvents } from './llmClient.js';
+import { withRequestScheduler, describeRequestError } from './requestScheduler.js';
+import { toGeminiSchema } from '../utils/reviewSchema.js';
 
-const GEMINI_API_BASE = 'https://generativelanguage.googleapis.com/v1beta';
+export const GEMINI_API_BASE = 'https://generativelanguage.googleapis.com/v1beta';
+export const DEFAULT_GEMINI_MODEL = 'gemini-2.5-flash-preview-05-20';
 
 // Create axios instance for Gemini API
-const createGeminiClient = (apiKey) => {
-  return axios.create({
-    baseURL: GEMINI_API_BASE,
+// Requests go through the shared scheduler so 429s from parallel batch reviews are retried
+const createGeminiClient = (apiKey, baseUrl = GEMINI_API_BASE) => {
+  return withRequestScheduler(axios.create({
+    baseURL: baseUrl || GEMINI_API_BASE,
     timeout: 60000, // Longer timeout for AI processing
-  });
+  }), { retryAllMethods: true });
+};
+
+// Request body shared by the regular and streaming generate endpoints
+// A JSON Schema switches on native structured output (responseMimeType/responseSchema)
+const buildGenerateContentBody = (fullPrompt, responseSchema = null) => ({
+  contents: [
+    {
+      parts: [
+        {
+          text: fullPrompt
+        }
+      ]
+    }
+  ],
+  generationConfig: {
+    temperature: 0.1,
+    topK: 40,
+    topP: 0.95,
+    maxOutputTokens: 8096, // Increased for JSON output
+    ...(responseSchema && {
+      responseMimeType: 'application/json',
+      responseSchema: toGeminiSchema(responseSchema)
+    })
+  },
+  safetySettings: [
+    {
+      category: "HARM_CATEGORY_HARASSMENT",
+      threshold: "BLOCK_MEDIUM_AND_ABOVE"
+    },
+    {
+      category: "HARM_CATEGORY_HATE_SPEECH",
+      threshold: "BLOCK_MEDIUM_AND_ABOVE"
+    },
+    {
+      category: "HARM_CATEGORY_SEXUALLY_EXPLICIT",
+      threshold: "BLOCK_MEDIUM_AND_ABOVE"
+    },
+    {
+      category: "HARM_CATEGORY_DANGEROUS_CONTENT",
+      threshold: "BLOCK_MEDIUM_AND_ABOVE"
+    }
+  ]
+});
+
+// Map API failures to user-facing errors; cancellations pass through untouched
+const toGeminiError = (error) => {
+  if (isAbortError(error)) {
+    return error;
+  }
+
+  if (error.response?.status === 401) {
+    return new Error('Invalid Gemini API key');
+  } else if (error.response?.status === 403) {
+    return new Error('Gemini API access forbidden - check your API key permissions');
+  } else if (error.response?.status === 429) {
+    return new Error('Gemini API rate limit exceeded - please try again later');
+  } else if (error.response?.status === 400) {
+    const errorMessage = error.response?.data?.error?.message || 'Invalid request to Gemini API';
+    return new Error(`Gemini API error: ${errorMessage}`);
+  } else if (error.code === 'ECONNABORTED') {
+    return new Error('Gemini API request timed out - the diff might be too large');
+  }
+  return new Error(error.message || 'Failed to get AI review');
 };
 
 // Review code using Gemini Flash
-export const reviewCode = async (diffText, prompt, apiKey, metadata = {}) => {
+// `options` may override the API base URL and model ({ baseUrl, model }), carry an AbortSignal
+// and request structured output with a JSON Schema ({ responseSchema })
+export const reviewCode = async (diffText, prompt, apiKey, metadata = {}, options = {}) => {
   try {
     if (!apiKey) {
       throw new Error('Gemini API key is required');
@@ -21,12 +91,13 @@ export const reviewCode = async (diffText, prompt, apiKey, metadata = {}) => {
       throw new Error('No diff content to review');
     }
 
-    const api = createGeminiClient(apiKey);
+    const api = createGeminiClient(apiKey, options.baseUrl);
+    const model = options.model || DEFAULT_GEMINI_MODEL;
 
     // Create the full prompt - handle both old and new calling patterns
     let fullPrompt;
     
-    if (diffText.includes('## Pull Request Context') || diffText.includes('## Changes Summary')) {
+    if (!prompt || diffText.includes('## Pull Request Context') || diffText.includes('## Changes Summary')) {
       // New enhanced format - diffText already contains the full structured prompt
       fullPrompt = diffText;
     } else {
@@ -44,41 +115,11 @@ export const reviewCode = async (diffText, prompt, apiKey, metadata = {}) => {
     });
 
     // Make request to Gemini Flash
-    const response = await api.post(`/models/gemini-2.5-flash-preview-05-20:generateContent?key=${apiKey}`, {
-      contents: [
-        {
-          parts: [
-            {
-              text: fullPrompt
-            }
-          ]
-        }
-      ],
-      generationConfig: {
-        temperature: 0.1,
-        topK: 40,
-        topP: 0.95,
-        maxOutputTokens: 8096, // Increased for JSON output
-      },
-      safetySettings: [
-        {
-          category: "HARM_CATEGORY_HARASSMENT",
-          threshold: "BLOCK_MEDIUM_AND_ABOVE"
-        },
-        {
-          category: "HARM_CATEGORY_HATE_SPEECH",
-          threshold: "BLOCK_MEDIUM_AND_ABOVE"
-        },
-        {
-          category: "HARM_CATEGORY_SEXUALLY_EXPLICIT",
-          threshold: "BLOCK_MEDIUM_AND_ABOVE"
-        },
-        {
-          category: "HARM_CATEGORY_DANGEROUS_CONTENT",
-          threshold: "BLOCK_MEDIUM_AND_ABOVE"
-        }
-      ]
-    });
+    const response = await api.post(
+      `/models/${model}:generateContent?key=${apiKey}`,
+      buildGenerateContentBody(fullPrompt, options.responseSchema),
+      { signal: options.signal }
+    );
 
     console.log('📥 Gemini response received:', {
       candidates: response.data?.candidates?.length || 0,
@@ -96,53 +137,74 @@ export const reviewCode = async (diffText, prompt, apiKey, metadata = {}) => {
       throw new Error('Empty response from Gemini API');
     }
 
-    // Try to extract JSON from the response
-    let cleanedContent = content.trim();
+    return {
+      reviewResult: content.trim(),
+      usage: response.data.usageMetadata || {},
+      model: response.data.modelVersion || model
+    };
+
+  } catch (error) {
+    console.error('Error calling Gemini API:', describeRequestError(error));
+    throw toGeminiError(error);
+  }
+};
+
+// Stream a review from Gemini through streamGenerateContent (SSE)
+// Calls options.onText with the accumulated text as chunks arrive
+export const reviewCodeStream = async (fullPrompt, apiKey, options = {}) => {
+  try {
+    if (!apiKey) {
+      throw new Error('Gemini API key is required');
+    }
+
+    if (!fullPrompt || fullPrompt.trim().length === 0) {
+      throw new Error('No diff content to review');
+    }
 
-    // Remove markdown code blocks if present
-    if (cleanedContent.includes('```json')) {
-      const jsonMatch = cleanedContent.match(/```json\s*([\s\S]*?)\s*```/);
-      if (jsonMatch) {
-        cleanedContent = jsonMatch[1];
-      }
-    } else if (cleanedContent.includes('```')) {
-      const codeMatch = cleanedContent.match(/```\s*([\s\S]*?)\s*```/);
-      if (codeMatch) {
-        cleanedContent = codeMatch[1];
+    const baseUrl = (options.baseUrl || GEMINI_API_BASE).replace(/\/+$/, '');
+    const model = options.model || DEFAULT_GEMINI_MODEL;
+    let content = '';
+    let usage = {};
+    let modelVersion = model;
+
+    await streamServerSentEvents(
+      `${baseUrl}/models/${model}:streamGenerateContent?alt=sse&key=${apiKey}`,
+      { body: buildGenerateContentBody(fullPrompt, options.responseSchema), signal: options.signal },
+      ({ data }) => {
+        const chunk = JSON.parse(data);
+        const text = (chunk.candidates?.[0]?.content?.parts || [])
+          .map(part => part.text || '')
+          .join('');
+        if (text) {
+          content += text;
+          options.onText?.(content);
+        }
+        if (chunk.usageMetadata) usage = chunk.usageMetadata;
+        if (chunk.modelVersion) modelVersion = chunk.modelVersion;
       }
+    );
+
+    if (!content) {
+      throw new Error('Empty response from Gemini API');
     }
 
     return {
-      reviewResult: cleanedContent,
-      usage: response.data.usageMetadata || {},
-      model: 'gemini-2.5-flash-preview-05-20'
+      reviewResult: content.trim(),
+      usage,
+      model: modelVersion
     };
-
   } catch (error) {
-    console.error('Error calling Gemini API:', error);
-
-    if (error.response?.status === 401) {
-      throw new Error('Invalid Gemini API key');
-    } else if (error.response?.status === 403) {
-      throw new Error('Gemini API access forbidden - check your API key permissions');
-    } else if (error.response?.status === 429) {
-      throw new Error('Gemini API rate limit exceeded - please try again later');
-    } else if (error.response?.status === 400) {
-      const errorMessage = error.response?.data?.error?.message || 'Invalid request to Gemini API';
-      throw new Error(`Gemini API error: ${errorMessage}`);
-    } else if (error.code === 'ECONNABORTED') {
-      throw new Error('Gemini API request timed out - the diff might be too large');
-    } else {
-      throw new Error(error.message || 'Failed to get AI review');
-    }
+    console.error('Error streaming from Gemini API:', describeRequestError(error));
+    throw toGeminiError(error);
   }
 };
 
 // Test API key validity
-export const testApiKey = async (apiKey) => {
+export const testApiKey = async (apiKey, options = {}) => {
   try {
-    const api = createGeminiClient(apiKey);
-    const response = await api.post(`/models/gemini-2.5-flash-preview-05-20:generateContent?key=${apiKey}`, {
+    const api = createGeminiClient(apiKey, options.baseUrl);
+    const model = options.model || DEFAULT_GEMINI_MODEL;
+    const response = await api.post(`/models/${model}:generateContent?key=${apiKey}`, {
       contents: [
         {
           parts: [
@@ -161,13 +223,33 @@ export const testApiKey = async (apiKey) => {
 };
 
 // Get available models (optional)
-export const getAvailableModels = async (apiKey) => {
+export const getAvailableModels = async (apiKey, options = {}) => {
   try {
-    const api = createGeminiClient(apiKey);
+    const api = createGeminiClient(apiKey, options.baseUrl);
     const response = await api.get(`/models?key=${apiKey}`);
     return response.data.models || [];
   } catch (error) {
-    console.error('Error fetching available models:', error);
+    console.error('Error fetching available models:', describeRequestError(error));
     return [];
   }
-};
\ No newline at end of file
+};
+// Gemini implementation of the LLM provider interface (see llmProviders.js)
+export const geminiProvider = {
+  id: 'gemini',
+  label: 'Google Gemini',
+  defaultBaseUrl: GEMINI_API_BASE,
+  defaultModel: DEFAULT_GEMINI_MODEL,
+  requiresApiKey: true,
+  review: (prompt, settings, options = {}) => reviewCode(prompt, '', settings.apiKey, {}, { ...settings, ...options }),
+  reviewStream: (prompt, settings, options = {}) => reviewCodeStream(prompt, settings.apiKey, { ...settings, ...options }),
+  testKey: (settings) => testApiKey(settings.apiKey, settings),
+  listModels: async (settings) => {
+    const models = await getAvailableModels(settings.apiKey, settings);
+    return models
+      .filter(model => (model.supportedGenerationMethods || []).includes('generateContent'))
+      .map(model => ({
+        id: model.name.replace(/^models\//, ''),
+        name: model.displayName || model.name
+      }));
+  }
+};
@@ -0,0 +1,123 @@
+import axios from 'axios';
+import { scheduleRequest, withRequestScheduler } from './requestScheduler.js';
+
+// Shared helpers for the non-Gemini LLM provider implementations
+
+// Create axios instance for an LLM HTTP API
+// Generation calls are safe to repeat, so the scheduler retries them like GETs
+export const createLLMClient = (baseURL, headers = {}) => {
+  return withRequestScheduler(axios.create({
+    baseURL: baseURL.replace(/\/+$/, ''),
+    headers: {
+      'Content-Type': 'application/json',
+      ...headers,
+    },
+    timeout: 60000, // Longer timeout for AI processing
+  }), { retryAllMethods: true });
+};
+
+// True when a request was cancelled through an AbortController
+export const isAbortError = (error) => {
+  return error?.name === 'AbortError' || error?.name === 'CanceledError' || error?.code === 'ERR_CANCELED';
+};
+
+// POST a JSON body and read the Server-Sent Events response
+// Calls onEvent({ event, data }) for every event; axios cannot stream in the browser, so this uses fetch
+// Only opening the stream goes through the request scheduler - a stream that fails midway is not retried
+export const streamServerSentEvents = async (url, { headers = {}, body, signal }, onEvent) => {
+  const response = await scheduleRequest(new URL(url).host, async () => {
+    const result = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...headers,
+      },
+      body: JSON.stringify(body),
+      signal,
+    });
+
+    if (!result.ok) {
+      let data = null;
+      try {
+        data = await result.json();
+      } catch (parseError) {
+        data = null;
+      }
+      // Shape the error like an axios error so toLLMError can map it
+      const error = new Error(data?.error?.message || `Request failed with status ${result.status}`);
+      error.response = { status: result.status, data, headers: result.headers };
+      throw error;
+    }
+
+    return result;
+  }, { signal, idempotent: true });
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let eventName = null;
+  let dataLines = [];
+
+  const dispatch = () => {
+    if (dataLines.length > 0) {
+      onEvent({ event: eventName, data: dataLines.join('\n') });
+    }
+    eventName = null;
+    dataLines = [];
+  };
+
+  const handleLine = (line) => {
+    if (line === '') {
+      dispatch();
+    } else if (line.startsWith('event:')) {
+      eventName = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      dataLines.push(line.slice(5).replace(/^ /, ''));
+    }
+  };
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split(/\r?\n/);
+    buffer = lines.pop();
+    lines.forEach(handleLine);
+  }
+
+  if (buffer) {
+    handleLine(buffer);
+  }
+  dispatch();
+};
+
+// Convert an axios or fetch error into a user-facing error for the given provider
+export const toLLMError = (error, providerLabel) => {
+  if (isAbortError(error)) {
+    return error;
+  }
+
+  const status = error.response?.status;
+  const apiMessage = error.response?.data?.error?.message || error.response?.data?.error;
+
+  if (status === 401) {
+    return new Error(`Invalid ${providerLabel} API key`);
+  } else if (status === 403) {
+    return new Error(`${providerLabel} API access forbidden - check your API key permissions`);
+  } else if (status === 404) {
+    return new Error(`${providerLabel} endpoint or model not found - check the base URL and model`);
+  } else if (status === 429) {
+    return new Error(`${providerLabel} API rate limit exceeded - please try again later`);
+  } else if (status === 400) {
+    return new Error(`${providerLabel} API error: ${typeof apiMessage === 'string' ? apiMessage : 'Invalid request'}`);
+  } else if (error.code === 'ECONNABORTED') {
+    return new Error(`${providerLabel} API request timed out - the diff might be too large`);
+  } else if ((!error.response && error.request) || (error instanceof TypeError && /fetch|network/i.test(error.message))) {
+    return new Error(`Could not reach ${providerLabel} - check the base URL and CORS settings`);
+  } else if (!status) {
+    // Not an HTTP failure (e.g. empty response) - keep the original message
+    return error;
+  }
+  return new Error(error.message || 'Failed to get AI review');
+};
@@ -0,0 +1,122 @@
+import { geminiProvider } from './geminiFlashApi.js';
+import { openaiProvider, azureOpenaiProvider, ollamaProvider, llamaCppProvider } from './openaiCompatibleApi.js';
+import { anthropicProvider } from './anthropicApi.js';
+import { REVIEW_JSON_SCHEMA, parseReviewOutput } from '../utils/reviewSchema.js';
+import { buildRepairPrompt } from '../utils/promptBuilder.js';
+import { mergeUsage } from '../utils/reviewChunker.js';
+
+export { isAbortError } from './llmClient.js';
+
+/**
+ * LLM provider registry.
+ *
+ * Every provider implements the same interface so components never talk to a
+ * specific vendor API directly:
+ *   - review(prompt, settings, options)        -> { reviewResult, usage, model }
+ *   - reviewStream(prompt, settings, options)  -> same, calling options.onText(textSoFar)
+ *   - testKey(settings)                        -> boolean
+ *   - listModels(settings)                     -> [{ id, name }]
+ * where settings is { apiKey, baseUrl, model } and options may carry an AbortSignal
+ * and a JSON Schema (responseSchema) for the provider's native structured-output mode.
+ */
+export const LLM_PROVIDERS = [
+  geminiProvider,
+  openaiProvider,
+  anthropicProvider,
+  azureOpenaiProvider,
+  ollamaProvider,
+  llamaCppProvider
+];
+
+export const DEFAULT_PROVIDER_ID = geminiProvider.id;
+
+// Look up a provider by id, falling back to Gemini for older configs
+export const getProvider = (providerId) => {
+  return LLM_PROVIDERS.find(provider => provider.id === providerId) ||
+    LLM_PROVIDERS.find(provider => provider.id === DEFAULT_PROVIDER_ID);
+};
+
+// Resolve the model for a repository: per-repo override, then default model, then provider default
+export const resolveModel = (config, repoFullName) => {
+  const provider = getProvider(config.llmProvider);
+  const override = repoFullName ? config.repoSettings?.[repoFullName]?.model : null;
+  return override || config.llmModel || provider.defaultModel;
+};
+
+// Resolve the provider and its settings from the saved configuration
+export const getLLMSettings = (config, repoFullName = null) => {
+  const provider = getProvider(config.llmProvider);
+  return {
+    provider,
+    settings: {
+      apiKey: config.llmToken || '',
+      baseUrl: config.llmBaseUrl || provider.defaultBaseUrl,
+      model: resolveModel(config, repoFullName)
+    }
+  };
+};
+
+// Run a review prompt through the configured provider
+// options: { repoFullName, signal, onText } - repoFullName selects the per-repository
+// model override; passing onText streams the response when the provider supports it
+export const reviewWithLLM = async (config, prompt, options = {}) => {
+  const { repoFullName, ...requestOptions } = options;
+  const { provider, settings } = getLLMSettings(config, repoFullName);
+  const review = requestOptions.onText && provider.reviewStream
+    ? await provider.reviewStream(prompt, settings, requestOptions)
+    : await provider.review(prompt, settings, requestOptions);
+  return { ...review, provider: provider.id };
+};
+
+/**
+ * Request a review that conforms to the versioned review schema
+ * Uses native structured output, validates the response and, when it does not
+ * validate, asks the model once to repair its output.
+ * @returns {Object} Provider response plus `parsed` (validated review),
+ *   `repaired` and `validationErrors` (errors left after the repair attempt)
+ */
+export const requestStructuredReview = async (config, prompt, options = {}) => {
+  const requestOptions = { ...options, responseSchema: REVIEW_JSON_SCHEMA };
+  const review = await reviewWithLLM(config, prompt, requestOptions);
+  const result = parseReviewOutput(review.reviewResult);
+
+  if (result.valid) {
+    return { ...review, parsed: result.review, repaired: false, validationErrors: [] };
+  }
+
+  console.warn('⚠️ Review output failed schema validation, requesting repair:', result.errors);
+  const repair = await reviewWithLLM(
+    config,
+    buildRepairPrompt(review.reviewResult, result.errors, REVIEW_JSON_SCHEMA),
+    { ...requestOptions, onText: undefined }
+  );
+  const repairedResult = parseReviewOutput(repair.reviewResult);
+  const usage = mergeUsage([review.usage, repair.usage]);
+
+  if (repairedResult.valid) {
+    return { ...repair, usage, parsed: repairedResult.review, repaired: true, validationErrors: [] };
+  }
+
+  // Keep whatever validated instead of dropping the whole review
+  const best = repairedResult.review || result.review;
+  return {
+    ...repair,
+    usage,
+    parsed: best || { summary: '', comments: [] },
+    rawOutput: repair.reviewResult,
+    repaired: true,
+    validationErrors: repairedResult.errors
+  };
+};
+
+// Check that the configured provider accepts the credentials
+export const testLLMConnection = async (config) => {
+  const { provider, settings } = getLLMSettings(config);
+  return provider.testKey(settings);
+};
+
+// List models the configured credentials can access
+export const listLLMModels = async (config) => {
+  const { provider, settings } = getLLMSettings(config);
+  return provider.listModels(settings);
+};
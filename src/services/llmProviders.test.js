@@ -0,0 +1,67 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { getProvider, requestStructuredReview } from './llmProviders.js';
+
+const config = { llmProvider: 'gemini', llmToken: 'key' };
+const validReview = {
+  summary: 'Fine',
+  verdict: 'comment',
+  comments: [{
+    file: 'a.js',
+    line: 2,
+    end_line: null,
+    side: 'new',
+    severity: 'low',
+    category: 'style',
+    comment: 'Rename this',
+    suggestion: null,
+    replacement: null,
+    confidence: 0.5
+  }]
+};
+const response = (reviewResult) => ({ reviewResult, usage: { promptTokens: 100, completionTokens: 20 }, model: 'gemini-test' });
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('requestStructuredReview', () => {
+  it('returns a valid response without a repair round-trip', async () => {
+    const review = vi.spyOn(getProvider('gemini'), 'review').mockResolvedValue(response(JSON.stringify(validReview)));
+
+    const result = await requestStructuredReview(config, 'prompt');
+
+    expect(review).toHaveBeenCalledTimes(1);
+    expect(review.mock.calls[0][2].responseSchema).toBeDefined();
+    expect(result).toMatchObject({ provider: 'gemini', repaired: false, validationErrors: [] });
+    expect(result.parsed.comments).toHaveLength(1);
+  });
+
+  it('asks the model once to repair invalid output and sums the usage', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const review = vi.spyOn(getProvider('gemini'), 'review')
+      .mockResolvedValueOnce(response('{"summary": "Fine", "comments": []}'))
+      .mockResolvedValueOnce(response(JSON.stringify(validReview)));
+
+    const result = await requestStructuredReview(config, 'prompt');
+
+    expect(review).toHaveBeenCalledTimes(2);
+    expect(review.mock.calls[1][0]).toContain('verdict must be one of approve, comment, request_changes');
+    expect(result).toMatchObject({ repaired: true, validationErrors: [] });
+    expect(result.parsed.verdict).toBe('comment');
+    expect(result.usage).toEqual({ promptTokens: 200, completionTokens: 40 });
+  });
+
+  it('keeps what validated when the repair fails too', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(getProvider('gemini'), 'review')
+      .mockResolvedValueOnce(response('not json'))
+      .mockResolvedValueOnce(response(JSON.stringify({ ...validReview, verdict: 'ship it' })));
+
+    const result = await requestStructuredReview(config, 'prompt');
+
+    expect(result.repaired).toBe(true);
+    expect(result.validationErrors).toEqual(['verdict must be one of approve, comment, request_changes']);
+    expect(result.parsed.comments).toHaveLength(1);
+    expect(result.rawOutput).toContain('ship it');
+  });
+});
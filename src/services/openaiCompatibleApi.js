@@ -0,0 +1,219 @@
+import { createLLMClient, streamServerSentEvents, toLLMError } from './llmClient.js';
+import { describeRequestError } from './requestScheduler.js';
+
+const AZURE_API_VERSION = '2024-06-01';
+
+// Build the request path and auth headers for the chat completions endpoint
+const getEndpoint = (settings, variant) => {
+  if (variant === 'azure') {
+    // Azure addresses the model through its deployment name
+    return {
+      path: `/openai/deployments/${settings.model}/chat/completions?api-version=${AZURE_API_VERSION}`,
+      headers: { 'api-key': settings.apiKey }
+    };
+  }
+
+  return {
+    path: '/chat/completions',
+    headers: settings.apiKey ? { 'Authorization': `Bearer ${settings.apiKey}` } : {}
+  };
+};
+
+// Chat completions request body for a review prompt
+// A JSON Schema switches on structured output through response_format
+const buildChatBody = (prompt, model, responseSchema = null) => ({
+  model,
+  messages: [
+    {
+      role: 'user',
+      content: prompt
+    }
+  ],
+  temperature: 0.1,
+  top_p: 0.95,
+  max_tokens: 8096,
+  ...(responseSchema && {
+    response_format: {
+      type: 'json_schema',
+      json_schema: {
+        name: 'code_review',
+        schema: responseSchema,
+        strict: true
+      }
+    }
+  })
+});
+
+// Factory for providers speaking the OpenAI chat completions protocol
+// (OpenAI, Azure OpenAI and self-hosted servers such as Ollama or llama.cpp)
+const createOpenAICompatibleProvider = ({ id, label, defaultBaseUrl, defaultModel, requiresApiKey, variant }) => {
+  const validateRequest = (prompt, settings) => {
+    if (requiresApiKey && !settings.apiKey) {
+      throw new Error(`${label} API key is required`);
+    }
+
+    if (!prompt || prompt.trim().length === 0) {
+      throw new Error('No diff content to review');
+    }
+  };
+
+  const review = async (prompt, settings, options = {}) => {
+    try {
+      validateRequest(prompt, settings);
+
+      const model = settings.model || defaultModel;
+      const { path, headers } = getEndpoint({ ...settings, model }, variant);
+      const api = createLLMClient(settings.baseUrl || defaultBaseUrl, headers);
+
+      console.log(`📤 Sending to ${label}:`, {
+        model,
+        promptLength: prompt.length
+      });
+
+      const response = await api.post(path, buildChatBody(prompt, model, options.responseSchema), { signal: options.signal });
+
+      const content = response.data?.choices?.[0]?.message?.content;
+      if (!content) {
+        throw new Error(`Empty response from ${label}`);
+      }
+
+      return {
+        reviewResult: content.trim(),
+        usage: response.data.usage || {},
+        model: response.data.model || model
+      };
+    } catch (error) {
+      console.error(`Error calling ${label}:`, describeRequestError(error));
+      throw toLLMError(error, label);
+    }
+  };
+
+  // Same as review, but streams the response and calls options.onText with the text so far
+  const reviewStream = async (prompt, settings, options = {}) => {
+    try {
+      validateRequest(prompt, settings);
+
+      const model = settings.model || defaultModel;
+      const { path, headers } = getEndpoint({ ...settings, model }, variant);
+      const baseUrl = (settings.baseUrl || defaultBaseUrl).replace(/\/+$/, '');
+      let content = '';
+      let usage = {};
+      let responseModel = model;
+
+      await streamServerSentEvents(`${baseUrl}${path}`, {
+        headers,
+        body: { ...buildChatBody(prompt, model, options.responseSchema), stream: true, stream_options: { include_usage: true } },
+        signal: options.signal
+      }, ({ data }) => {
+        if (data === '[DONE]') return;
+        const chunk = JSON.parse(data);
+        const delta = chunk.choices?.[0]?.delta?.content;
+        if (delta) {
+          content += delta;
+          options.onText?.(content);
+        }
+        if (chunk.usage) usage = chunk.usage;
+        if (chunk.model) responseModel = chunk.model;
+      });
+
+      if (!content) {
+        throw new Error(`Empty response from ${label}`);
+      }
+
+      return {
+        reviewResult: content.trim(),
+        usage,
+        model: responseModel
+      };
+    } catch (error) {
+      console.error(`Error streaming from ${label}:`, describeRequestError(error));
+      throw toLLMError(error, label);
+    }
+  };
+
+  const testKey = async (settings) => {
+    try {
+      const model = settings.model || defaultModel;
+      const { path, headers } = getEndpoint({ ...settings, model }, variant);
+      const api = createLLMClient(settings.baseUrl || defaultBaseUrl, headers);
+      const response = await api.post(path, {
+        model,
+        messages: [
+          {
+            role: 'user',
+            content: "Hello, please respond with 'API key is valid'"
+          }
+        ],
+        max_tokens: 20
+      });
+
+      return !!response.data?.choices?.[0]?.message?.content;
+    } catch (error) {
+      return false;
+    }
+  };
+
+  const listModels = async (settings) => {
+    try {
+      const { headers } = getEndpoint(settings, variant);
+      const api = createLLMClient(settings.baseUrl || defaultBaseUrl, headers);
+      const path = variant === 'azure'
+        ? `/openai/deployments?api-version=2022-12-01`
+        : '/models';
+      const response = await api.get(path);
+
+      return (response.data?.data || []).map(model => ({
+        id: model.id,
+        name: model.id
+      }));
+    } catch (error) {
+      console.error(`Error fetching ${label} models:`, describeRequestError(error));
+      return [];
+    }
+  };
+
+  return {
+    id,
+    label,
+    defaultBaseUrl,
+    defaultModel,
+    requiresApiKey,
+    review,
+    reviewStream,
+    testKey,
+    listModels
+  };
+};
+
+export const openaiProvider = createOpenAICompatibleProvider({
+  id: 'openai',
+  label: 'OpenAI-compatible',
+  defaultBaseUrl: 'https://api.openai.com/v1',
+  defaultModel: 'gpt-4o-mini',
+  requiresApiKey: true
+});
+
+export const azureOpenaiProvider = createOpenAICompatibleProvider({
+  id: 'azure-openai',
+  label: 'Azure OpenAI',
+  defaultBaseUrl: '', // https://<resource>.openai.azure.com
+  defaultModel: '', // Deployment name
+  requiresApiKey: true,
+  variant: 'azure'
+});
+
+export const ollamaProvider = createOpenAICompatibleProvider({
+  id: 'ollama',
+  label: 'Ollama (self-hosted)',
+  defaultBaseUrl: 'http://localhost:11434/v1',
+  defaultModel: 'qwen2.5-coder',
+  requiresApiKey: false
+});
+
+export const llamaCppProvider = createOpenAICompatibleProvider({
+  id: 'llama-cpp',
+  label: 'llama.cpp server (self-hosted)',
+  defaultBaseUrl: 'http://localhost:8080/v1',
+  defaultModel: 'default',
+  requiresApiKey: false
+});
@@ -0,0 +1,241 @@
+import axios from 'axios';
+
+// Shared request scheduler for every outgoing API call (Bitbucket and the LLM providers)
+// - per-host concurrency cap
+// - per-host token bucket so bursts (e.g. posting many comments) are spread out
+// - retries with exponential backoff that honour Retry-After, pausing the whole host on 429
+
+// Limits per API host; other hosts (self-hosted LLMs, custom base URLs) use DEFAULT_HOST_LIMITS
+const HOST_LIMITS = {
+  'api.bitbucket.org': { maxConcurrent: 4, bucketSize: 10, refillPerSecond: 2 },
+  'generativelanguage.googleapis.com': { maxConcurrent: 3, bucketSize: 10, refillPerSecond: 1 }
+};
+
+const DEFAULT_HOST_LIMITS = { maxConcurrent: 4, bucketSize: 20, refillPerSecond: 5 };
+
+const RETRY_POLICY = {
+  maxRetries: 3,
+  baseDelayMs: 1000,
+  maxDelayMs: 30000,
+  // Give up instead of waiting when the server asks for a longer pause
+  maxRetryAfterMs: 120000
+};
+
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+const hostStates = new Map();
+
+const getHostState = (host) => {
+  if (!hostStates.has(host)) {
+    const limits = HOST_LIMITS[host] || DEFAULT_HOST_LIMITS;
+    hostStates.set(host, {
+      limits,
+      active: 0,
+      waiting: [],
+      tokens: limits.bucketSize,
+      lastRefill: Date.now(),
+      pausedUntil: 0,
+      timer: null
+    });
+  }
+  return hostStates.get(host);
+};
+
+const createAbortError = (signal) => {
+  return signal?.reason instanceof Error ? signal.reason : new DOMException('The request was aborted', 'AbortError');
+};
+
+// Wait for ms milliseconds, rejecting early when the signal aborts
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(createAbortError(signal));
+    return;
+  }
+
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(createAbortError(signal));
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+const refillTokens = (state) => {
+  const now = Date.now();
+  const refill = ((now - state.lastRefill) / 1000) * state.limits.refillPerSecond;
+  state.tokens = Math.min(state.limits.bucketSize, state.tokens + refill);
+  state.lastRefill = now;
+};
+
+// Hand out slots to waiting requests while the host has capacity and tokens
+const pump = (state) => {
+  if (state.timer) return;
+
+  while (state.waiting.length > 0 && state.active < state.limits.maxConcurrent) {
+    refillTokens(state);
+    const tokenWait = state.tokens >= 1 ? 0 : ((1 - state.tokens) / state.limits.refillPerSecond) * 1000;
+    const wait = Math.max(state.pausedUntil - Date.now(), tokenWait);
+
+    if (wait > 0) {
+      state.timer = setTimeout(() => {
+        state.timer = null;
+        pump(state);
+      }, Math.ceil(wait));
+      return;
+    }
+
+    state.tokens -= 1;
+    state.active++;
+    state.waiting.shift().resolve();
+  }
+};
+
+const acquireSlot = (state, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(createAbortError(signal));
+    return;
+  }
+
+  const waiter = {
+    resolve: () => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }
+  };
+  const onAbort = () => {
+    state.waiting = state.waiting.filter(item => item !== waiter);
+    reject(createAbortError(signal));
+  };
+
+  signal?.addEventListener('abort', onAbort, { once: true });
+  state.waiting.push(waiter);
+  pump(state);
+});
+
+const releaseSlot = (state) => {
+  state.active--;
+  pump(state);
+};
+
+const readHeader = (headers, name) => {
+  if (!headers) return null;
+  return typeof headers.get === 'function' ? headers.get(name) : headers[name];
+};
+
+// Delay requested by the server: Retry-After (seconds or HTTP date) or Gemini's RetryInfo detail
+const getServerRetryDelay = (response) => {
+  const retryAfter = readHeader(response?.headers, 'retry-after');
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    if (!Number.isNaN(seconds)) {
+      return seconds * 1000;
+    }
+    const date = Date.parse(retryAfter);
+    if (!Number.isNaN(date)) {
+      return Math.max(0, date - Date.now());
+    }
+  }
+
+  const details = response?.data?.error?.details;
+  const retryInfo = Array.isArray(details) ? details.find(detail => detail.retryDelay) : null;
+  if (retryInfo) {
+    const seconds = parseFloat(retryInfo.retryDelay);
+    if (!Number.isNaN(seconds)) {
+      return seconds * 1000;
+    }
+  }
+
+  return null;
+};
+
+const getBackoffDelay = (attempt) => {
+  const delay = Math.min(RETRY_POLICY.maxDelayMs, RETRY_POLICY.baseDelayMs * 2 ** attempt);
+  // Jitter so parallel batch requests do not retry in lockstep
+  return delay / 2 + Math.random() * (delay / 2);
+};
+
+// Milliseconds to wait before retrying, or null when the error should be thrown
+const getRetryDelay = (error, attempt, idempotent) => {
+  if (attempt >= RETRY_POLICY.maxRetries) return null;
+
+  const status = error.response?.status;
+  let delay = null;
+
+  if (status === 429) {
+    // The request was not processed, so it is safe to retry any method
+    delay = getServerRetryDelay(error.response) ?? getBackoffDelay(attempt);
+  } else if (RETRYABLE_STATUSES.includes(status) && idempotent) {
+    delay = getServerRetryDelay(error.response) ?? getBackoffDelay(attempt);
+  } else if (!status && idempotent && error.code !== 'ECONNABORTED' &&
+    (error.request || (error instanceof TypeError && /fetch|network/i.test(error.message)))) {
+    // Network failure without a response
+    delay = getBackoffDelay(attempt);
+  }
+
+  return delay !== null && delay <= RETRY_POLICY.maxRetryAfterMs ? delay : null;
+};
+
+// Run task() for the given host once a slot is free, retrying transient failures
+// options: { signal, idempotent } - only idempotent requests are retried after 5xx or network errors
+export const scheduleRequest = async (host, task, options = {}) => {
+  const { signal, idempotent = false } = options;
+  const state = getHostState(host);
+
+  for (let attempt = 0; ; attempt++) {
+    await acquireSlot(state, signal);
+
+    let delay;
+    try {
+      return await task();
+    } catch (error) {
+      delay = signal?.aborted ? null : getRetryDelay(error, attempt, idempotent);
+      if (delay === null) {
+        throw error;
+      }
+
+      if (error.response?.status === 429) {
+        state.pausedUntil = Math.max(state.pausedUntil, Date.now() + delay);
+      }
+      console.warn(`⏳ ${host} request failed (${error.response?.status || error.code || error.message}), retrying in ${Math.round(delay / 1000)}s (${attempt + 1}/${RETRY_POLICY.maxRetries})`);
+    } finally {
+      releaseSlot(state);
+    }
+
+    await sleep(delay, signal);
+  }
+};
+
+const getRequestHost = (config) => {
+  try {
+    return new URL(config.url, config.baseURL).host;
+  } catch (error) {
+    // Incomplete base URL - the adapter will report the real problem
+    return 'unknown';
+  }
+};
+
+// Short description of a failed request for logs. Axios errors carry the request config,
+// including the Authorization header with the Bitbucket app password or LLM API key, and
+// CI logs only mask secrets in their raw form - so the error object itself is never logged
+export const describeRequestError = (error) => {
+  const status = error?.response?.status;
+  return status ? `${error.message} (HTTP ${status})` : error?.message || String(error);
+};
+
+// Route every request of an axios instance through the scheduler
+// options: { retryAllMethods } - treat POST/PATCH as idempotent (LLM generation calls)
+export const withRequestScheduler = (client, options = {}) => {
+  const adapter = axios.getAdapter(client.defaults.adapter);
+
+  client.defaults.adapter = (config) => {
+    const host = getRequestHost(config);
+    const idempotent = options.retryAllMethods || IDEMPOTENT_METHODS.includes((config.method || 'get').toUpperCase());
+    return scheduleRequest(host, () => adapter(config), { signal: config.signal, idempotent });
+  };
+
+  return client;
+};
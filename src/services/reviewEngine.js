@@ -0,0 +1,994 @@
+import {
+  getPRDiff,
+  getCommitRangeDiff,
+  postReviewComments,
+  publishInsightsReport,
+  setCommitBuildStatus,
+  setPRReviewDecision,
+  createPRTask,
+  getFileContent,
+  listRepositoryFiles,
+  getRepoConfigFile
+} from './bitbucketApi.js';
+import { getProvider, requestStructuredReview, isAbortError } from './llmProviders.js';
+import { generatePRKey, parseRepoFullName, isSameCommit, buildReviewLink } from '../utils/auth.js';
+import { SEVERITIES, getHighestSeverity, isSeverityAtLeast } from '../utils/reviewSchema.js';
+import { APPROVAL_MODES, getApprovalSettings, getApprovalDecision } from '../utils/approvalPolicy.js';
+import { buildTaskContent, selectTaskFindings, findPostedCommentId } from '../utils/prTasks.js';
+import { parseDiff, analyzeChanges, extractChangedCodeWithContext, getCommentAnchor } from '../utils/diffParser.js';
+import { getSuggestionBase } from '../utils/suggestions.js';
+import { DEFAULT_FILE_CONTEXT_TOKENS, selectFileContexts, estimateFileContextTokens } from '../utils/fileContext.js';
+import {
+  DEFAULT_RELATED_FILE_TOKENS,
+  MAX_RELATED_FILES,
+  RELATED_FILE_RELATIONS,
+  SOURCE_FILE_PATTERN,
+  extractImports,
+  resolveImportPath,
+  selectImporterCandidates,
+  rankRelatedFiles,
+  buildRelatedExcerpt,
+  selectRelatedExcerpts
+} from '../utils/relatedFiles.js';
+import { resolveRepoConfig } from '../utils/repoConfig.js';
+import { filterChanges } from '../utils/pathFilters.js';
+import { redactChanges, redactText, buildSecretFindings } from '../utils/secretScanner.js';
+import { getActiveRules, runRules } from '../utils/ruleEngine.js';
+import { checkCommentsAgainstDiff } from '../utils/promptSafety.js';
+import { buildEnhancedContext, buildReviewPrompt, buildConsolidationPrompt } from '../utils/promptBuilder.js';
+import {
+  DEFAULT_MAX_PROMPT_TOKENS,
+  DEFAULT_CHUNK_CONCURRENCY,
+  estimateTokens,
+  splitChangesIntoBatches,
+  changesToDiffText,
+  runWithConcurrency,
+  mergeUsage,
+  mergeBatchReviews
+} from '../utils/reviewChunker.js';
+
+/**
+ * Headless review engine
+ *
+ * Runs a pull request review through explicit stages without any UI framework,
+ * so the same pipeline can be driven from the web app, a CLI or a batch queue.
+ *
+ * Adapters (all injectable):
+ *   - bitbucket: { getPRDiff(workspace, repoSlug, prId), getCommitRangeDiff(workspace, repoSlug, headCommit, baseCommit),
+ *                  postReviewComments(workspace, repoSlug, prId, review),
+ *                  publishInsightsReport(workspace, repoSlug, commitHash, review, { failOn }),
+ *                  setBuildStatus(workspace, repoSlug, commitHash, { state, description, url }),
+ *                  setReviewDecision(workspace, repoSlug, prId, action),
+ *                  createTask(workspace, repoSlug, prId, content, commentId),
+ *                  getFileContent(workspace, repoSlug, commitHash, path) -> content, or null when too large,
+ *                  listFiles(workspace, repoSlug, commitHash) -> file paths,
+ *                  getRepoConfigFile(workspace, repoSlug, commitHash) -> { path, content } or null }
+ *   - llm:       { label, review(prompt, { repoFullName, signal, onText }) } -> structured review
+ *                (same shape as requestStructuredReview)
+ *   - storage:   { saveReview(prKey, repoFullName, prId, review, metadata),
+ *                  savePostedComments(prKey, repoFullName, prId, postResults),
+ *                  saveTasks(prKey, repoFullName, prId, createdTasks),
+ *                  getRules() -> user-defined local rules } - optional
+ *
+ * Events (engine.on(event, listener) returns an unsubscribe function):
+ *   - stage     { stage, status: 'start' | 'done' | 'failed', error }
+ *   - progress  { stage: 'batches' | 'consolidating', completed, total } during chunked reviews
+ *   - text      response text received so far while streaming
+ *   - diffStats { additions, deletions, total, files, codeBlocks }
+ *   - reviewed  { review, metadata } once the review is validated and saved
+ *   - posted    post results from the Bitbucket adapter
+ *   - reportPublished { reportId, commitHash, result, annotations } once the Code Insights report is published
+ *   - buildStatus { state, description } after the commit build status is updated
+ *   - approval  { action, reason, counts } after the PR is approved or changes are requested
+ *   - tasksCreated { created, failed } after PR tasks are created from findings
+ */
+
+export const REVIEW_STAGES = {
+  FETCH_DIFF: 'fetch-diff',
+  PARSE_DIFF: 'parse-diff',
+  SCAN_SECRETS: 'scan-secrets',
+  FILTER_FILES: 'filter-files',
+  RUN_RULES: 'run-rules',
+  FETCH_CONTEXT: 'fetch-context',
+  FETCH_RELATED: 'fetch-related',
+  BUILD_PROMPT: 'build-prompt',
+  REVIEW: 'review',
+  VALIDATE: 'validate',
+  SAVE: 'save',
+  POST_COMMENTS: 'post-comments',
+  PUBLISH_REPORT: 'publish-report',
+  CREATE_TASKS: 'create-tasks',
+  APPROVAL: 'approval'
+};
+
+// Default Bitbucket adapter using the credentials from the configuration
+export const createBitbucketAdapter = (config) => ({
+  getPRDiff: (workspace, repoSlug, prId) => getPRDiff(
+    config.bitbucketUsername,
+    config.bitbucketAppPassword,
+    workspace,
+    repoSlug,
+    prId
+  ),
+  getCommitRangeDiff: (workspace, repoSlug, headCommit, baseCommit) => getCommitRangeDiff(
+    config.bitbucketUsername,
+    config.bitbucketAppPassword,
+    workspace,
+    repoSlug,
+    headCommit,
+    baseCommit
+  ),
+  postReviewComments: (workspace, repoSlug, prId, review) => postReviewComments(
+    config.bitbucketUsername,
+    config.bitbucketAppPassword,
+    workspace,
+    repoSlug,
+    prId,
+    review
+  ),
+  publishInsightsReport: (workspace, repoSlug, commitHash, review, options) => publishInsightsReport(
+    config.bitbucketUsername,
+    config.bitbucketAppPassword,
+    workspace,
+    repoSlug,
+    commitHash,
+    review,
+    options
+  ),
+  setBuildStatus: (workspace, repoSlug, commitHash, status) => setCommitBuildStatus(
+    config.bitbucketUsername,
+    config.bitbucketAppPassword,
+    workspace,
+    repoSlug,
+    commitHash,
+    status
+  ),
+  setReviewDecision: (workspace, repoSlug, prId, action) => setPRReviewDecision(
+    config.bitbucketUsername,
+    config.bitbucketAppPassword,
+    workspace,
+    repoSlug,
+    prId,
+    action
+  ),
+  createTask: (workspace, repoSlug, prId, content, commentId) => createPRTask(
+    config.bitbucketUsername,
+    config.bitbucketAppPassword,
+    workspace,
+    repoSlug,
+    prId,
+    content,
+    commentId
+  ),
+  getFileContent: (workspace, repoSlug, commitHash, path) => getFileContent(
+    config.bitbucketUsername,
+    config.bitbucketAppPassword,
+    workspace,
+    repoSlug,
+    commitHash,
+    path
+  ),
+  listFiles: (workspace, repoSlug, commitHash) => listRepositoryFiles(
+    config.bitbucketUsername,
+    config.bitbucketAppPassword,
+    workspace,
+    repoSlug,
+    commitHash
+  ),
+  getRepoConfigFile: (workspace, repoSlug, commitHash) => getRepoConfigFile(
+    config.bitbucketUsername,
+    config.bitbucketAppPassword,
+    workspace,
+    repoSlug,
+    commitHash
+  )
+});
+
+// Default LLM adapter using the configured provider
+export const createLLMAdapter = (config) => ({
+  label: getProvider(config.llmProvider).label,
+  review: (prompt, options) => requestStructuredReview(config, prompt, options)
+});
+
+// Build status for a finished review: FAILED when a finding reaches the failOn severity
+const getReviewBuildStatus = (review, failOn = 'high') => {
+  const comments = review.comments || [];
+  const highest = getHighestSeverity(comments);
+  const failed = failOn !== 'none' && !!highest && isSeverityAtLeast(highest, failOn);
+
+  return {
+    state: failed ? 'FAILED' : 'SUCCESSFUL',
+    description: comments.length === 0
+      ? 'AI review found no issues'
+      : `AI review: ${comments.length} finding${comments.length !== 1 ? 's' : ''}, highest severity ${highest}`
+  };
+};
+
+// Move each comment to the closest line that exists in the diff of its file, on the side
+// (new or removed lines) it refers to, keeping line ranges inside a single hunk.
+// Replacements are only applicable when the comment was not moved.
+const alignCommentsToDiff = (comments, parsedChanges) => {
+  return comments.map(comment => {
+    // Find the file in parsed changes to validate line numbers
+    const fileChange = parsedChanges.find(change =>
+      change.filePath === comment.file ||
+      change.filePath.endsWith(comment.file) ||
+      comment.file.endsWith(change.filePath)
+    );
+
+    if (!fileChange || fileChange.hunks.length === 0) {
+      return { ...comment, originalLine: comment.line };
+    }
+
+    const anchor = getCommentAnchor(fileChange, {
+      line: comment.line,
+      endLine: comment.end_line,
+      side: comment.side
+    });
+    if (anchor.adjusted) {
+      console.log(`🔧 Adjusted comment ${comment.side || 'new'}:${comment.line}${comment.end_line ? `-${comment.end_line}` : ''} to ${anchor.side}:${anchor.line}${anchor.endLine ? `-${anchor.endLine}` : ''} for ${comment.file}`);
+    }
+
+    const aligned = {
+      ...comment,
+      line: anchor.line,
+      end_line: anchor.endLine,
+      side: anchor.side,
+      originalLine: comment.line
+    };
+    return {
+      ...aligned,
+      suggestionBase: anchor.adjusted ? null : getSuggestionBase(fileChange, aligned)
+    };
+  });
+};
+
+// Apply the repository's severity threshold and comment limit; when over the limit
+// the most severe findings are kept. Returns the kept comments and what was dropped.
+const limitComments = (comments, minSeverity, maxComments) => {
+  const aboveThreshold = minSeverity && minSeverity !== SEVERITIES[0]
+    ? comments.filter(comment => isSeverityAtLeast(comment.severity, minSeverity))
+    : comments;
+  const kept = maxComments > 0 && aboveThreshold.length > maxComments
+    ? [...aboveThreshold]
+      .sort((a, b) => SEVERITIES.indexOf(b.severity) - SEVERITIES.indexOf(a.severity))
+      .slice(0, maxComments)
+    : aboveThreshold;
+  return {
+    comments: kept,
+    belowThreshold: comments.length - aboveThreshold.length,
+    overLimit: aboveThreshold.length - kept.length
+  };
+};
+
+// Resolve the configuration to review a pull request with: the global configuration with
+// the repository's .ai-review.yml (or JSON) from the destination branch merged over it.
+// Returns the result of resolveRepoConfig; engines should be created with its config.
+export const loadEffectiveConfig = async (config, pr, repoFullName, bitbucket = createBitbucketAdapter(config)) => {
+  const { workspace, repoSlug } = parseRepoFullName(repoFullName);
+  const ref = pr.destination?.commit?.hash || pr.destination?.branch?.name;
+  if (!ref) {
+    return resolveRepoConfig(config, null);
+  }
+
+  // Like a file that does not parse, a file that cannot be fetched (403, 5xx, timeout)
+  // must not block the review; the global configuration applies instead
+  let file;
+  try {
+    file = await bitbucket.getRepoConfigFile(workspace, repoSlug, ref);
+  } catch (error) {
+    const message = `Could not read the repository review config: ${error.message}`;
+    console.warn(`${message} - using the global configuration`);
+    return { ...resolveRepoConfig(config, null), config: { ...config, repoConfigSource: null }, error: message };
+  }
+  const resolved = resolveRepoConfig(config, file && { ...file, commit: ref });
+  if (resolved.error) {
+    console.warn(`${resolved.error} - using the global configuration`);
+  }
+  return {
+    ...resolved,
+    config: { ...resolved.config, repoConfigSource: resolved.error ? null : resolved.source }
+  };
+};
+
+export const createReviewEngine = (config, adapters = {}) => {
+  const bitbucket = adapters.bitbucket || createBitbucketAdapter(config);
+  const llm = adapters.llm || createLLMAdapter(config);
+  const storage = adapters.storage || null;
+  const listeners = new Map();
+
+  const on = (event, listener) => {
+    if (!listeners.has(event)) {
+      listeners.set(event, new Set());
+    }
+    listeners.get(event).add(listener);
+    return () => listeners.get(event).delete(listener);
+  };
+
+  const emit = (event, payload) => {
+    (listeners.get(event) || []).forEach(listener => listener(payload));
+  };
+
+  const runStage = async (stage, task) => {
+    emit('stage', { stage, status: 'start' });
+    try {
+      const result = await task();
+      emit('stage', { stage, status: 'done' });
+      return result;
+    } catch (error) {
+      emit('stage', { stage, status: 'failed', error });
+      throw error;
+    }
+  };
+
+  // File contents leave the browser too, so they get the same redaction as the diff
+  const redactContent = (content) => {
+    return typeof content === 'string' && config.redactSecrets !== false ? redactText(content).text : content;
+  };
+
+  // Map-reduce review: review token-budgeted batches in parallel, then consolidate the findings
+  const runChunkedReview = async (pr, repoFullName, parsedChanges, enhancedContext, maxPromptTokens, signal, promptOptions) => {
+    const templateTokens = estimateTokens(buildReviewPrompt(
+      config.reviewPrompt,
+      { ...enhancedContext, files_overview: [], code_changes: [] },
+      '',
+      { ...promptOptions, fileContext: null, relatedFiles: null }
+    ));
+    const batchBudget = Math.max(1000, maxPromptTokens - templateTokens);
+    // Batches only carry the file and related-file context of their own files, so that context
+    // is counted per file while batching; a related file counts for every file it is linked to
+    const contextTokens = new Map();
+    const addContextTokens = (path, tokens) => contextTokens.set(path, (contextTokens.get(path) || 0) + tokens);
+    promptOptions.fileContext?.forEach(file => addContextTokens(file.path, estimateFileContextTokens(file)));
+    promptOptions.relatedFiles?.forEach(file => file.linkedTo.forEach(path => addContextTokens(path, file.tokens)));
+    const batches = splitChangesIntoBatches(parsedChanges, batchBudget, change => contextTokens.get(change.filePath) || 0);
+    let completed = 0;
+
+    emit('progress', { stage: 'batches', completed: 0, total: batches.length });
+
+    const batchResults = await runWithConcurrency(
+      batches,
+      config.chunkConcurrency || DEFAULT_CHUNK_CONCURRENCY,
+      async (batch, index) => {
+        const batchBlocks = extractChangedCodeWithContext(batch, 4);
+        const batchFiles = new Set(batch.map(change => change.filePath));
+        const batchPrompt = buildReviewPrompt(
+          config.reviewPrompt,
+          buildEnhancedContext(pr, batch, batchBlocks),
+          changesToDiffText(batch),
+          {
+            ...promptOptions,
+            fileContext: promptOptions.fileContext?.filter(file => batchFiles.has(file.path)),
+            relatedFiles: promptOptions.relatedFiles?.filter(file => file.linkedTo.some(path => batchFiles.has(path))),
+            batch: { index: index + 1, total: batches.length }
+          }
+        );
+        // A failed part (e.g. still rate limited after the retries) must not discard the others
+        let result;
+        try {
+          result = await llm.review(batchPrompt, { repoFullName, signal });
+        } catch (error) {
+          if (isAbortError(error)) throw error;
+          console.warn(`Review of part ${index + 1} of ${batches.length} failed:`, error);
+          result = { failed: { part: index + 1, files: [...batchFiles], error: error.message } };
+        }
+        completed++;
+        emit('progress', { stage: 'batches', completed, total: batches.length });
+        return result;
+      }
+    );
+    const failedParts = batchResults.filter(result => result.failed).map(result => result.failed);
+    const succeeded = batchResults.filter(result => !result.failed);
+    if (succeeded.length === 0) {
+      throw new Error(`All ${batches.length} parts of the review failed: ${failedParts[0].error}`);
+    }
+    const batchReviews = succeeded.map(result => result.parsed);
+    const validationErrors = succeeded.flatMap(result => result.validationErrors);
+
+    // Reduce: one more pass to dedupe findings and write the overall summary
+    emit('progress', { stage: 'consolidating', completed, total: batches.length });
+    let consolidated;
+    let consolidation = null;
+    try {
+      consolidation = await llm.review(
+        buildConsolidationPrompt(enhancedContext, batchReviews),
+        { repoFullName, signal }
+      );
+      if (consolidation.validationErrors.length > 0) {
+        throw new Error('Consolidation pass did not return a valid review');
+      }
+      consolidated = consolidation.parsed;
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      console.warn('Consolidation pass failed, merging batch findings directly:', error);
+      consolidation = null;
+      consolidated = mergeBatchReviews(batchReviews);
+    }
+
+    return {
+      parsed: {
+        ...consolidated,
+        chunked_review: { batches: batches.length, consolidated: !!consolidation, failed_parts: failedParts }
+      },
+      usage: mergeUsage([...succeeded.map(result => result.usage), consolidation?.usage]),
+      model: succeeded[0].model,
+      provider: succeeded[0].provider,
+      repaired: succeeded.some(result => result.repaired) || !!consolidation?.repaired,
+      validationErrors
+    };
+  };
+
+  // Fetch the post-change content of modified files and cut it down to the token budget
+  // Files that fail to load or are too large are left out
+  const fetchFileContext = async (workspace, repoSlug, commitHash, parsedChanges) => {
+    const files = parsedChanges.filter(change => !change.isDeleted && !change.isBinary && change.hunks.length > 0);
+    const entries = await runWithConcurrency(files, config.chunkConcurrency || DEFAULT_CHUNK_CONCURRENCY, async (change) => {
+      try {
+        const content = redactContent(await bitbucket.getFileContent(workspace, repoSlug, commitHash, change.filePath));
+        return content === null ? null : { change, content };
+      } catch (error) {
+        console.warn(`Skipping full-file context for ${change.filePath}:`, error);
+        return null;
+      }
+    });
+    return selectFileContexts(entries.filter(Boolean), config.fileContextMaxTokens || DEFAULT_FILE_CONTEXT_TOKENS);
+  };
+
+  // Find the files the changed code imports and the files importing it on the destination branch,
+  // and excerpt them (export signatures or call sites) within the token budget
+  const fetchRelatedContext = async (workspace, repoSlug, pr, parsedChanges) => {
+    const sourceCommit = pr.source.commit.hash;
+    const destinationCommit = pr.destination.commit.hash;
+    const concurrency = config.chunkConcurrency || DEFAULT_CHUNK_CONCURRENCY;
+    const changes = parsedChanges.filter(change => !change.isBinary && SOURCE_FILE_PATTERN.test(change.filePath));
+    if (changes.length === 0) {
+      return [];
+    }
+
+    const repositoryFiles = await bitbucket.listFiles(workspace, repoSlug, destinationCommit);
+    const changedPaths = new Set(parsedChanges.flatMap(change => [change.filePath, change.oldFilePath]).filter(Boolean));
+    const fileSet = new Set([...repositoryFiles, ...changedPaths]);
+
+    const loadContent = async (commitHash, path) => {
+      try {
+        return redactContent(await bitbucket.getFileContent(workspace, repoSlug, commitHash, path));
+      } catch (error) {
+        console.warn(`Skipping related file ${path}:`, error);
+        return null;
+      }
+    };
+
+    const related = new Map();
+    const addRelated = (path, relation, changedPath, names = [], specifier = null) => {
+      const key = `${relation}:${path}`;
+      const entry = related.get(key) || { path, relation, linkedTo: [], names: [], specifiers: [] };
+      entry.linkedTo = [...new Set([...entry.linkedTo, changedPath])];
+      entry.names = [...new Set([...entry.names, ...names])];
+      entry.specifiers = specifier ? [...new Set([...entry.specifiers, specifier])] : entry.specifiers;
+      related.set(key, entry);
+    };
+
+    // Dependencies: files imported by the changed files at the source commit
+    await runWithConcurrency(changes.filter(change => !change.isDeleted), concurrency, async (change) => {
+      const content = await loadContent(sourceCommit, change.filePath);
+      (content ? extractImports(content) : []).forEach(({ specifier }) => {
+        const path = resolveImportPath(change.filePath, specifier, fileSet);
+        if (path && !changedPaths.has(path)) {
+          addRelated(path, RELATED_FILE_RELATIONS.IMPORTED_BY_CHANGE, change.filePath);
+        }
+      });
+    });
+
+    // Callers: files importing a changed file, scanning the files closest to the changes first
+    const targets = new Map(changes.filter(change => !change.isNew).map(change => [change.oldFilePath || change.filePath, change.filePath]));
+    const contents = new Map();
+    if (targets.size > 0) {
+      await runWithConcurrency(selectImporterCandidates(repositoryFiles, [...targets.keys()]), concurrency, async (path) => {
+        const content = await loadContent(destinationCommit, path);
+        if (!content) return;
+        contents.set(path, content);
+        extractImports(content).forEach(({ specifier, names }) => {
+          const target = resolveImportPath(path, specifier, fileSet);
+          if (targets.has(target)) {
+            addRelated(path, RELATED_FILE_RELATIONS.IMPORTS_CHANGE, targets.get(target), names, specifier);
+          }
+        });
+      });
+    }
+
+    const ranked = rankRelatedFiles([...related.values()]).slice(0, MAX_RELATED_FILES * 2);
+    const excerpts = await runWithConcurrency(ranked, concurrency, async (entry) => {
+      const content = contents.get(entry.path) ?? await loadContent(destinationCommit, entry.path);
+      return content ? buildRelatedExcerpt(entry, content) : null;
+    });
+    return selectRelatedExcerpts(excerpts.filter(Boolean), config.relatedFileMaxTokens || DEFAULT_RELATED_FILE_TOKENS);
+  };
+
+  // Post review comments to the pull request
+  // The Bitbucket IDs of posted comments are kept so they can be edited or deleted later
+  const postComments = async (repoFullName, prId, review) => {
+    const { workspace, repoSlug } = parseRepoFullName(repoFullName);
+    const postResults = await runStage(REVIEW_STAGES.POST_COMMENTS, () =>
+      bitbucket.postReviewComments(workspace, repoSlug, prId, review)
+    );
+
+    if (storage?.savePostedComments) {
+      try {
+        await storage.savePostedComments(generatePRKey(workspace, repoSlug, prId), repoFullName, prId, postResults);
+      } catch (error) {
+        console.warn('Failed to save posted comment IDs:', error);
+      }
+    }
+
+    // Turn newly posted findings above the configured severity into tasks; comments that were
+    // already on the PR got their tasks when they were first posted
+    const newlyPosted = {
+      success: (postResults.success || []).filter(result => !result.updated && result.type !== 'summary')
+    };
+    const taskFindings = selectTaskFindings(review.comments, config.autoTaskSeverity)
+      .filter(finding => findPostedCommentId(newlyPosted, finding));
+    if (taskFindings.length > 0) {
+      try {
+        await createTasks(repoFullName, prId, taskFindings, newlyPosted);
+      } catch (error) {
+        console.error('Error creating tasks from findings:', error);
+      }
+    }
+
+    return postResults;
+  };
+
+  // Create PR tasks for findings, attached to their posted comments when postResults are given
+  // Returns { created: [{ task, finding, commentId }], failed: [{ finding, error }] }
+  const createTasks = async (repoFullName, prId, findings, postResults = null) => {
+    const { workspace, repoSlug } = parseRepoFullName(repoFullName);
+    const results = await runStage(REVIEW_STAGES.CREATE_TASKS, async () => {
+      const created = [];
+      const failed = [];
+      for (const finding of findings) {
+        const commentId = finding.commentId || findPostedCommentId(postResults, finding);
+        try {
+          const task = await bitbucket.createTask(workspace, repoSlug, prId, buildTaskContent(finding), commentId);
+          created.push({ task, finding, commentId });
+        } catch (error) {
+          failed.push({ finding, error: error.message });
+        }
+      }
+      return { created, failed };
+    });
+
+    if (storage?.saveTasks && results.created.length > 0) {
+      try {
+        await storage.saveTasks(generatePRKey(workspace, repoSlug, prId), repoFullName, prId, results.created);
+      } catch (error) {
+        console.warn('Failed to save created task IDs:', error);
+      }
+    }
+
+    emit('tasksCreated', results);
+    return results;
+  };
+
+  // Publish the review as a Code Insights report on the PR's source commit
+  const publishReport = async (repoFullName, pr, review) => {
+    const { workspace, repoSlug } = parseRepoFullName(repoFullName);
+    const commitHash = pr.source?.commit?.hash;
+    if (!commitHash) {
+      throw new Error('Pull request has no source commit to attach the report to');
+    }
+
+    const reportResult = await runStage(REVIEW_STAGES.PUBLISH_REPORT, () =>
+      bitbucket.publishInsightsReport(workspace, repoSlug, commitHash, review, { failOn: config.failOnSeverity })
+    );
+    emit('reportPublished', reportResult);
+    return reportResult;
+  };
+
+  // Fetch the diff to review: only the commits pushed since sinceCommit when given,
+  // falling back to the full PR diff when that commit is no longer reachable
+  const fetchDiff = async (pr, workspace, repoSlug, sinceCommit) => {
+    const headCommit = pr.source?.commit?.hash;
+
+    if (sinceCommit && headCommit && !isSameCommit(sinceCommit, headCommit)) {
+      try {
+        const diffText = await bitbucket.getCommitRangeDiff(workspace, repoSlug, headCommit, sinceCommit);
+        return { diffText, incremental: { fromCommit: sinceCommit, toCommit: headCommit } };
+      } catch (error) {
+        console.warn('Incremental diff unavailable, reviewing the full pull request:', error);
+        return {
+          diffText: await bitbucket.getPRDiff(workspace, repoSlug, pr.id),
+          incremental: null,
+          incrementalFallback: error.message
+        };
+      }
+    }
+
+    return { diffText: await bitbucket.getPRDiff(workspace, repoSlug, pr.id), incremental: null };
+  };
+
+  // Approve the PR or request changes as the reviewer account
+  const applyApprovalDecision = async (repoFullName, prId, decision) => {
+    const { workspace, repoSlug } = parseRepoFullName(repoFullName);
+    await runStage(REVIEW_STAGES.APPROVAL, () =>
+      bitbucket.setReviewDecision(workspace, repoSlug, prId, decision.action)
+    );
+    emit('approval', decision);
+    return decision;
+  };
+
+  // Run the repository's approval automation for a review: the decision is applied in auto
+  // mode and only returned in confirm mode. A failure to apply it is logged, never thrown
+  const runApprovalAutomation = async (repoFullName, prId, review) => {
+    const approvalSettings = getApprovalSettings(config, repoFullName);
+    const approvalDecision = getApprovalDecision(review, approvalSettings);
+    let approvalApplied = false;
+    if (approvalDecision && approvalSettings.mode === APPROVAL_MODES.AUTO) {
+      try {
+        await applyApprovalDecision(repoFullName, prId, approvalDecision);
+        approvalApplied = true;
+      } catch (error) {
+        console.error('Error applying approval decision:', error);
+      }
+    }
+    return { approvalDecision, approvalApplied };
+  };
+
+  // Set the commit build status of the PR head; failures are logged, never thrown,
+  // so a missing permission can't break the review itself
+  const updateBuildStatus = async (pr, repoFullName, status) => {
+    const { workspace, repoSlug } = parseRepoFullName(repoFullName);
+    const commitHash = pr.source?.commit?.hash;
+    if (!commitHash) return;
+
+    try {
+      await bitbucket.setBuildStatus(workspace, repoSlug, commitHash, {
+        ...status,
+        url: config.appUrl ? buildReviewLink(config.appUrl, repoFullName, pr.id) : pr.links?.html?.href
+      });
+      emit('buildStatus', status);
+    } catch (error) {
+      console.warn('Failed to update commit build status:', error);
+    }
+  };
+
+  // Run the full review pipeline for a pull request
+  // options: { signal, postComments, publishReport, buildStatus, approval, sinceCommit } - postComments
+  // posts the findings once the review is saved, publishReport publishes them as a Code Insights report,
+  // buildStatus tracks the review as a commit build status on the PR head, approval runs the
+  // repository's approval automation (applied in auto mode, only returned in confirm mode; leave
+  // it off while the findings wait in a draft and call runApprovalAutomation once it is posted);
+  // sinceCommit reviews only the changes between that commit and the PR head
+  // Returns { review, metadata, diffAnalysis, postResults, reportResult, approvalDecision, approvalApplied }
+  const reviewPullRequest = async (pr, repoFullName, options = {}) => {
+    if (!options.buildStatus) {
+      return runReview(pr, repoFullName, options);
+    }
+
+    await updateBuildStatus(pr, repoFullName, { state: 'INPROGRESS', description: 'AI review in progress' });
+    try {
+      const result = await runReview(pr, repoFullName, options);
+      await updateBuildStatus(pr, repoFullName, getReviewBuildStatus(result.review, config.failOnSeverity));
+      return result;
+    } catch (error) {
+      // Don't leave the status in progress, which would block merges forever
+      await updateBuildStatus(pr, repoFullName, {
+        state: 'STOPPED',
+        description: isAbortError(error) ? 'AI review cancelled' : 'AI review failed'
+      });
+      throw error;
+    }
+  };
+
+  const runReview = async (pr, repoFullName, options) => {
+    const { signal } = options;
+    const { workspace, repoSlug } = parseRepoFullName(repoFullName);
+
+    // Step 1: Get PR diff
+    const { diffText, incremental, incrementalFallback } = await runStage(REVIEW_STAGES.FETCH_DIFF, () =>
+      fetchDiff(pr, workspace, repoSlug, options.sinceCommit)
+    );
+
+    if (!diffText || diffText.trim().length === 0) {
+      throw new Error(incremental
+        ? 'No new changes since the last AI review'
+        : 'No changes found in this pull request');
+    }
+
+    // Step 2: Parse the diff, redact secrets, leave out ignored paths, lockfiles, bundles
+    // and generated code, and analyze the remaining files
+    const originalChanges = await runStage(REVIEW_STAGES.PARSE_DIFF, async () => parseDiff(diffText));
+
+    // Nothing that looks like a credential may reach the LLM; secrets on added lines become findings
+    let allChanges = originalChanges;
+    let secretFindings = [];
+    let redactedLines = 0;
+    if (config.redactSecrets !== false) {
+      const scan = await runStage(REVIEW_STAGES.SCAN_SECRETS, async () => redactChanges(originalChanges));
+      allChanges = scan.changes;
+      secretFindings = buildSecretFindings(scan.secrets);
+      redactedLines = scan.redactedLines;
+      if (redactedLines > 0) {
+        console.warn(`🔐 Redacted possible secrets on ${redactedLines} line(s) before sending the diff`);
+      }
+    }
+
+    const { parsedChanges, excludedFiles, diffAnalysis, codeBlocks } = await runStage(REVIEW_STAGES.FILTER_FILES, async () => {
+      const { included, excluded } = filterChanges(allChanges, {
+        ignorePaths: config.ignorePaths,
+        builtInFilters: config.skipGeneratedFiles !== false
+      });
+      return {
+        parsedChanges: included,
+        excludedFiles: excluded,
+        diffAnalysis: analyzeChanges(included),
+        // Code blocks with 4 lines of context for better AI understanding
+        codeBlocks: extractChangedCodeWithContext(included, 4)
+      };
+    });
+
+    if (excludedFiles.length > 0) {
+      console.log(`🙈 Excluded ${excludedFiles.length} file(s) from the review:`, excludedFiles);
+    }
+    if (parsedChanges.length === 0) {
+      throw new Error(`All ${excludedFiles.length} changed files were excluded (ignored paths, lockfiles or generated code)`);
+    }
+
+    // The raw diff in the prompt must not contain the excluded files or the secrets either
+    const reviewedDiffText = excludedFiles.length > 0 || redactedLines > 0 ? changesToDiffText(parsedChanges) : diffText;
+    // Comments are aligned with the unredacted diff, so suggestions are based on the real code
+    const reviewedFiles = new Set(parsedChanges.map(change => change.filePath));
+    const alignmentChanges = originalChanges.filter(change => reviewedFiles.has(change.filePath));
+    // Excluded files are still redacted but never sent, and ignored paths such as fixtures or
+    // vendored code often hold sample keys, so only secrets in reviewed files are reported
+    const reportedSecretFindings = secretFindings.filter(finding => reviewedFiles.has(finding.file));
+
+    // Deterministic local rules run over the real (unredacted) added lines
+    let ruleFindings = [];
+    if (config.localRules !== false) {
+      ruleFindings = await runStage(REVIEW_STAGES.RUN_RULES, async () => {
+        let userRules = [];
+        try {
+          userRules = storage?.getRules ? await storage.getRules() : [];
+        } catch (error) {
+          console.warn('Failed to load user-defined rules, running the built-in rules only:', error);
+        }
+        return runRules(alignmentChanges, getActiveRules(userRules, config.disabledRules));
+      });
+      if (ruleFindings.length > 0) {
+        console.log(`📏 Local rules found ${ruleFindings.length} issue(s)`);
+      }
+    }
+
+    console.log('📊 Diff Analysis:', {
+      filesChanged: diffAnalysis.totalFiles,
+      linesAdded: diffAnalysis.totalAdded,
+      linesRemoved: diffAnalysis.totalRemoved,
+      codeBlocks: codeBlocks.length
+    });
+
+    emit('diffStats', {
+      additions: diffAnalysis.totalAdded,
+      deletions: diffAnalysis.totalRemoved,
+      total: diffAnalysis.totalAdded + diffAnalysis.totalRemoved,
+      files: diffAnalysis.totalFiles,
+      codeBlocks: codeBlocks.length
+    });
+
+    // Optionally give the model the post-change code around each change (or whole small files),
+    // so it can see definitions outside the hunks
+    let fileContext = null;
+    if (config.fullFileContext && pr.source?.commit?.hash) {
+      fileContext = await runStage(REVIEW_STAGES.FETCH_CONTEXT, () =>
+        fetchFileContext(workspace, repoSlug, pr.source.commit.hash, parsedChanges)
+      );
+    }
+
+    // Optionally add excerpts of unchanged files linked to the change through imports,
+    // so breakages in callers can be spotted; a failure only drops this context
+    let relatedFiles = null;
+    if (config.relatedFileContext && pr.source?.commit?.hash && pr.destination?.commit?.hash) {
+      try {
+        relatedFiles = await runStage(REVIEW_STAGES.FETCH_RELATED, () =>
+          fetchRelatedContext(workspace, repoSlug, pr, parsedChanges)
+        );
+      } catch (error) {
+        console.warn('Failed to load related-file context:', error);
+      }
+    }
+
+    // Step 3: Create enhanced context and the structured prompt
+    const promptOptions = { incremental, fileContext, relatedFiles };
+    const { enhancedContext, structuredPrompt } = await runStage(REVIEW_STAGES.BUILD_PROMPT, async () => {
+      const context = buildEnhancedContext(pr, parsedChanges, codeBlocks);
+      return {
+        enhancedContext: context,
+        structuredPrompt: buildReviewPrompt(config.reviewPrompt, context, reviewedDiffText, promptOptions)
+      };
+    });
+
+    // Step 4: Get AI review - in a single prompt, or map-reduce over batches
+    // when the diff would not fit the model context window
+    const review = await runStage(REVIEW_STAGES.REVIEW, () => {
+      const maxPromptTokens = config.maxPromptTokens || DEFAULT_MAX_PROMPT_TOKENS;
+      const reviewMode = config.reviewMode || 'auto';
+      const useChunkedReview = reviewMode === 'chunked' ||
+        (reviewMode === 'auto' && estimateTokens(structuredPrompt) > maxPromptTokens);
+
+      if (useChunkedReview) {
+        console.log(`🧩 Reviewing in batches of up to ${maxPromptTokens} tokens...`);
+        return runChunkedReview(pr, repoFullName, parsedChanges, enhancedContext, maxPromptTokens, signal, promptOptions);
+      }
+
+      console.log(`🤖 Sending enhanced context to ${llm.label}...`);
+      return llm.review(structuredPrompt, {
+        repoFullName,
+        signal,
+        // Stream partial output to listeners unless disabled in the config
+        onText: config.streamResponses !== false ? text => emit('text', text) : undefined
+      });
+    });
+
+    // Step 5: The review has already been validated against the review schema;
+    // align the comments that passed validation with lines in the diff
+    const parsedReview = await runStage(REVIEW_STAGES.VALIDATE, async () => {
+      const result = { ...review.parsed };
+      if (review.repaired || review.validationErrors.length > 0) {
+        result.schema_validation = {
+          repaired: review.repaired,
+          errors: review.validationErrors
+        };
+      }
+
+      // The model was only shown these files and lines; anything else is a hallucination
+      // or the result of instructions injected through the PR content
+      const grounded = checkCommentsAgainstDiff(result.comments, alignmentChanges, { newSideOnly: !!incremental });
+      if (grounded.rejected.length > 0) {
+        console.warn(`🛡️ Rejected ${grounded.rejected.length} comment(s) on files or lines outside the diff`);
+        result.rejected_comments = grounded.rejected;
+      }
+      // Instructions were found in the PR title or description, so an approval is not trusted
+      if (enhancedContext.neutralized_instructions > 0) {
+        result.prompt_injection = {
+          neutralized_instructions: enhancedContext.neutralized_instructions,
+          approval_withheld: result.verdict === 'approve'
+        };
+        if (result.verdict === 'approve') {
+          result.verdict = 'comment';
+        }
+      }
+
+      const limited = limitComments(
+        alignCommentsToDiff([...ruleFindings, ...grounded.comments], alignmentChanges),
+        config.minSeverity,
+        config.maxComments
+      );
+      // Secret findings bypass the severity threshold and comment limit
+      result.comments = [...alignCommentsToDiff(reportedSecretFindings, alignmentChanges), ...limited.comments];
+      if (redactedLines > 0) {
+        result.secret_scan = {
+          redacted_lines: redactedLines,
+          findings: reportedSecretFindings.length
+        };
+      }
+      if (limited.belowThreshold > 0 || limited.overLimit > 0) {
+        result.findings_filtered = {
+          below_threshold: limited.belowThreshold,
+          over_limit: limited.overLimit
+        };
+      }
+
+      // Add analysis metadata to review
+      result.diff_analysis = {
+        files_changed: diffAnalysis.totalFiles,
+        lines_added: diffAnalysis.totalAdded,
+        lines_removed: diffAnalysis.totalRemoved,
+        code_blocks_analyzed: codeBlocks.length
+      };
+      if (excludedFiles.length > 0) {
+        result.excluded_files = excludedFiles;
+      }
+      return result;
+    });
+
+    console.log('✅ AI Review completed:', {
+      summary: parsedReview.summary ? 'Yes' : 'No',
+      comments: parsedReview.comments.length,
+      analysis: parsedReview.diff_analysis
+    });
+
+    // Step 6: Save review result with enhanced metadata
+    const metadata = {
+      prTitle: pr.title,
+      prAuthor: pr.author?.display_name || pr.author?.username,
+      reviewedAt: new Date().toISOString(),
+      provider: review.provider,
+      model: review.model,
+      usage: review.usage,
+      diffAnalysis: diffAnalysis,
+      enhancedContext: true, // Flag to indicate this review used enhanced parsing
+      sourceCommit: pr.source?.commit?.hash || null,
+      destinationCommit: pr.destination?.commit?.hash || null,
+      incremental,
+      incrementalFallback: incrementalFallback || null,
+      // The .ai-review.yml the review ran with
+      repoConfig: config.repoConfigSource || null,
+      fileContext: fileContext && {
+        files: fileContext.length,
+        wholeFiles: fileContext.filter(file => file.wholeFile).length,
+        tokens: fileContext.reduce((sum, file) => sum + estimateFileContextTokens(file), 0)
+      },
+      // Extra files the model saw, so the review can be traced back to its context
+      relatedFiles: relatedFiles && relatedFiles.map(file => ({
+        path: file.path,
+        relation: file.relation,
+        linkedTo: file.linkedTo,
+        tokens: file.tokens
+      }))
+    };
+
+    if (storage) {
+      await runStage(REVIEW_STAGES.SAVE, () =>
+        storage.saveReview(generatePRKey(workspace, repoSlug, pr.id), repoFullName, pr.id, parsedReview, metadata)
+      );
+    }
+
+    emit('reviewed', { review: parsedReview, metadata });
+
+    // Step 7: Post comments to Bitbucket; a failure here does not fail the review
+    let postResults = null;
+    if (options.postComments && parsedReview.comments.length > 0) {
+      try {
+        postResults = await postComments(repoFullName, pr.id, parsedReview);
+
+        const successCount = postResults.success?.length || 0;
+        const totalComments = successCount + (postResults.failed?.length || 0);
+        if (successCount === totalComments) {
+          console.log(`✅ Successfully posted all ${successCount} comments to Bitbucket`);
+        } else if (successCount > 0) {
+          console.warn(`⚠️ Posted ${successCount} of ${totalComments} comments. ${postResults.failed?.length} failed.`);
+        } else {
+          console.error('❌ Failed to post any comments to Bitbucket');
+        }
+        emit('posted', postResults);
+      } catch (error) {
+        console.error('Error posting comments to Bitbucket:', error);
+      }
+    }
+
+    // Step 8: Publish the Code Insights report; a failure here does not fail the review either
+    let reportResult = null;
+    if (options.publishReport) {
+      try {
+        reportResult = await publishReport(repoFullName, pr, parsedReview);
+        console.log(`✅ Published Code Insights report (${reportResult.result}, ${reportResult.annotations} annotations)`);
+      } catch (error) {
+        console.error('Error publishing Code Insights report:', error);
+      }
+    }
+
+    // Step 9: Approval automation; a failure here does not fail the review either
+    const { approvalDecision, approvalApplied } = options.approval
+      ? await runApprovalAutomation(repoFullName, pr.id, parsedReview)
+      : { approvalDecision: null, approvalApplied: false };
+
+    return {
+      review: parsedReview,
+      metadata,
+      diffAnalysis,
+      postResults,
+      reportResult,
+      approvalDecision,
+      approvalApplied
+    };
+  };
+
+  return {
+    on,
+    reviewPullRequest,
+    postComments,
+    publishReport,
+    applyApprovalDecision,
+    runApprovalAutomation,
+    createTasks
+  };
+};
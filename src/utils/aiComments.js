@@ -0,0 +1,192 @@
+/**
+ * Formatting and recognition of the comments this tool posts to Bitbucket
+ * Posted comments are matched back to review findings by file, line and a
+ * fingerprint of the finding text, so re-running a review does not stack duplicates.
+ */
+
+export const AI_COMMENT_LABEL = '🤖 AI Review';
+export const AI_SUMMARY_HEADING = '## 🤖 AI Code Review Summary';
+
+const FINDING_PATTERN = /\*\*🤖 AI Review(?: \(([^)]*)\))?:\*\* ([\s\S]*?)(?:\n\n\*\*Suggest(?:ion|ed change):\*\*[\s\S]*)?$/;
+// The line may be followed by the end of a range and "(removed)" for old-side comments
+const CONTEXT_PATTERN = /^\*\*📍 File:\*\* `([^`]+)`\n\*\*📍 Line:\*\* (\d+)[^\n]*\n\n/;
+
+/**
+ * Tag of a finding that did not come from the LLM
+ * @param {Object} comment - Review comment
+ * @returns {string|null} e.g. "rule: no-debugger" or "secret-scan", null for LLM findings
+ */
+export const getSourceTag = (comment) => {
+  if (!comment.source) {
+    return null;
+  }
+  return comment.rule ? `${comment.source}: ${comment.rule}` : comment.source;
+};
+
+/**
+ * Format a review finding as the markdown body of an inline comment
+ * A replacement that matches the diff is posted as a suggestion block the author can apply
+ * @param {Object} comment - Review comment
+ * @returns {string} Markdown body
+ */
+export const formatReviewComment = (comment) => {
+  const labels = [comment.severity, comment.category, getSourceTag(comment)].filter(Boolean).join(' · ');
+  let body = `**${AI_COMMENT_LABEL}${labels ? ` (${labels})` : ''}:** ${comment.comment}`;
+
+  if (comment.suggestion) {
+    body += `\n\n**Suggestion:**\n\`\`\`\n${comment.suggestion}\n\`\`\``;
+  }
+
+  if (typeof comment.replacement === 'string') {
+    const fence = comment.suggestionBase ? 'suggestion' : '';
+    body += `\n\n**Suggested change:**\n\`\`\`${fence}\n${comment.replacement}\n\`\`\``;
+  }
+
+  return body;
+};
+
+/**
+ * Format the review summary as the markdown body of a general comment
+ * @param {string} summary - Review summary
+ * @returns {string} Markdown body
+ */
+export const formatReviewSummary = (summary) => `${AI_SUMMARY_HEADING}\n\n${summary}`;
+
+/**
+ * Fingerprint text so whitespace, case and markdown emphasis changes still match
+ * @param {string} text - Comment text
+ * @returns {string} Short hex hash (FNV-1a)
+ */
+export const fingerprintText = (text) => {
+  const normalized = (text || '')
+    .toLowerCase()
+    .replace(/[*_`>#]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < normalized.length; i++) {
+    hash ^= normalized.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+};
+
+/**
+ * Extract the finding from the body of an AI inline comment
+ * @param {string} body - Comment body without the file/line header
+ * @returns {Object|null} { severity, category, text }, or null if the body is not an AI finding
+ */
+export const parseFindingBody = (body) => {
+  const match = (body || '').match(FINDING_PATTERN);
+  if (!match) {
+    return null;
+  }
+  const [severity = null, category = null] = match[1] ? match[1].split(' · ') : [];
+  return { severity, category, text: match[2] };
+};
+
+/**
+ * Recognise a Bitbucket PR comment posted by this tool
+ * @param {Object} prComment - Comment from the Bitbucket API
+ * @returns {Object|null} { id, type: 'summary' | 'inline' | 'contextual', file, line, header, body, fingerprint },
+ *   or null for deleted comments and comments not posted by this tool
+ */
+export const parseAIComment = (prComment) => {
+  const raw = prComment.content?.raw || '';
+  if (prComment.deleted || !raw) {
+    return null;
+  }
+
+  if (raw.startsWith(AI_SUMMARY_HEADING)) {
+    return {
+      id: prComment.id,
+      type: 'summary',
+      file: null,
+      line: null,
+      header: '',
+      body: raw,
+      fingerprint: fingerprintText(raw.substring(AI_SUMMARY_HEADING.length))
+    };
+  }
+
+  // Comments that could not be placed inline are posted with a file/line header
+  const context = raw.match(CONTEXT_PATTERN);
+  const body = context ? raw.substring(context[0].length) : raw;
+  const finding = parseFindingBody(body);
+  if (!finding) {
+    return null;
+  }
+
+  // Multi-line comments are anchored by their first line
+  const inline = prComment.inline;
+  return {
+    id: prComment.id,
+    type: context ? 'contextual' : 'inline',
+    file: context ? context[1] : inline?.path || null,
+    line: context ? parseInt(context[2]) : inline?.start_to ?? inline?.to ?? inline?.start_from ?? inline?.from ?? null,
+    header: context ? context[0] : '',
+    body,
+    fingerprint: fingerprintText(finding.text)
+  };
+};
+
+/**
+ * Check whether a Bitbucket comment was written by a user
+ * Other reviewers may run this tool too; their comments carry the same label but must not be touched
+ * @param {Object} prComment - Comment from the Bitbucket API
+ * @param {Object} user - Authenticated user from the /user endpoint
+ * @returns {boolean}
+ */
+export const isCommentByUser = (prComment, user) => {
+  const author = prComment.user;
+  if (!author || !user) {
+    return false;
+  }
+  return (!!user.uuid && author.uuid === user.uuid) || (!!user.account_id && author.account_id === user.account_id);
+};
+
+/**
+ * Find an existing AI comment for the same finding
+ * @param {Array} existingComments - Results of parseAIComment
+ * @param {Object} comment - Review comment about to be posted
+ * @param {Array<number>} lines - Lines the finding may have been posted on (original and adjusted)
+ * @returns {Object|null} Matching parsed comment
+ */
+export const findExistingAIComment = (existingComments, comment, lines) => {
+  const fingerprint = fingerprintText(comment.comment);
+  return existingComments.find(existing =>
+    existing.type !== 'summary' &&
+    existing.file === comment.file &&
+    lines.includes(existing.line) &&
+    existing.fingerprint === fingerprint
+  ) || null;
+};
+
+/**
+ * Merge the comments from a posting run into the tracked list of posted AI comments
+ * @param {Array} tracked - Previously tracked comments
+ * @param {Object} postResults - Results from postReviewComments
+ * @returns {Array} Tracked comments { commentId, type, file, line, body, resolved, postedAt }
+ */
+export const trackPostedComments = (tracked = [], postResults) => {
+  const byId = new Map(tracked.map(comment => [comment.commentId, comment]));
+  const now = new Date().toISOString();
+
+  [...(postResults.success || []), ...(postResults.skipped || [])]
+    .filter(result => result.commentId)
+    .forEach(result => {
+      const previous = byId.get(result.commentId);
+      byId.set(result.commentId, {
+        commentId: result.commentId,
+        type: result.type,
+        file: result.file || null,
+        line: result.line || null,
+        body: result.body || previous?.body || '',
+        resolved: previous?.resolved || false,
+        postedAt: previous?.postedAt || now
+      });
+    });
+
+  return [...byId.values()];
+};
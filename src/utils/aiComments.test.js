@@ -0,0 +1,109 @@
+import { describe, it, expect } from 'vitest';
+import {
+  formatReviewComment,
+  formatReviewSummary,
+  fingerprintText,
+  parseFindingBody,
+  parseAIComment,
+  isCommentByUser,
+  findExistingAIComment,
+  trackPostedComments
+} from './aiComments.js';
+
+const finding = { file: 'src/app.js', line: 12, severity: 'high', category: 'bug', comment: 'Check for **null** first' };
+
+describe('formatReviewComment and parseFindingBody', () => {
+  it('round-trips the severity, category and text of a finding', () => {
+    const body = formatReviewComment({ ...finding, suggestion: 'if (x) {}' });
+
+    expect(parseFindingBody(body)).toEqual({ severity: 'high', category: 'bug', text: finding.comment });
+  });
+
+  it('tags findings of local rules and marks applicable suggestions', () => {
+    const body = formatReviewComment({ ...finding, source: 'rule', rule: 'no-debugger', replacement: 'foo();', suggestionBase: 'debugger;' });
+
+    expect(body).toContain('(high · bug · rule: no-debugger)');
+    expect(body).toContain('```suggestion\nfoo();\n```');
+    expect(parseFindingBody('A human comment')).toBeNull();
+  });
+});
+
+describe('fingerprintText', () => {
+  it('ignores case, whitespace and markdown emphasis', () => {
+    expect(fingerprintText('Check for **null**  first')).toBe(fingerprintText('check for null first'));
+    expect(fingerprintText('Check for null first')).not.toBe(fingerprintText('Check for undefined first'));
+  });
+});
+
+describe('parseAIComment', () => {
+  it('recognises inline, contextual and summary comments', () => {
+    const body = formatReviewComment(finding);
+    const inline = parseAIComment({ id: 1, content: { raw: body }, inline: { path: 'src/app.js', to: 12 } });
+    const contextual = parseAIComment({
+      id: 2,
+      content: { raw: `**📍 File:** \`src/app.js\`\n**📍 Line:** 40-42 (removed)\n\n${body}` }
+    });
+    const summary = parseAIComment({ id: 3, content: { raw: formatReviewSummary('All good') } });
+
+    expect(inline).toMatchObject({ type: 'inline', file: 'src/app.js', line: 12, fingerprint: fingerprintText(finding.comment) });
+    expect(contextual).toMatchObject({ type: 'contextual', file: 'src/app.js', line: 40, body });
+    expect(summary).toMatchObject({ type: 'summary', file: null });
+  });
+
+  it('anchors multi-line and old-side comments by their first line', () => {
+    const body = formatReviewComment(finding);
+
+    expect(parseAIComment({ id: 1, content: { raw: body }, inline: { path: 'a.js', start_to: 5, to: 8 } }).line).toBe(5);
+    expect(parseAIComment({ id: 2, content: { raw: body }, inline: { path: 'a.js', from: 9, to: null } }).line).toBe(9);
+  });
+
+  it('skips deleted comments and comments by people', () => {
+    expect(parseAIComment({ id: 1, deleted: true, content: { raw: formatReviewComment(finding) } })).toBeNull();
+    expect(parseAIComment({ id: 2, content: { raw: 'Nice work' } })).toBeNull();
+  });
+});
+
+describe('isCommentByUser', () => {
+  const me = { uuid: '{me}', account_id: 'acc-me' };
+
+  it('matches the author by uuid or account id', () => {
+    expect(isCommentByUser({ user: { uuid: '{me}' } }, me)).toBe(true);
+    expect(isCommentByUser({ user: { account_id: 'acc-me' } }, me)).toBe(true);
+    expect(isCommentByUser({ user: { uuid: '{other}', account_id: 'acc-other' } }, me)).toBe(false);
+  });
+
+  it('does not treat missing ids as a match', () => {
+    expect(isCommentByUser({ user: {} }, { uuid: '{me}' })).toBe(false);
+    expect(isCommentByUser({ user: { account_id: undefined } }, { uuid: '{me}', account_id: undefined })).toBe(false);
+    expect(isCommentByUser({ user: {} }, {})).toBe(false);
+    expect(isCommentByUser({}, me)).toBe(false);
+    expect(isCommentByUser({ user: { uuid: '{me}' } }, null)).toBe(false);
+  });
+});
+
+describe('findExistingAIComment', () => {
+  it('matches a finding by file, one of its lines and fingerprint', () => {
+    const existing = [
+      { type: 'summary', file: null, line: null, fingerprint: fingerprintText(finding.comment) },
+      { id: 7, type: 'inline', file: 'src/app.js', line: 14, fingerprint: fingerprintText('check for NULL first') }
+    ];
+
+    expect(findExistingAIComment(existing, finding, [12, 14])?.id).toBe(7);
+    expect(findExistingAIComment(existing, finding, [12])).toBeNull();
+    expect(findExistingAIComment(existing, { ...finding, comment: 'Other' }, [14])).toBeNull();
+  });
+});
+
+describe('trackPostedComments', () => {
+  it('adds new comments and keeps the state of tracked ones', () => {
+    const tracked = [{ commentId: 1, type: 'inline', file: 'a.js', line: 2, body: 'Old', resolved: true, postedAt: '2024-01-01T00:00:00.000Z' }];
+    const next = trackPostedComments(tracked, {
+      success: [{ commentId: 2, type: 'inline', file: 'b.js', line: 3, body: 'New' }],
+      skipped: [{ commentId: 1, type: 'inline', file: 'a.js', line: 2 }, { type: 'inline', file: 'c.js' }]
+    });
+
+    expect(next).toHaveLength(2);
+    expect(next[0]).toEqual(tracked[0]);
+    expect(next[1]).toMatchObject({ commentId: 2, body: 'New', resolved: false });
+  });
+});
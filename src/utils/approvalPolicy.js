@@ -0,0 +1,89 @@
+/**
+ * Approval automation
+ * Turns the verdict and severity counts of a review into an approve or
+ * request-changes decision for the reviewer account, per repository.
+ */
+
+import { SEVERITIES, isSeverityAtLeast } from './reviewSchema.js';
+
+export const APPROVAL_MODES = {
+  OFF: 'off',
+  CONFIRM: 'confirm',
+  AUTO: 'auto'
+};
+
+export const APPROVAL_ACTIONS = {
+  APPROVE: 'approve',
+  REQUEST_CHANGES: 'request-changes'
+};
+
+export const DEFAULT_APPROVAL_SETTINGS = {
+  mode: APPROVAL_MODES.OFF,
+  requestChangesOn: 'high'
+};
+
+/**
+ * Get the approval settings of a repository
+ * @param {Object} config - Saved configuration
+ * @param {string} repoFullName - Repository full name (workspace/repo)
+ * @returns {Object} { mode, requestChangesOn }
+ */
+export const getApprovalSettings = (config, repoFullName) => ({
+  ...DEFAULT_APPROVAL_SETTINGS,
+  ...(config.repoSettings?.[repoFullName]?.approval || {})
+});
+
+/**
+ * Count review comments by severity
+ * @param {Array} comments - Review comments
+ * @returns {Object} Count per severity
+ */
+export const countBySeverity = (comments = []) => {
+  const counts = Object.fromEntries(SEVERITIES.map(severity => [severity, 0]));
+  comments.forEach(comment => {
+    if (comment.severity in counts) {
+      counts[comment.severity]++;
+    }
+  });
+  return counts;
+};
+
+/**
+ * Decide whether to approve or request changes
+ * Findings at or above requestChangesOn always request changes; otherwise the
+ * model's verdict decides, and a "comment" verdict takes no action.
+ * @param {Object} review - Review with verdict and comments
+ * @param {Object} settings - Approval settings from getApprovalSettings
+ * @returns {Object|null} { action, reason, counts }, or null when no action should be taken
+ */
+export const getApprovalDecision = (review, settings) => {
+  if (!settings || settings.mode === APPROVAL_MODES.OFF) {
+    return null;
+  }
+
+  const comments = review.comments || [];
+  const counts = countBySeverity(comments);
+  const blocking = comments.filter(comment => isSeverityAtLeast(comment.severity, settings.requestChangesOn));
+  const countText = SEVERITIES
+    .filter(severity => counts[severity] > 0)
+    .map(severity => `${counts[severity]} ${severity}`)
+    .join(', ') || 'no findings';
+
+  if (blocking.length > 0) {
+    return {
+      action: APPROVAL_ACTIONS.REQUEST_CHANGES,
+      reason: `${blocking.length} finding${blocking.length !== 1 ? 's' : ''} at or above ${settings.requestChangesOn} severity (${countText})`,
+      counts
+    };
+  }
+
+  if (review.verdict === 'request_changes') {
+    return { action: APPROVAL_ACTIONS.REQUEST_CHANGES, reason: `The AI reviewer requested changes (${countText})`, counts };
+  }
+
+  if (review.verdict === 'approve') {
+    return { action: APPROVAL_ACTIONS.APPROVE, reason: `The AI reviewer approved (${countText})`, counts };
+  }
+
+  return null;
+};
@@ -1,10 +1,20 @@
 // Validation utilities for authentication and configuration
 
-export const validateConfig = (config) => {
+// provider is the entry of the provider registry selected by config.llmProvider;
+// its requiresApiKey, defaultBaseUrl and defaultModel decide which fields are required
+export const validateConfig = (config, provider) => {
   const errors = [];
   
-  if (!config.llmToken || config.llmToken.trim().length === 0) {
-    errors.push('Gemini API Token is required');
+  if (provider.requiresApiKey && (!config.llmToken || config.llmToken.trim().length === 0)) {
+    errors.push(`${provider.label} API Token is required`);
+  }
+
+  if (!provider.defaultBaseUrl && (!config.llmBaseUrl || config.llmBaseUrl.trim().length === 0)) {
+    errors.push(`${provider.label} Base URL is required`);
+  }
+
+  if (!provider.defaultModel && (!config.llmModel || config.llmModel.trim().length === 0)) {
+    errors.push(`${provider.label} Model is required`);
   }
   
   if (!config.bitbucketUsername || config.bitbucketUsername.trim().length === 0) {
@@ -96,6 +106,21 @@ export const parsePRKey = (prKey) => {
   };
 };
 
+// Link to a pull request in this app (used as the target of commit build statuses).
+// Points at the app root, which forwards the query to /search: static hosts such as
+// GitHub Pages only serve index.html there, so a deep link would return 404
+export const buildReviewLink = (appUrl, repoFullName, prId) => {
+  return `${appUrl.replace(/\/+$/, '')}/?repo=${encodeURIComponent(repoFullName)}&pr=${prId}`;
+};
+
+// Compare commit hashes - Bitbucket lists use short (12 char) hashes, details use full ones
+export const isSameCommit = (hashA, hashB) => {
+  if (!hashA || !hashB) {
+    return false;
+  }
+  return hashA.startsWith(hashB) || hashB.startsWith(hashA);
+};
+
 // Format date for display
 export const formatDate = (dateString) => {
   const date = new Date(dateString);
@@ -131,12 +156,7 @@ export const generateColor = (text) => {
   return colors[Math.abs(hash) % colors.length];
 };
 
-// Check if configuration is complete
-export const isConfigurationComplete = (config) => {
-  return !!(
-    config.llmToken && 
-    config.bitbucketUsername && 
-    config.bitbucketAppPassword &&
-    config.reviewPrompt
-  );
+// Check if configuration is complete, including the base URL and model the provider needs
+export const isConfigurationComplete = (config, provider) => {
+  return validateConfig(config, provider).isValid;
 };
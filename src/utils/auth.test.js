@@ -0,0 +1,32 @@
+import { describe, it, expect } from 'vitest';
+import { getProvider } from '../services/llmProviders.js';
+import { validateConfig, isConfigurationComplete } from './auth.js';
+
+const base = { bitbucketUsername: 'dev', bitbucketAppPassword: 'app-password', reviewPrompt: 'Review this.' };
+
+describe('validateConfig', () => {
+  it('requires an API token for hosted providers only', () => {
+    expect(validateConfig({ ...base, llmProvider: 'openai' }, getProvider('openai')).errors)
+      .toEqual(['OpenAI-compatible API Token is required']);
+    expect(validateConfig({ ...base, llmProvider: 'ollama' }, getProvider('ollama'))).toEqual({ isValid: true, errors: [] });
+  });
+
+  it('requires the base URL and model of providers without defaults', () => {
+    const azure = getProvider('azure-openai');
+
+    expect(validateConfig({ ...base, llmToken: 'key' }, azure).errors).toEqual([
+      'Azure OpenAI Base URL is required',
+      'Azure OpenAI Model is required'
+    ]);
+    expect(isConfigurationComplete({ ...base, llmToken: 'key', llmBaseUrl: 'https://team.openai.azure.com', llmModel: 'gpt-4o' }, azure))
+      .toBe(true);
+  });
+
+  it('requires the Bitbucket credentials and a review prompt', () => {
+    expect(validateConfig({ llmToken: 'key', bitbucketUsername: ' ', reviewPrompt: '' }, getProvider('gemini')).errors).toEqual([
+      'Bitbucket Username is required',
+      'Bitbucket App Password is required',
+      'Review Prompt is required'
+    ]);
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Bitbucket Code Insights mapping
+ * Turns a review into a report and annotations for the Reports panel of the
+ * PR's source commit, so findings don't have to be posted as PR comments.
+ */
+
+import { isSeverityAtLeast } from './reviewSchema.js';
+
+export const INSIGHTS_REPORT_ID = 'ai-code-review';
+export const MAX_ANNOTATIONS = 1000;
+// Bitbucket accepts at most 100 annotations per request
+export const ANNOTATION_BATCH_SIZE = 100;
+
+const ANNOTATION_SEVERITY = {
+  info: 'LOW',
+  low: 'LOW',
+  medium: 'MEDIUM',
+  high: 'HIGH',
+  critical: 'CRITICAL'
+};
+
+const ANNOTATION_TYPE = {
+  bug: 'BUG',
+  security: 'VULNERABILITY'
+};
+
+const truncate = (text, maxLength) => {
+  if (!text || text.length <= maxLength) {
+    return text;
+  }
+  return text.substring(0, maxLength - 3) + '...';
+};
+
+/**
+ * Build the Code Insights report for a review
+ * @param {Object} review - Review with summary and comments
+ * @param {Object} options - { failOn: severity that fails the report, or 'none' }
+ * @returns {Object} Report body for PUT /commit/{hash}/reports/{id}
+ */
+export const buildInsightsReport = (review, options = {}) => {
+  const failOn = options.failOn || 'high';
+  const comments = review.comments || [];
+  const blocking = failOn === 'none'
+    ? []
+    : comments.filter(comment => isSeverityAtLeast(comment.severity, failOn));
+
+  const countBy = (severity) => comments.filter(comment => comment.severity === severity).length;
+
+  return {
+    title: 'AI Code Review',
+    details: truncate(review.summary || 'AI review of the pull request changes.', 2000),
+    report_type: 'BUG',
+    reporter: 'AI Code Reviewer',
+    result: blocking.length > 0 ? 'FAILED' : 'PASSED',
+    data: [
+      { title: 'Findings', type: 'NUMBER', value: comments.length },
+      { title: 'Critical / High', type: 'NUMBER', value: countBy('critical') + countBy('high') },
+      { title: 'Medium', type: 'NUMBER', value: countBy('medium') },
+      { title: 'Low / Info', type: 'NUMBER', value: countBy('low') + countBy('info') }
+    ]
+  };
+};
+
+/**
+ * Build one annotation per finding
+ * Findings about removed lines have no line in the source commit and are annotated on the file.
+ * @param {Object} review - Review with comments
+ * @returns {Array} Annotation bodies (at most MAX_ANNOTATIONS)
+ */
+export const buildInsightsAnnotations = (review) => {
+  return (review.comments || []).slice(0, MAX_ANNOTATIONS).map((comment, index) => ({
+    external_id: `${INSIGHTS_REPORT_ID}-${index + 1}`,
+    annotation_type: ANNOTATION_TYPE[comment.category] || 'CODE_SMELL',
+    path: comment.file,
+    line: comment.side === 'old' ? undefined : comment.line,
+    summary: truncate(comment.comment, 450),
+    details: comment.suggestion ? truncate(`Suggestion:\n${comment.suggestion}`, 2000) : undefined,
+    severity: ANNOTATION_SEVERITY[comment.severity] || 'LOW'
+  }));
+};
@@ -0,0 +1,126 @@
+/**
+ * Default configuration shared by the web app and the CLI
+ */
+
+import { SEVERITIES, VERDICTS } from './reviewSchema.js';
+
+export const DEFAULT_REVIEW_PROMPT = `You are an expert code reviewer tasked with reviewing a pull request.
+
+Below is the description of the PR and the code changes:
+
+## Pull Request Description
+{pr_description}
+
+## Code Changes
+{code_changes}
+
+Please provide a thorough code review with the following (suggest fix if needed):
+1. Identify any bugs, logic errors, or potential issues
+2. Suggest improvements in readability, performance, or maintainability
+3. Comment on code structure and organization
+4. Check for proper error handling and edge cases
+5. Assess if the implementation meets the requirements
+6. If a modified block is not an issue or low severity, do **not** add a comment for it.
+
+Report the review in the JSON structure given at the end of this prompt:
+- "summary": a brief overview of the changes and the most important findings
+- "verdict": ${VERDICTS.join(', ')}
+- "comments": one entry per finding, giving the "file", the "line" and "end_line" it covers and the "side" of the diff
+  they refer to, its "severity" (${SEVERITIES.join(', ')}) and "category", the feedback, an optional "suggestion"
+  or "replacement", and your "confidence" between 0 and 1
+
+Answer with the JSON object only, without Markdown code fences or any text around it.`;
+
+export const DEFAULT_CONFIG = {
+  llmProvider: 'gemini',
+  llmBaseUrl: '',
+  llmModel: '',
+  llmToken: '',
+  reviewMode: 'auto',
+  maxPromptTokens: 100000,
+  chunkConcurrency: 3,
+  streamResponses: true,
+  // Include the post-change code of modified files (whole small files or enclosing functions)
+  fullFileContext: false,
+  fileContextMaxTokens: 20000,
+  // Include excerpts of unchanged files that import, or are imported by, the changed files
+  relatedFileContext: false,
+  relatedFileMaxTokens: 8000,
+  // Changed files matching these globs are not reviewed
+  ignorePaths: [],
+  // Also skip lockfiles, minified bundles, build output, vendored code, snapshots and generated files
+  skipGeneratedFiles: true,
+  // Replace credentials in the diff and file contents before they are sent, and report them as findings
+  redactSecrets: true,
+  // Run the deterministic local rules (user rules live in IndexedDB); IDs of switched-off built-in rules
+  localRules: true,
+  disabledRules: [],
+  postMode: 'draft',
+  // 'comments', 'insights', 'both' or 'none' (review without publishing)
+  outputMode: 'comments',
+  // Findings below this severity are dropped; 0 comments means no limit
+  minSeverity: 'info',
+  maxComments: 0,
+  failOnSeverity: 'high',
+  buildStatus: false,
+  // Findings at or above this severity become PR tasks when posted ('none' disables)
+  autoTaskSeverity: 'none',
+  // Link target for build statuses; the web app uses its own URL
+  appUrl: '',
+  bitbucketUsername: '',
+  bitbucketAppPassword: '',
+  reviewPrompt: DEFAULT_REVIEW_PROMPT
+};
+
+// Default prompt of earlier versions, which asked for a fenced JSON block in an older format
+const LEGACY_REVIEW_PROMPT = `You are an expert code reviewer tasked with reviewing a pull request.
+
+Below is the description of the PR and the code changes:
+
+## Pull Request Description
+{pr_description}
+
+## Code Changes
+{code_changes}
+
+Please provide a thorough code review with the following (suggest fix if needed):
+1. Identify any bugs, logic errors, or potential issues
+2. Suggest improvements in readability, performance, or maintainability
+3. Comment on code structure and organization
+4. Check for proper error handling and edge cases
+5. Assess if the implementation meets the requirements
+6. If a modified block is not an issue or low severity, do **not** add a comment for it.
+
+IMPORTANT: You MUST format your response as a valid JSON object with the following structure:
+\`\`\`json
+{{
+    "summary": "short Title of the changes",
+    "comments": [
+        {{
+            "file": "path/to/file.ext",
+            "line": 42,
+            "comment": "Severity: Your short comment about this code"
+        }},
+        ...more comments...
+    ]
+}}
+\`\`\`
+
+Do not include any text before or after the JSON. The entire response should be a valid JSON object that can be parsed directly. `;
+
+// Compare prompts regardless of line endings and trailing whitespace added by the textarea
+const normalizePrompt = (prompt) => prompt.replace(/\s+/g, ' ').trim();
+
+/**
+ * Bring a stored configuration up to date
+ * A review prompt that is still the unedited default of an earlier version is replaced
+ * by the current default; edited prompts are kept.
+ * @param {Object} config - Configuration read from storage
+ * @returns {Object} Migrated configuration
+ */
+export const migrateConfig = (config) => {
+  if (typeof config.reviewPrompt === 'string' && normalizePrompt(config.reviewPrompt) === normalizePrompt(LEGACY_REVIEW_PROMPT)) {
+    return { ...config, reviewPrompt: DEFAULT_REVIEW_PROMPT };
+  }
+  return config;
+};
@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_CONFIG, DEFAULT_REVIEW_PROMPT, migrateConfig } from './defaultConfig.js';
+
+// Review prompt stored by versions that asked for the old summary/comments format
+const LEGACY_PROMPT = `You are an expert code reviewer tasked with reviewing a pull request.
+
+Below is the description of the PR and the code changes:
+
+## Pull Request Description
+{pr_description}
+
+## Code Changes
+{code_changes}
+
+Please provide a thorough code review with the following (suggest fix if needed):
+1. Identify any bugs, logic errors, or potential issues
+2. Suggest improvements in readability, performance, or maintainability
+3. Comment on code structure and organization
+4. Check for proper error handling and edge cases
+5. Assess if the implementation meets the requirements
+6. If a modified block is not an issue or low severity, do **not** add a comment for it.
+
+IMPORTANT: You MUST format your response as a valid JSON object with the following structure:
+\`\`\`json
+{{
+    "summary": "short Title of the changes",
+    "comments": [
+        {{
+            "file": "path/to/file.ext",
+            "line": 42,
+            "comment": "Severity: Your short comment about this code"
+        }},
+        ...more comments...
+    ]
+}}
+\`\`\`
+
+Do not include any text before or after the JSON. The entire response should be a valid JSON object that can be parsed directly. `;
+
+describe('DEFAULT_REVIEW_PROMPT', () => {
+  it('describes the fields of the review schema and asks for unfenced JSON', () => {
+    ['"summary"', '"verdict"', '"comments"', '"end_line"', '"side"', '"severity"', '"confidence"'].forEach(field => {
+      expect(DEFAULT_REVIEW_PROMPT).toContain(field);
+    });
+    expect(DEFAULT_REVIEW_PROMPT).toContain('request_changes');
+    expect(DEFAULT_REVIEW_PROMPT).not.toContain('```');
+  });
+});
+
+describe('migrateConfig', () => {
+  it('replaces the unedited old default prompt', () => {
+    const migrated = migrateConfig({ ...DEFAULT_CONFIG, reviewPrompt: LEGACY_PROMPT });
+    expect(migrated.reviewPrompt).toBe(DEFAULT_REVIEW_PROMPT);
+  });
+
+  it('ignores line endings and whitespace added by the settings form', () => {
+    const saved = LEGACY_PROMPT.replace(/\n/g, '\r\n').trimEnd() + '\n\n';
+    expect(migrateConfig({ reviewPrompt: saved }).reviewPrompt).toBe(DEFAULT_REVIEW_PROMPT);
+  });
+
+  it('keeps prompts the user edited', () => {
+    const edited = LEGACY_PROMPT.replace('expert code reviewer', 'expert Go reviewer');
+    const config = { reviewPrompt: edited, llmProvider: 'openai' };
+
+    expect(migrateConfig(config)).toBe(config);
+    expect(migrateConfig({ llmProvider: 'openai' })).toEqual({ llmProvider: 'openai' });
+  });
+});
@@ -251,16 +251,19 @@ export const extractChangedCodeWithContext = (changes, contextLines = 3) => {
           const lineContent = (line.content || '').replace(/\n$/, '');
           const lineType = line.lineType || 'context';
           const lineNumber = line.newLineNumber;
+          const isRemoved = lineType === 'removed';
 
-          // Skip lines that don't exist in the new file
-          if (lineNumber === null || lineNumber === undefined) {
+          // Removed lines only exist in the old file and are numbered there
+          if (!isRemoved && (lineNumber === null || lineNumber === undefined)) {
             continue;
           }
 
           // Start a new block if we find a change
-          if ((lineType === 'added' || lineType === 'removed') && !inChangeBlock) {
+          if ((lineType === 'added' || isRemoved) && !inChangeBlock) {
             inChangeBlock = true;
-            currentBlock.startLine = Math.max(1, lineNumber - contextLines);
+            currentBlock.startLine = isRemoved
+              ? contextBuffer[0]?.lineNumber ?? null
+              : Math.max(1, lineNumber - contextLines);
             currentBlock.hasChanges = true;
 
             // Add preceding context from buffer
@@ -282,9 +285,14 @@ export const extractChangedCodeWithContext = (changes, contextLines = 3) => {
             currentBlock.code.push({
               content: lineContent,
               lineNumber: lineNumber,
-              isChange: lineType === 'added' || lineType === 'removed'
+              oldLineNumber: isRemoved ? line.oldLineNumber : null,
+              isChange: lineType === 'added' || isRemoved,
+              isRemoved
             });
-            currentBlock.endLine = lineNumber;
+            if (!isRemoved) {
+              currentBlock.startLine = currentBlock.startLine ?? lineNumber;
+              currentBlock.endLine = lineNumber;
+            }
           } else {
             // Add to context buffer
             contextBuffer.push({
@@ -360,9 +368,10 @@ export const extractChangedCodeWithContext = (changes, contextLines = 3) => {
  * Find the best line number for a comment in the diff
  * @param {Object} fileInfo - Parsed file information from parseDiff
  * @param {number} targetLine - The line number to comment on
+ * @param {string} side - 'new' for lines of the new file, 'old' for removed lines (numbered in the old file)
  * @returns {Object} Object with adjusted line number and metadata
  */
-export const findBestLineForComment = (fileInfo, targetLine) => {
+export const findBestLineForComment = (fileInfo, targetLine, side = 'new') => {
   if (!fileInfo || !fileInfo.hunks) {
     return {
       line: targetLine,
@@ -372,12 +381,13 @@ export const findBestLineForComment = (fileInfo, targetLine) => {
     };
   }
 
-  // Create a map of all available lines
+  // Create a map of all available lines on the requested side
+  const lineKey = side === 'old' ? 'oldLineNumber' : 'newLineNumber';
   const lineMap = new Map();
   for (const hunk of fileInfo.hunks) {
     for (const line of hunk.lines || []) {
-      if (line.newLineNumber !== null && line.newLineNumber !== undefined) {
-        lineMap.set(line.newLineNumber, {
+      if (line[lineKey] !== null && line[lineKey] !== undefined) {
+        lineMap.set(line[lineKey], {
           type: line.lineType,
           content: line.content,
           hunk: hunk
@@ -431,6 +441,58 @@ export const findBestLineForComment = (fileInfo, targetLine) => {
   };
 };
 
+/**
+ * Work out where a (possibly multi-line) comment should be anchored in the diff
+ * Ranges are clamped to the hunk of their first line, since Bitbucket cannot anchor
+ * a comment across hunks. A comment on the old side of a file without removed or
+ * context lines (e.g. a new file) is moved to the new side.
+ * @param {Object} fileInfo - Parsed file information from parseDiff
+ * @param {Object} target - { line, endLine, side } as reported by the reviewer
+ * @returns {Object} { line, endLine, side, type, inDiff, adjusted }
+ */
+export const getCommentAnchor = (fileInfo, { line, endLine = null, side = 'new' }) => {
+  const requestedSide = side === 'old' ? 'old' : 'new';
+  const requestedEnd = endLine && endLine > line ? endLine : null;
+  let anchorSide = requestedSide;
+  let start = findBestLineForComment(fileInfo, line, anchorSide);
+  // Only a file without any old-side lines moves to the new side; otherwise an old-side
+  // comment stays on the closest removed or context line
+  const hasOldLines = (fileInfo?.hunks || []).some(hunk =>
+    (hunk.lines || []).some(hunkLine => hunkLine.oldLineNumber !== null && hunkLine.oldLineNumber !== undefined)
+  );
+  if (anchorSide === 'old' && !hasOldLines) {
+    anchorSide = 'new';
+    start = findBestLineForComment(fileInfo, line, anchorSide);
+  }
+
+  let anchorEnd = null;
+  if (start.inDiff && requestedEnd) {
+    const lineKey = anchorSide === 'old' ? 'oldLineNumber' : 'newLineNumber';
+    const hunk = fileInfo.hunks.find(candidate =>
+      (candidate.lines || []).some(hunkLine => hunkLine[lineKey] === start.line)
+    );
+    const hunkLines = (hunk?.lines || [])
+      .map(hunkLine => hunkLine[lineKey])
+      .filter(number => number !== null && number !== undefined);
+    const lastLine = Math.max(...hunkLines);
+    // Keep the length of the range when the start line was moved
+    const shiftedEnd = requestedEnd + (start.line - line);
+    anchorEnd = Math.min(shiftedEnd, lastLine);
+    if (anchorEnd <= start.line) {
+      anchorEnd = null;
+    }
+  }
+
+  return {
+    line: start.line,
+    endLine: anchorEnd,
+    side: anchorSide,
+    type: start.type,
+    inDiff: start.inDiff,
+    adjusted: !!start.adjusted || anchorSide !== requestedSide || requestedEnd !== anchorEnd
+  };
+};
+
 /**
  * Get all modified lines for a file
  * @param {Object} fileInfo - Parsed file information
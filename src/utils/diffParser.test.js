@@ -0,0 +1,112 @@
+import { describe, it, expect } from 'vitest';
+import { parseDiff, findBestLineForComment, getCommentAnchor, getModifiedLines } from './diffParser.js';
+
+// Lines 10-12 and 30-31 of the new file; 11 and 30 are added, old lines 11 and 30 removed
+const modifiedDiff = `diff --git a/src/app.js b/src/app.js
+--- a/src/app.js
++++ b/src/app.js
+@@ -10,3 +10,3 @@ function start() {
+ const a = 1;
+-const b = 2;
++const b = 3;
+ const c = 4;
+@@ -30,1 +30,2 @@
+-run();
++run(a);
++stop();`;
+
+const newFileDiff = `diff --git a/src/new.js b/src/new.js
+new file mode 100644
+--- /dev/null
++++ b/src/new.js
+@@ -0,0 +1,3 @@
++one();
++two();
++three();`;
+
+// Only context and added lines: there is an old side, but nothing was removed
+const additionOnlyDiff = `diff --git a/src/add.js b/src/add.js
+--- a/src/add.js
++++ b/src/add.js
+@@ -5,2 +5,3 @@
+ first();
++inserted();
+ second();`;
+
+const [modifiedFile] = parseDiff(modifiedDiff);
+const [newFile] = parseDiff(newFileDiff);
+const [additionOnlyFile] = parseDiff(additionOnlyDiff);
+
+describe('parseDiff', () => {
+  it('numbers the lines of both sides of each hunk', () => {
+    expect(modifiedFile.hunks).toHaveLength(2);
+    expect(modifiedFile.hunks[0].lines.map(line => [line.lineType, line.oldLineNumber, line.newLineNumber])).toEqual([
+      ['context', 10, 10],
+      ['removed', 11, null],
+      ['added', null, 11],
+      ['context', 12, 12]
+    ]);
+    expect(getModifiedLines(modifiedFile)).toEqual([11, 30, 31]);
+    expect(newFile.isNew).toBe(true);
+  });
+});
+
+describe('findBestLineForComment', () => {
+  it('keeps a line that is in the diff', () => {
+    expect(findBestLineForComment(modifiedFile, 11)).toEqual({ line: 11, exists: true, type: 'added', inDiff: true });
+  });
+
+  it('moves a line outside the diff to the closest line of the same side', () => {
+    expect(findBestLineForComment(modifiedFile, 25)).toMatchObject({ line: 30, originalLine: 25, adjusted: true });
+    expect(findBestLineForComment(modifiedFile, 13, 'old')).toMatchObject({ line: 12, type: 'context', adjusted: true });
+  });
+
+  it('looks old-side lines up by their old line number', () => {
+    expect(findBestLineForComment(modifiedFile, 30, 'old')).toEqual({ line: 30, exists: true, type: 'removed', inDiff: true });
+  });
+
+  it('reports a file without hunks as not in the diff', () => {
+    expect(findBestLineForComment(null, 4)).toEqual({ line: 4, exists: false, type: null, inDiff: false });
+  });
+});
+
+describe('getCommentAnchor', () => {
+  it('anchors a range within the hunk of its first line', () => {
+    expect(getCommentAnchor(modifiedFile, { line: 10, endLine: 12 })).toEqual({
+      line: 10, endLine: 12, side: 'new', type: 'context', inDiff: true, adjusted: false
+    });
+  });
+
+  it('clamps a range that runs past its hunk', () => {
+    expect(getCommentAnchor(modifiedFile, { line: 11, endLine: 31 })).toMatchObject({ line: 11, endLine: 12, adjusted: true });
+  });
+
+  it('keeps the length of a range whose start line was moved', () => {
+    expect(getCommentAnchor(modifiedFile, { line: 28, endLine: 29 })).toMatchObject({ line: 30, endLine: 31, adjusted: true });
+  });
+
+  it('keeps removed lines on the old side', () => {
+    expect(getCommentAnchor(modifiedFile, { line: 11, side: 'old' })).toEqual({
+      line: 11, endLine: null, side: 'old', type: 'removed', inDiff: true, adjusted: false
+    });
+  });
+
+  it('keeps an old-side comment on the old side when the file has context lines but no removals', () => {
+    expect(getCommentAnchor(additionOnlyFile, { line: 6, side: 'old' })).toMatchObject({
+      line: 6, side: 'old', type: 'context', inDiff: true
+    });
+    expect(getCommentAnchor(additionOnlyFile, { line: 9, side: 'old' })).toMatchObject({
+      line: 6, side: 'old', adjusted: true
+    });
+  });
+
+  it('moves an old-side comment to the new side of a new file', () => {
+    expect(getCommentAnchor(newFile, { line: 2, side: 'old' })).toEqual({
+      line: 2, endLine: null, side: 'new', type: 'added', inDiff: true, adjusted: true
+    });
+  });
+
+  it('ignores an end line that does not extend the range', () => {
+    expect(getCommentAnchor(newFile, { line: 2, endLine: 2 })).toMatchObject({ line: 2, endLine: null, adjusted: false });
+  });
+});
@@ -0,0 +1,191 @@
+/**
+ * Full-file context for reviews
+ * Turns the post-change content of modified files into prompt context: whole files
+ * when they are small, otherwise the enclosing function or class of each change.
+ */
+
+import { estimateTokens } from './reviewChunker.js';
+
+// Files larger than this are not fetched at all
+export const MAX_FILE_CONTEXT_BYTES = 200000;
+export const DEFAULT_FILE_CONTEXT_TOKENS = 20000;
+// Files up to this many lines are included whole
+export const SMALL_FILE_LINES = 300;
+// Enclosing blocks longer than this fall back to a window around the change
+const MAX_BLOCK_LINES = 150;
+const FALLBACK_WINDOW_LINES = 20;
+
+const CONTROL_KEYWORDS = /^\s*(?:if|else|for|while|switch|catch|try|do|return|with|elif|except)\b/;
+const DEFINITION_PATTERN = /^\s*(?:export\s+)?(?:default\s+)?(?:(?:public|private|protected|static|async|abstract|override)\s+)*(?:function\b|class\b|interface\b|def\b|fn\b|func\b|(?:const|let|var)\s+[\w$]+\s*=\s*(?:async\s*)?(?:function\b|\(|[\w$]+\s*=>)|[\w$]+\s*\([^)]*\)\s*\{)/;
+const STRING_LITERALS = /(["'`])(?:\\.|(?!\1).)*\1/g;
+
+const isDefinition = (line) => DEFINITION_PATTERN.test(line) && !CONTROL_KEYWORDS.test(line);
+
+const getIndent = (line) => line.match(/^\s*/)[0].length;
+
+/**
+ * Find the last line of an indentation-delimited block (e.g. Python)
+ * @param {Array<string>} lines - File lines
+ * @param {number} startIndex - Index of the definition line
+ * @returns {number} Index of the last line of the block
+ */
+const findIndentedBlockEnd = (lines, startIndex) => {
+  const indent = getIndent(lines[startIndex]);
+  let end = startIndex;
+  for (let i = startIndex + 1; i < lines.length; i++) {
+    if (lines[i].trim().length === 0) continue;
+    if (getIndent(lines[i]) <= indent) break;
+    end = i;
+  }
+  return end;
+};
+
+/**
+ * Find the last line of the block that starts at a definition
+ * @param {Array<string>} lines - File lines
+ * @param {number} startIndex - Index of the definition line
+ * @returns {number|null} Index of the last line, or null if the end was not found within MAX_BLOCK_LINES
+ */
+const findBlockEnd = (lines, startIndex) => {
+  if (/:\s*(#.*)?$/.test(lines[startIndex]) && !lines[startIndex].includes('{')) {
+    return findIndentedBlockEnd(lines, startIndex);
+  }
+
+  let depth = 0;
+  let opened = false;
+  for (let i = startIndex; i < lines.length && i < startIndex + MAX_BLOCK_LINES; i++) {
+    for (const char of lines[i].replace(STRING_LITERALS, '')) {
+      if (char === '{') {
+        depth++;
+        opened = true;
+      } else if (char === '}') {
+        depth--;
+      }
+    }
+    if (opened && depth <= 0) {
+      return i;
+    }
+  }
+  return null;
+};
+
+/**
+ * Find the innermost function or class around a line
+ * @param {Array<string>} lines - File lines
+ * @param {number} lineNumber - 1-based line number
+ * @returns {Object} { start, end } 1-based, or a window around the line when no block fits
+ */
+export const findEnclosingBlock = (lines, lineNumber) => {
+  const index = lineNumber - 1;
+  for (let i = index; i >= 0 && i > index - MAX_BLOCK_LINES; i--) {
+    if (!isDefinition(lines[i])) continue;
+    const end = findBlockEnd(lines, i);
+    if (end !== null && end >= index && end - i < MAX_BLOCK_LINES) {
+      return { start: i + 1, end: end + 1 };
+    }
+  }
+
+  return {
+    start: Math.max(1, lineNumber - FALLBACK_WINDOW_LINES),
+    end: Math.min(lines.length, lineNumber + FALLBACK_WINDOW_LINES)
+  };
+};
+
+/**
+ * Get the new-file line numbers a file's changes touch
+ * Hunks that only remove lines are represented by the line where the removal happened.
+ * @param {Object} change - Parsed file from parseDiff
+ * @returns {Array<number>} Line numbers
+ */
+const getChangedLineNumbers = (change) => {
+  return (change.hunks || []).flatMap(hunk => {
+    const added = hunk.lines
+      .filter(line => line.lineType === 'added')
+      .map(line => line.newLineNumber);
+    return added.length > 0 ? added : [hunk.newStart];
+  });
+};
+
+/**
+ * Merge overlapping or adjacent line ranges
+ * @param {Array} ranges - { start, end } ranges
+ * @returns {Array} Sorted, merged ranges
+ */
+const mergeRanges = (ranges) => {
+  const merged = [];
+  [...ranges].sort((a, b) => a.start - b.start).forEach(range => {
+    const last = merged[merged.length - 1];
+    if (last && range.start <= last.end + 1) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      merged.push({ ...range });
+    }
+  });
+  return merged;
+};
+
+/**
+ * Build the prompt context of one modified file
+ * @param {Object} change - Parsed file from parseDiff
+ * @param {string} content - Full post-change content of the file
+ * @param {boolean} allowWholeFile - Include small files whole instead of their enclosing blocks
+ * @returns {Object} { path, wholeFile, totalLines, ranges: [{ start, end, lines }] }
+ */
+export const buildFileContext = (change, content, allowWholeFile = true) => {
+  const lines = content.replace(/\r/g, '').replace(/\n$/, '').split('\n');
+  const wholeFile = allowWholeFile && lines.length <= SMALL_FILE_LINES;
+
+  const ranges = wholeFile
+    ? [{ start: 1, end: lines.length }]
+    : mergeRanges(getChangedLineNumbers(change)
+      .filter(lineNumber => lineNumber >= 1 && lineNumber <= lines.length)
+      .map(lineNumber => findEnclosingBlock(lines, lineNumber)));
+
+  return {
+    path: change.filePath,
+    wholeFile,
+    totalLines: lines.length,
+    ranges: ranges.map(range => ({ ...range, lines: lines.slice(range.start - 1, range.end) }))
+  };
+};
+
+/**
+ * Estimate the prompt tokens of a file context
+ * @param {Object} fileContext - Result of buildFileContext
+ * @returns {number} Estimated tokens
+ */
+export const estimateFileContextTokens = (fileContext) => {
+  return fileContext.ranges.reduce((sum, range) =>
+    sum + estimateTokens(range.lines.join('\n')) + range.lines.length * 2
+  , 0);
+};
+
+/**
+ * Keep file contexts, in order, until the token budget is used up
+ * Whole files that do not fit are reduced to their enclosing blocks first.
+ * @param {Array} entries - { change, content } for each fetched file
+ * @param {number} maxTokens - Token budget for all file context
+ * @returns {Array} File contexts from buildFileContext
+ */
+export const selectFileContexts = (entries, maxTokens = DEFAULT_FILE_CONTEXT_TOKENS) => {
+  const selected = [];
+  let usedTokens = 0;
+
+  for (const { change, content } of entries) {
+    let fileContext = buildFileContext(change, content);
+    let tokens = estimateFileContextTokens(fileContext);
+
+    if (usedTokens + tokens > maxTokens && fileContext.wholeFile) {
+      fileContext = buildFileContext(change, content, false);
+      tokens = estimateFileContextTokens(fileContext);
+    }
+
+    if (usedTokens + tokens > maxTokens) {
+      continue;
+    }
+    selected.push(fileContext);
+    usedTokens += tokens;
+  }
+
+  return selected;
+};
@@ -0,0 +1,100 @@
+import { describe, it, expect } from 'vitest';
+import { parseDiff } from './diffParser.js';
+import {
+  SMALL_FILE_LINES,
+  findEnclosingBlock,
+  buildFileContext,
+  estimateFileContextTokens,
+  selectFileContexts
+} from './fileContext.js';
+
+const jsSource = [
+  "import { helper } from './helper.js';",
+  '',
+  'export function first(value) {',
+  "  const text = '{ not a brace }';",
+  '  return helper(value, text);',
+  '}',
+  '',
+  'export const second = async (items) => {',
+  '  for (const item of items) {',
+  '    await item.save();',
+  '  }',
+  '};'
+];
+
+const pySource = [
+  'class Store:',
+  '    def load(self):',
+  '        return self.items',
+  '',
+  '    def save(self):',
+  '        pass',
+  '',
+  'VALUE = 1'
+];
+
+// A change that adds the given new-file lines to path
+const changeAt = (path, lineNumbers) => parseDiff([
+  `diff --git a/${path} b/${path}`,
+  `--- a/${path}`,
+  `+++ b/${path}`,
+  ...lineNumbers.flatMap(line => [`@@ -${line},0 +${line},1 @@`, '+changed'])
+].join('\n'))[0];
+
+// A long file where every block is followed by filler lines
+const longSource = (blocks) => Array.from({ length: blocks }, (_, i) => [
+  `function block${i}() {`,
+  `  return ${i};`,
+  '}',
+  ...Array.from({ length: 60 }, () => '// filler')
+]).flat().join('\n');
+
+describe('findEnclosingBlock', () => {
+  it('finds the function around a line, ignoring braces in strings', () => {
+    expect(findEnclosingBlock(jsSource, 5)).toEqual({ start: 3, end: 6 });
+    expect(findEnclosingBlock(jsSource, 10)).toEqual({ start: 8, end: 12 });
+  });
+
+  it('uses indentation for Python blocks', () => {
+    expect(findEnclosingBlock(pySource, 3)).toEqual({ start: 2, end: 3 });
+    expect(findEnclosingBlock(pySource, 6)).toEqual({ start: 5, end: 6 });
+  });
+
+  it('falls back to a window around lines outside any definition', () => {
+    expect(findEnclosingBlock(jsSource, 1)).toEqual({ start: 1, end: 12 });
+  });
+});
+
+describe('buildFileContext', () => {
+  it('includes small files whole', () => {
+    const context = buildFileContext(changeAt('src/a.js', [5]), `${jsSource.join('\r\n')}\r\n`);
+
+    expect(context).toMatchObject({ path: 'src/a.js', wholeFile: true, totalLines: 12 });
+    expect(context.ranges).toEqual([{ start: 1, end: 12, lines: jsSource }]);
+  });
+
+  it('reduces large files to the merged blocks around the changes', () => {
+    const content = longSource(10);
+    const context = buildFileContext(changeAt('src/big.js', [2, 3, 65]), content);
+
+    expect(content.split('\n').length).toBeGreaterThan(SMALL_FILE_LINES);
+    expect(context.wholeFile).toBe(false);
+    expect(context.ranges.map(range => [range.start, range.end])).toEqual([[1, 3], [64, 66]]);
+    expect(context.ranges[1].lines).toEqual(['function block1() {', '  return 1;', '}']);
+  });
+});
+
+describe('selectFileContexts', () => {
+  it('keeps contexts until the budget is used, reducing whole files that do not fit', () => {
+    const small = { change: changeAt('src/a.js', [5]), content: jsSource.join('\n') };
+    const wholeTokens = estimateFileContextTokens(buildFileContext(small.change, small.content));
+    const blockTokens = estimateFileContextTokens(buildFileContext(small.change, small.content, false));
+
+    expect(selectFileContexts([small], wholeTokens).map(context => context.wholeFile)).toEqual([true]);
+    expect(selectFileContexts([small], blockTokens).map(context => context.wholeFile)).toEqual([false]);
+    expect(selectFileContexts([small], blockTokens - 1)).toEqual([]);
+    expect(selectFileContexts([small, { ...small, change: changeAt('src/b.js', [5]) }], wholeTokens + blockTokens)
+      .map(context => [context.path, context.wholeFile])).toEqual([['src/a.js', true], ['src/b.js', false]]);
+  });
+});
@@ -0,0 +1,186 @@
+/**
+ * Path filters
+ * Decide which changed files are left out of a review before prompting: files
+ * matching user-defined gitignore-style globs, and - through built-in heuristics -
+ * lockfiles, minified bundles, build output, vendored code, snapshots and files
+ * with a generated-code header. Such files rarely need review and can take up the
+ * whole prompt budget.
+ */
+
+export const EXCLUSION_REASONS = {
+  IGNORED_PATH: 'ignored-path',
+  LOCKFILE: 'lockfile',
+  MINIFIED: 'minified',
+  BUILD_OUTPUT: 'build-output',
+  VENDORED: 'vendored',
+  SNAPSHOT: 'snapshot',
+  GENERATED: 'generated'
+};
+
+// Built-in globs with the reason they are excluded for
+export const BUILT_IN_IGNORE_GLOBS = [
+  { glob: 'package-lock.json', reason: EXCLUSION_REASONS.LOCKFILE },
+  { glob: 'npm-shrinkwrap.json', reason: EXCLUSION_REASONS.LOCKFILE },
+  { glob: 'yarn.lock', reason: EXCLUSION_REASONS.LOCKFILE },
+  { glob: 'pnpm-lock.yaml', reason: EXCLUSION_REASONS.LOCKFILE },
+  { glob: 'bun.lockb', reason: EXCLUSION_REASONS.LOCKFILE },
+  { glob: 'composer.lock', reason: EXCLUSION_REASONS.LOCKFILE },
+  { glob: 'Gemfile.lock', reason: EXCLUSION_REASONS.LOCKFILE },
+  { glob: 'Cargo.lock', reason: EXCLUSION_REASONS.LOCKFILE },
+  { glob: 'poetry.lock', reason: EXCLUSION_REASONS.LOCKFILE },
+  { glob: 'Pipfile.lock', reason: EXCLUSION_REASONS.LOCKFILE },
+  { glob: 'go.sum', reason: EXCLUSION_REASONS.LOCKFILE },
+  { glob: '*.min.js', reason: EXCLUSION_REASONS.MINIFIED },
+  { glob: '*.min.css', reason: EXCLUSION_REASONS.MINIFIED },
+  { glob: '*.map', reason: EXCLUSION_REASONS.MINIFIED },
+  { glob: 'dist/', reason: EXCLUSION_REASONS.BUILD_OUTPUT },
+  { glob: 'build/', reason: EXCLUSION_REASONS.BUILD_OUTPUT },
+  { glob: 'out/', reason: EXCLUSION_REASONS.BUILD_OUTPUT },
+  { glob: 'coverage/', reason: EXCLUSION_REASONS.BUILD_OUTPUT },
+  { glob: 'vendor/', reason: EXCLUSION_REASONS.VENDORED },
+  { glob: 'node_modules/', reason: EXCLUSION_REASONS.VENDORED },
+  { glob: 'third_party/', reason: EXCLUSION_REASONS.VENDORED },
+  { glob: '*.snap', reason: EXCLUSION_REASONS.SNAPSHOT },
+  { glob: '__snapshots__/', reason: EXCLUSION_REASONS.SNAPSHOT },
+  { glob: '*.pb.go', reason: EXCLUSION_REASONS.GENERATED },
+  { glob: '*_pb2.py', reason: EXCLUSION_REASONS.GENERATED },
+  { glob: '*.g.dart', reason: EXCLUSION_REASONS.GENERATED },
+  { glob: '*.generated.*', reason: EXCLUSION_REASONS.GENERATED }
+];
+
+// Markers of generated code, looked for near the top of a file
+const GENERATED_HEADER_PATTERN = /@generated\b|\bDO NOT EDIT\b|\bauto-?generated\b|\bCode generated by\b|\bThis file (?:was|is) (?:automatically )?generated\b/i;
+const GENERATED_HEADER_LINES = 10;
+// Hand-written code rarely has lines this long; bundles are often one line
+const MINIFIED_LINE_LENGTH = 1000;
+
+/**
+ * Convert a glob to a regular expression
+ * "**" matches across directories, "*" and "?" within one path segment.
+ * @param {string} glob - Glob without a leading slash
+ * @returns {RegExp} Expression matching whole paths
+ */
+const globToRegExp = (glob) => {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      // "**/" also matches no directory at all
+      if (glob[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i++;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+};
+
+/**
+ * Check whether a path matches a glob
+ * Like .gitignore, a glob without a slash matches the file name in any directory,
+ * a trailing slash matches everything below a directory and a leading slash anchors
+ * the glob to the repository root.
+ * @param {string} path - Repository-relative path
+ * @param {string} glob - Glob, e.g. "*.snap", "dist/", "src/generated/**"
+ * @returns {boolean}
+ */
+export const matchesGlob = (path, glob) => {
+  let pattern = glob.trim();
+  if (!pattern) return false;
+
+  const anchored = pattern.startsWith('/') || pattern.replace(/\/$/, '').includes('/');
+  if (pattern.endsWith('/')) {
+    pattern = `${pattern}**`;
+  }
+  pattern = pattern.replace(/^\//, '');
+
+  return globToRegExp(anchored ? pattern : `**/${pattern}`).test(path);
+};
+
+/**
+ * Find the first glob a path matches
+ * @param {string} path - Repository-relative path
+ * @param {Array<string>} globs - Globs to check
+ * @returns {string|null} Matching glob
+ */
+export const findMatchingGlob = (path, globs = []) => {
+  return globs.find(glob => matchesGlob(path, glob)) || null;
+};
+
+/**
+ * Look for a generated-code header or minified lines in the added lines of a change
+ * Only lines near the top of the new file are checked for a header.
+ * @param {Object} change - Parsed file from parseDiff
+ * @returns {Object|null} { reason, detail }
+ */
+const detectGeneratedContent = (change) => {
+  const addedLines = (change.hunks || []).flatMap(hunk =>
+    hunk.lines.filter(line => line.lineType === 'added')
+  );
+
+  const header = addedLines.find(line =>
+    line.newLineNumber <= GENERATED_HEADER_LINES && GENERATED_HEADER_PATTERN.test(line.content)
+  );
+  if (header) {
+    return { reason: EXCLUSION_REASONS.GENERATED, detail: `generated-code header on line ${header.newLineNumber}` };
+  }
+
+  const longLine = addedLines.find(line => line.content.length > MINIFIED_LINE_LENGTH);
+  if (longLine) {
+    return { reason: EXCLUSION_REASONS.MINIFIED, detail: `line ${longLine.newLineNumber} is ${longLine.content.length} characters long` };
+  }
+
+  return null;
+};
+
+/**
+ * Decide whether a changed file is left out of the review
+ * User-defined globs are checked first, then the built-in heuristics.
+ * @param {Object} change - Parsed file from parseDiff
+ * @param {Object} options - { ignorePaths: user globs, builtInFilters: apply the built-in heuristics }
+ * @returns {Object|null} { reason, detail }, or null when the file is reviewed
+ */
+export const getExclusionReason = (change, { ignorePaths = [], builtInFilters = true } = {}) => {
+  const userGlob = findMatchingGlob(change.filePath, ignorePaths);
+  if (userGlob) {
+    return { reason: EXCLUSION_REASONS.IGNORED_PATH, detail: `matches ${userGlob}` };
+  }
+  if (!builtInFilters) {
+    return null;
+  }
+
+  const builtIn = BUILT_IN_IGNORE_GLOBS.find(({ glob }) => matchesGlob(change.filePath, glob));
+  if (builtIn) {
+    return { reason: builtIn.reason, detail: `matches ${builtIn.glob}` };
+  }
+  return change.isDeleted ? null : detectGeneratedContent(change);
+};
+
+/**
+ * Split parsed changes into the files to review and the excluded ones
+ * @param {Array} changes - List of changes from parseDiff
+ * @param {Object} options - See getExclusionReason
+ * @returns {Object} { included, excluded: [{ file, reason, detail }] }
+ */
+export const filterChanges = (changes, options = {}) => {
+  const included = [];
+  const excluded = [];
+  changes.forEach(change => {
+    const exclusion = getExclusionReason(change, options);
+    if (exclusion) {
+      excluded.push({ file: change.filePath, ...exclusion });
+    } else {
+      included.push(change);
+    }
+  });
+  return { included, excluded };
+};
@@ -0,0 +1,96 @@
+import { describe, it, expect } from 'vitest';
+import { parseDiff } from './diffParser.js';
+import { EXCLUSION_REASONS, matchesGlob, findMatchingGlob, getExclusionReason, filterChanges } from './pathFilters.js';
+
+// A parsed change that adds the given lines to path
+const addedChange = (path, lines = ['const a = 1;']) => parseDiff([
+  `diff --git a/${path} b/${path}`,
+  'new file mode 100644',
+  '--- /dev/null',
+  `+++ b/${path}`,
+  `@@ -0,0 +1,${lines.length} @@`,
+  ...lines.map(line => `+${line}`)
+].join('\n'))[0];
+
+describe('matchesGlob', () => {
+  it('matches a glob without a slash against the file name in any directory', () => {
+    expect(matchesGlob('yarn.lock', 'yarn.lock')).toBe(true);
+    expect(matchesGlob('packages/web/yarn.lock', 'yarn.lock')).toBe(true);
+    expect(matchesGlob('src/__tests__/App.test.js.snap', '*.snap')).toBe(true);
+    expect(matchesGlob('src/app.js', '*.snap')).toBe(false);
+  });
+
+  it('anchors a glob that contains a slash to the repository root', () => {
+    expect(matchesGlob('src/generated/api.js', 'src/generated/*')).toBe(true);
+    expect(matchesGlob('lib/src/generated/api.js', 'src/generated/*')).toBe(false);
+    expect(matchesGlob('src/generated/deep/api.js', 'src/generated/*')).toBe(false);
+    expect(matchesGlob('config.js', '/config.js')).toBe(true);
+    expect(matchesGlob('src/config.js', '/config.js')).toBe(false);
+  });
+
+  it('matches everything below a directory for a trailing slash', () => {
+    expect(matchesGlob('dist/index.js', 'dist/')).toBe(true);
+    expect(matchesGlob('packages/web/dist/assets/app.js', 'dist/')).toBe(true);
+    expect(matchesGlob('src/distance.js', 'dist/')).toBe(false);
+    expect(matchesGlob('dist', 'dist/')).toBe(false);
+    expect(matchesGlob('docs/api/index.md', 'docs/api/')).toBe(true);
+    expect(matchesGlob('web/docs/api/index.md', 'docs/api/')).toBe(false);
+  });
+
+  it('lets "**" span directories, including none', () => {
+    expect(matchesGlob('migrations/001.sql', 'migrations/**')).toBe(true);
+    expect(matchesGlob('migrations/2024/001.sql', 'migrations/**')).toBe(true);
+    expect(matchesGlob('src/a.test.js', 'src/**/*.test.js')).toBe(true);
+    expect(matchesGlob('src/deep/er/a.test.js', 'src/**/*.test.js')).toBe(true);
+    expect(matchesGlob('src/a.test.jsx', 'src/**/*.test.js')).toBe(false);
+  });
+
+  it('treats regular expression characters literally and ignores empty globs', () => {
+    expect(matchesGlob('a+b(1).js', 'a+b(1).js')).toBe(true);
+    expect(matchesGlob('aab1.js', 'a+b(1).js')).toBe(false);
+    expect(matchesGlob('file1.js', 'file?.js')).toBe(true);
+    expect(matchesGlob('src/app.js', '   ')).toBe(false);
+  });
+
+  it('finds the first matching glob', () => {
+    expect(findMatchingGlob('dist/app.js', ['*.css', 'dist/', '*.js'])).toBe('dist/');
+    expect(findMatchingGlob('src/app.js', ['*.css'])).toBeNull();
+  });
+});
+
+describe('getExclusionReason', () => {
+  it('checks the user globs before the built-in filters', () => {
+    expect(getExclusionReason(addedChange('vendor/lib.js'), { ignorePaths: ['*.js'] })).toEqual({
+      reason: EXCLUSION_REASONS.IGNORED_PATH, detail: 'matches *.js'
+    });
+    expect(getExclusionReason(addedChange('vendor/lib.js'))).toEqual({
+      reason: EXCLUSION_REASONS.VENDORED, detail: 'matches vendor/'
+    });
+  });
+
+  it('detects generated headers near the top and minified lines', () => {
+    expect(getExclusionReason(addedChange('src/api.ts', ['// Code generated by protoc. DO NOT EDIT.', 'x'])))
+      .toEqual({ reason: EXCLUSION_REASONS.GENERATED, detail: 'generated-code header on line 1' });
+    expect(getExclusionReason(addedChange('src/app.js', [...Array(10).fill('x'), '// @generated'])))
+      .toBeNull();
+    expect(getExclusionReason(addedChange('src/bundle.js', ['a', 'b'.repeat(1001)])))
+      .toEqual({ reason: EXCLUSION_REASONS.MINIFIED, detail: 'line 2 is 1001 characters long' });
+  });
+
+  it('applies only the user globs when the built-in filters are off', () => {
+    expect(getExclusionReason(addedChange('package-lock.json'), { builtInFilters: false })).toBeNull();
+  });
+});
+
+describe('filterChanges', () => {
+  it('splits the changes into included and excluded files', () => {
+    const changes = [addedChange('src/app.js'), addedChange('package-lock.json'), addedChange('docs/guide.md')];
+    const { included, excluded } = filterChanges(changes, { ignorePaths: ['docs/'] });
+
+    expect(included.map(change => change.filePath)).toEqual(['src/app.js']);
+    expect(excluded).toEqual([
+      { file: 'package-lock.json', reason: EXCLUSION_REASONS.LOCKFILE, detail: 'matches package-lock.json' },
+      { file: 'docs/guide.md', reason: EXCLUSION_REASONS.IGNORED_PATH, detail: 'matches docs/' }
+    ]);
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Pull request tasks created from AI findings
+ * Tasks are attached to the inline comment of their finding when it was posted,
+ * and tracked by ID so their open/resolved state can be shown later.
+ */
+
+import { isSeverityAtLeast } from './reviewSchema.js';
+
+// Bitbucket renders long task text poorly in the task list
+const MAX_TASK_LENGTH = 300;
+
+export const TASK_STATES = {
+  OPEN: 'UNRESOLVED',
+  RESOLVED: 'RESOLVED'
+};
+
+/**
+ * Build the text of a task for a finding
+ * @param {Object} finding - { file, line, comment } (severity is optional)
+ * @returns {string} Task content
+ */
+export const buildTaskContent = (finding) => {
+  const prefix = `${finding.severity ? `[${finding.severity}] ` : ''}${finding.file ? `${finding.file}:${finding.line} - ` : ''}`;
+  const text = `${prefix}${(finding.comment || '').replace(/\s+/g, ' ').trim()}`;
+  return text.length > MAX_TASK_LENGTH ? text.substring(0, MAX_TASK_LENGTH - 3) + '...' : text;
+};
+
+/**
+ * Pick the findings that should become tasks automatically
+ * @param {Array} comments - Review comments
+ * @param {string} threshold - Minimum severity, or 'none' to create no tasks
+ * @returns {Array} Findings at or above the threshold
+ */
+export const selectTaskFindings = (comments = [], threshold = 'none') => {
+  return comments.filter(comment => isSeverityAtLeast(comment.severity, threshold));
+};
+
+/**
+ * Find the Bitbucket comment a finding was posted as
+ * @param {Object} postResults - Results from postReviewComments
+ * @param {Object} finding - Review comment
+ * @returns {number|null} Comment ID
+ */
+export const findPostedCommentId = (postResults, finding) => {
+  const posted = [...(postResults?.success || []), ...(postResults?.skipped || [])].find(result =>
+    result.commentId &&
+    result.file === finding.file &&
+    (result.originalLine ?? result.line) === finding.line
+  );
+  return posted?.commentId || null;
+};
+
+/**
+ * Merge newly created tasks into the tracked list
+ * @param {Array} tracked - Previously tracked tasks
+ * @param {Array} created - Tasks from the Bitbucket API with the finding they came from
+ * @returns {Array} Tracked tasks { taskId, commentId, file, line, content, state, createdAt }
+ */
+export const trackTasks = (tracked = [], created) => {
+  const byId = new Map(tracked.map(task => [task.taskId, task]));
+  created.forEach(({ task, finding, commentId }) => {
+    byId.set(task.id, {
+      taskId: task.id,
+      commentId: commentId || null,
+      file: finding.file || null,
+      line: finding.line || null,
+      content: task.content?.raw || '',
+      state: task.state || TASK_STATES.OPEN,
+      createdAt: task.created_on || new Date().toISOString()
+    });
+  });
+  return [...byId.values()];
+};
+
+/**
+ * Refresh tracked tasks with their current state on Bitbucket
+ * @param {Array} tracked - Tracked tasks
+ * @param {Array} remoteTasks - Tasks from getPRTasks
+ * @returns {Array} Tracked tasks; tasks deleted on Bitbucket are dropped
+ */
+export const refreshTaskStates = (tracked = [], remoteTasks) => {
+  const remoteById = new Map(remoteTasks.map(task => [task.id, task]));
+  return tracked
+    .filter(task => remoteById.has(task.taskId))
+    .map(task => ({ ...task, state: remoteById.get(task.taskId).state }));
+};
@@ -0,0 +1,275 @@
+/**
+ * Related-file context for cross-file reasoning
+ * Finds the files a change imports and the files that import the changed files,
+ * ranks them and turns them into short excerpts (export signatures or call sites)
+ * that fit a token budget. Import resolution covers JavaScript and TypeScript.
+ */
+
+import { estimateTokens } from './reviewChunker.js';
+
+export const DEFAULT_RELATED_FILE_TOKENS = 8000;
+// Upper bounds on the work done per review
+export const MAX_LISTED_FILES = 5000;
+export const MAX_SCANNED_IMPORTERS = 60;
+export const MAX_RELATED_FILES = 15;
+
+export const RELATED_FILE_RELATIONS = {
+  IMPORTED_BY_CHANGE: 'imported-by-change',
+  IMPORTS_CHANGE: 'imports-change'
+};
+
+export const SOURCE_FILE_PATTERN = /\.(?:m?jsx?|cjs|tsx?|vue|svelte)$/;
+const RESOLVE_EXTENSIONS = ['', '.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs', '.vue', '.svelte'];
+const INDEX_FILES = ['index.js', 'index.jsx', 'index.ts', 'index.tsx'];
+
+const IMPORT_PATTERNS = [
+  /(?:^|\n)\s*import\s+([\s\S]*?)\s+from\s+['"]([^'"]+)['"]/g,
+  /(?:^|\n)\s*import\s+['"]([^'"]+)['"]/g,
+  /(?:^|\n)\s*export\s+(?:\*|\{[\s\S]*?\})(?:\s+as\s+[\w$]+)?\s+from\s+['"]([^'"]+)['"]/g,
+  /\brequire\(\s*['"]([^'"]+)['"]\s*\)/g,
+  /\bimport\(\s*['"]([^'"]+)['"]\s*\)/g
+];
+
+const EXPORT_PATTERN = /^\s*(?:export\s|module\.exports\b|exports\.[\w$]+\s*=)/;
+const MAX_SIGNATURES = 40;
+const MAX_USAGE_LINES = 40;
+const USAGE_CONTEXT_LINES = 1;
+
+/**
+ * Get the local names bound by an import clause
+ * e.g. "React, { useState, useEffect as effect }" -> ['React', 'useState', 'effect']
+ * @param {string} clause - Text between "import" and "from"
+ * @returns {Array<string>} Local names
+ */
+const parseImportClause = (clause) => {
+  const names = [];
+  const cleaned = clause.replace(/^type\s+/, '');
+  const named = cleaned.match(/\{([\s\S]*)\}/);
+  if (named) {
+    named[1].split(',').forEach(part => {
+      const name = part.trim().replace(/^type\s+/, '').split(/\s+as\s+/).pop().trim();
+      if (name) names.push(name);
+    });
+  }
+  const namespace = cleaned.match(/\*\s+as\s+([\w$]+)/);
+  if (namespace) names.push(namespace[1]);
+  const defaultName = cleaned.replace(/\{[\s\S]*\}/, '').replace(/\*\s+as\s+[\w$]+/, '').split(',')[0].trim();
+  if (/^[\w$]+$/.test(defaultName)) names.push(defaultName);
+  return names;
+};
+
+/**
+ * Find the import specifiers of a source file
+ * @param {string} content - File content
+ * @returns {Array} { specifier, names } where names are the local bindings, when known
+ */
+export const extractImports = (content) => {
+  const imports = [];
+  IMPORT_PATTERNS.forEach((pattern, index) => {
+    for (const match of content.matchAll(pattern)) {
+      if (index === 0) {
+        imports.push({ specifier: match[2], names: parseImportClause(match[1]) });
+      } else {
+        imports.push({ specifier: match[1], names: [] });
+      }
+    }
+  });
+  return imports;
+};
+
+/**
+ * Normalize a path with "." and ".." segments
+ * @param {string} path - Repository-relative path
+ * @returns {string|null} Normalized path, or null if it leaves the repository
+ */
+const normalizePath = (path) => {
+  const parts = [];
+  for (const part of path.split('/')) {
+    if (part === '' || part === '.') continue;
+    if (part === '..') {
+      if (parts.length === 0) return null;
+      parts.pop();
+    } else {
+      parts.push(part);
+    }
+  }
+  return parts.join('/');
+};
+
+/**
+ * Resolve a relative import to a file of the repository
+ * Package imports and aliases are not resolved.
+ * @param {string} fromFile - Path of the importing file
+ * @param {string} specifier - Import specifier
+ * @param {Set<string>} fileSet - Paths of the repository files
+ * @returns {string|null} Resolved path
+ */
+export const resolveImportPath = (fromFile, specifier, fileSet) => {
+  if (!specifier.startsWith('./') && !specifier.startsWith('../')) {
+    return null;
+  }
+
+  const directory = fromFile.includes('/') ? fromFile.substring(0, fromFile.lastIndexOf('/')) : '';
+  const base = normalizePath(`${directory}/${specifier}`);
+  if (base === null) {
+    return null;
+  }
+
+  const candidates = [
+    ...RESOLVE_EXTENSIONS.map(extension => `${base}${extension}`),
+    ...INDEX_FILES.map(indexFile => `${base}/${indexFile}`)
+  ];
+  return candidates.find(candidate => fileSet.has(candidate)) || null;
+};
+
+/**
+ * Count the directory steps between two files
+ * @param {string} a - File path
+ * @param {string} b - File path
+ * @returns {number} Steps up from a plus steps down to b
+ */
+export const getDirectoryDistance = (a, b) => {
+  const dirsA = a.split('/').slice(0, -1);
+  const dirsB = b.split('/').slice(0, -1);
+  let common = 0;
+  while (common < dirsA.length && common < dirsB.length && dirsA[common] === dirsB[common]) {
+    common++;
+  }
+  return (dirsA.length - common) + (dirsB.length - common);
+};
+
+/**
+ * Pick the files most likely to import the changed files, to scan their imports
+ * @param {Array<string>} files - Repository file paths
+ * @param {Array<string>} changedPaths - Paths of the changed files
+ * @param {number} limit - Maximum number of candidates
+ * @returns {Array<string>} Candidate paths, closest to a changed file first
+ */
+export const selectImporterCandidates = (files, changedPaths, limit = MAX_SCANNED_IMPORTERS) => {
+  const changed = new Set(changedPaths);
+  return files
+    .filter(path => SOURCE_FILE_PATTERN.test(path) && !changed.has(path))
+    .map(path => ({ path, distance: Math.min(...changedPaths.map(changedPath => getDirectoryDistance(path, changedPath))) }))
+    .sort((a, b) => a.distance - b.distance || a.path.localeCompare(b.path))
+    .slice(0, limit)
+    .map(candidate => candidate.path);
+};
+
+/**
+ * Extract the export signatures of a file (first line of each exported declaration)
+ * @param {string} content - File content
+ * @returns {Array} Ranges { start, end, lines }
+ */
+const extractExportSignatures = (content) => {
+  return content.split('\n')
+    .map((line, index) => ({ line, index }))
+    .filter(({ line }) => EXPORT_PATTERN.test(line))
+    .slice(0, MAX_SIGNATURES)
+    .map(({ line, index }) => ({ start: index + 1, end: index + 1, lines: [line.replace(/\s*\{\s*$/, ' { ... }')] }));
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Extract the lines of a file that use names imported from a changed file
+ * Without known names (e.g. require calls) only the import itself is shown.
+ * @param {string} content - File content
+ * @param {Array<string>} names - Local names bound by the import
+ * @param {string} specifier - Import specifier of the changed file
+ * @returns {Array} Ranges { start, end, lines }
+ */
+const extractUsages = (content, names, specifier) => {
+  const lines = content.split('\n');
+  const usage = new RegExp([
+    ...names.map(name => `(?<![\\w$])${escapeRegExp(name)}(?![\\w$])`),
+    `['"]${escapeRegExp(specifier)}['"]`
+  ].join('|'));
+
+  const ranges = [];
+  let total = 0;
+  lines.forEach((line, index) => {
+    if (!usage.test(line) || total >= MAX_USAGE_LINES) return;
+    const start = Math.max(0, index - USAGE_CONTEXT_LINES);
+    const end = Math.min(lines.length - 1, index + USAGE_CONTEXT_LINES);
+    const last = ranges[ranges.length - 1];
+    if (last && start <= last.end + 1) {
+      total += end - last.end;
+      last.end = Math.max(last.end, end);
+    } else {
+      ranges.push({ start, end });
+      total += end - start + 1;
+    }
+  });
+
+  return ranges.map(range => ({
+    start: range.start + 1,
+    end: range.end + 1,
+    lines: lines.slice(range.start, range.end + 1)
+  }));
+};
+
+// A file may import several changed files; keep each line once
+const mergeUsageRanges = (ranges) => {
+  const merged = [];
+  [...ranges].sort((a, b) => a.start - b.start).forEach(range => {
+    const last = merged[merged.length - 1];
+    if (last && range.start <= last.end + 1) {
+      if (range.end > last.end) {
+        last.lines = [...last.lines, ...range.lines.slice(last.end - range.start + 1)];
+        last.end = range.end;
+      }
+    } else {
+      merged.push({ ...range });
+    }
+  });
+  return merged;
+};
+
+/**
+ * Build the excerpt of a related file
+ * @param {Object} related - { path, relation, linkedTo, names, specifiers }
+ * @param {string} content - File content
+ * @returns {Object} { path, relation, linkedTo, ranges }
+ */
+export const buildRelatedExcerpt = (related, content) => {
+  const text = content.replace(/\r/g, '');
+  const ranges = related.relation === RELATED_FILE_RELATIONS.IMPORTS_CHANGE
+    ? mergeUsageRanges((related.specifiers || []).flatMap(specifier => extractUsages(text, related.names || [], specifier)))
+    : extractExportSignatures(text);
+  return { path: related.path, relation: related.relation, linkedTo: related.linkedTo, ranges };
+};
+
+/**
+ * Rank related files: callers of the changed code first, then by how many changed
+ * files they are linked to, then by directory distance
+ * @param {Array} relatedFiles - { path, relation, linkedTo: [changed paths] }
+ * @returns {Array} Sorted copy
+ */
+export const rankRelatedFiles = (relatedFiles) => {
+  const score = (related) =>
+    (related.relation === RELATED_FILE_RELATIONS.IMPORTS_CHANGE ? 100 : 0) +
+    related.linkedTo.length * 10 -
+    Math.min(...related.linkedTo.map(path => getDirectoryDistance(related.path, path)));
+  return [...relatedFiles].sort((a, b) => score(b) - score(a) || a.path.localeCompare(b.path));
+};
+
+/**
+ * Keep related excerpts, in ranked order, until the token budget is used up
+ * @param {Array} excerpts - Results of buildRelatedExcerpt
+ * @param {number} maxTokens - Token budget
+ * @returns {Array} Selected excerpts with their estimated tokens
+ */
+export const selectRelatedExcerpts = (excerpts, maxTokens = DEFAULT_RELATED_FILE_TOKENS) => {
+  const selected = [];
+  let usedTokens = 0;
+  for (const excerpt of excerpts) {
+    if (excerpt.ranges.length === 0 || selected.length >= MAX_RELATED_FILES) continue;
+    const tokens = excerpt.ranges.reduce((sum, range) =>
+      sum + estimateTokens(range.lines.join('\n')) + range.lines.length * 2
+    , 0);
+    if (usedTokens + tokens > maxTokens) continue;
+    selected.push({ ...excerpt, tokens });
+    usedTokens += tokens;
+  }
+  return selected;
+};
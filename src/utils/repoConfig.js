@@ -0,0 +1,311 @@
+/**
+ * Per-repository review configuration
+ * A repository can commit a .ai-review.yml (or .ai-review.json) file to adjust how its
+ * pull requests are reviewed. The file is read from the PR's destination branch, so a
+ * pull request cannot change its own review, and merged over the global configuration.
+ *
+ * Example:
+ *   prompt: |
+ *     We use Redux Toolkit; flag hand-written reducers.
+ *   ignore:
+ *     - "migrations/**"
+ *   severity_threshold: medium
+ *   output_mode: insights
+ *   max_comments: 20
+ */
+
+import { SEVERITIES } from './reviewSchema.js';
+
+// Looked up in this order; the first file found is used
+export const REPO_CONFIG_FILES = ['.ai-review.yml', '.ai-review.yaml', '.ai-review.json'];
+
+export const OUTPUT_MODES = ['comments', 'insights', 'both', 'none'];
+
+const REPO_SETTINGS = ['prompt', 'ignore', 'severity_threshold', 'output_mode', 'max_comments'];
+
+/**
+ * Remove a trailing "# comment" that is not inside quotes
+ * @param {string} line - YAML line
+ * @returns {string} Line without the comment
+ */
+const stripComment = (line) => {
+  let quote = null;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === '\'') {
+      quote = char;
+    } else if (char === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+      return line.substring(0, i).trimEnd();
+    }
+  }
+  return line.trimEnd();
+};
+
+/**
+ * Split the items of a flow sequence ("a, 'b, c'") on commas outside quotes
+ * @param {string} text - Text between the brackets
+ * @returns {Array<string>} Item texts
+ */
+const splitFlowItems = (text) => {
+  const items = [];
+  let quote = null;
+  let current = '';
+  for (const char of text) {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === '\'') {
+      quote = char;
+    } else if (char === ',') {
+      items.push(current);
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  items.push(current);
+  return items.map(item => item.trim()).filter(item => item.length > 0);
+};
+
+/**
+ * Parse a YAML scalar or flow sequence
+ * @param {string} text - Value text
+ * @returns {*} String, number, boolean, null or array
+ */
+const parseScalar = (text) => {
+  const value = text.trim();
+  if (value.startsWith('"') && value.endsWith('"') && value.length > 1) {
+    return JSON.parse(value);
+  }
+  if (value.startsWith('\'') && value.endsWith('\'') && value.length > 1) {
+    return value.slice(1, -1).replace(/''/g, '\'');
+  }
+  if (value.startsWith('[') && value.endsWith(']')) {
+    return splitFlowItems(value.slice(1, -1)).map(parseScalar);
+  }
+  if (value === '' || value === '~' || value === 'null') return null;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+  return value;
+};
+
+/**
+ * Read the lines of a block scalar ("key: |" or "key: >")
+ * @param {Array<string>} lines - Indented lines of the block
+ * @param {boolean} folded - Join lines with spaces (">") instead of newlines ("|")
+ * @returns {string} Block text
+ */
+const parseBlockScalar = (lines, folded) => {
+  const indent = Math.min(...lines.filter(line => line.trim()).map(line => line.match(/^\s*/)[0].length));
+  const text = lines.map(line => line.substring(indent)).join('\n').replace(/\n+$/, '');
+  return folded ? text.replace(/([^\n])\n(?=[^\n])/g, '$1 ') : text;
+};
+
+/**
+ * Parse the YAML subset used by .ai-review.yml: top-level keys with scalars,
+ * "- item" or [flow] lists and | or > block scalars. Nested maps are not supported.
+ * @param {string} text - YAML text
+ * @returns {Object} Parsed keys
+ */
+export const parseSimpleYaml = (text) => {
+  const lines = text.replace(/\r/g, '').split('\n');
+  const result = {};
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = stripComment(lines[i]);
+    if (line.trim() === '' || line.trim() === '---') {
+      i++;
+      continue;
+    }
+
+    const match = line.match(/^([\w-]+)\s*:(?:\s+(.*))?$/);
+    if (!match) {
+      throw new Error(`unsupported syntax on line ${i + 1}: "${lines[i].trim()}"`);
+    }
+    const [, key, rest = ''] = match;
+    i++;
+
+    if (/^[|>][+-]?$/.test(rest)) {
+      const block = [];
+      while (i < lines.length && (lines[i].trim() === '' || /^\s/.test(lines[i]))) {
+        block.push(lines[i]);
+        i++;
+      }
+      result[key] = block.some(blockLine => blockLine.trim()) ? parseBlockScalar(block, rest.startsWith('>')) : '';
+    } else if (rest === '') {
+      const items = [];
+      while (i < lines.length) {
+        const itemLine = stripComment(lines[i]);
+        if (itemLine.trim() === '') {
+          i++;
+          continue;
+        }
+        const item = itemLine.match(/^\s*-\s+(.*)$/);
+        if (!item) break;
+        items.push(parseScalar(item[1]));
+        i++;
+      }
+      result[key] = items.length > 0 ? items : null;
+    } else {
+      result[key] = parseScalar(rest);
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Parse a repository configuration file
+ * @param {string} path - File name, which decides between JSON and YAML
+ * @param {string} content - File content
+ * @returns {Object} Raw settings
+ */
+export const parseRepoConfig = (path, content) => {
+  let raw;
+  try {
+    raw = path.endsWith('.json') ? JSON.parse(content) : parseSimpleYaml(content);
+  } catch (error) {
+    throw new Error(`Invalid ${path}: ${error.message}`);
+  }
+  if (raw === null || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error(`Invalid ${path}: expected a map of settings`);
+  }
+  return raw;
+};
+
+// Accept camelCase and kebab-case spellings of the settings too
+const normalizeKey = (key) => key.replace(/([a-z])([A-Z])/g, '$1_$2').replace(/-/g, '_').toLowerCase();
+
+/**
+ * Validate raw repository settings
+ * Invalid or unknown settings are dropped with a warning instead of failing the review.
+ * @param {Object} raw - Result of parseRepoConfig
+ * @returns {Object} { settings: { prompt, ignore, severityThreshold, outputMode, maxComments }, warnings }
+ */
+export const validateRepoConfig = (raw) => {
+  const settings = {};
+  const warnings = [];
+
+  Object.entries(raw).forEach(([rawKey, value]) => {
+    const key = normalizeKey(rawKey);
+    if (!REPO_SETTINGS.includes(key)) {
+      warnings.push(`Unknown setting "${rawKey}" was ignored`);
+      return;
+    }
+    if (value === null) return;
+
+    if (key === 'prompt') {
+      if (typeof value === 'string') {
+        if (value.trim()) settings.prompt = value.trim();
+      } else {
+        warnings.push('prompt must be text');
+      }
+    } else if (key === 'ignore') {
+      const patterns = Array.isArray(value) ? value : [value];
+      if (patterns.every(pattern => typeof pattern === 'string')) {
+        settings.ignore = patterns.map(pattern => pattern.trim()).filter(Boolean);
+      } else {
+        warnings.push('ignore must be a list of path globs');
+      }
+    } else if (key === 'severity_threshold') {
+      if (SEVERITIES.includes(value)) {
+        settings.severityThreshold = value;
+      } else {
+        warnings.push(`severity_threshold must be one of ${SEVERITIES.join(', ')}`);
+      }
+    } else if (key === 'output_mode') {
+      if (OUTPUT_MODES.includes(value)) {
+        settings.outputMode = value;
+      } else {
+        warnings.push(`output_mode must be one of ${OUTPUT_MODES.join(', ')}`);
+      }
+    } else if (key === 'max_comments') {
+      if (Number.isInteger(value) && value >= 0) {
+        settings.maxComments = value;
+      } else {
+        warnings.push('max_comments must be a whole number (0 for no limit)');
+      }
+    }
+  });
+
+  return { settings, warnings };
+};
+
+/**
+ * Merge repository settings over the global configuration
+ * The prompt is appended to the global review prompt and ignore globs are added to
+ * the global ones; the other settings replace their global value.
+ * @param {Object} config - Global configuration
+ * @param {Object} settings - Settings from validateRepoConfig
+ * @returns {Object} Effective configuration
+ */
+export const mergeRepoConfig = (config, settings = {}) => ({
+  ...config,
+  reviewPrompt: settings.prompt
+    ? `${config.reviewPrompt}\n\n## Repository Guidelines\n${settings.prompt}`
+    : config.reviewPrompt,
+  ignorePaths: [...(config.ignorePaths || []), ...(settings.ignore || [])].filter(glob => glob.trim()),
+  minSeverity: settings.severityThreshold ?? config.minSeverity,
+  outputMode: settings.outputMode ?? config.outputMode,
+  maxComments: settings.maxComments ?? config.maxComments
+});
+
+/**
+ * Resolve the configuration a review of a repository runs with
+ * A file that cannot be parsed is reported and the global configuration is used.
+ * @param {Object} config - Global configuration
+ * @param {Object|null} file - { path, content, commit } of the repository file, or null when there is none
+ * @returns {Object} { config, source: { path, commit } | null, settings, warnings, error }
+ */
+export const resolveRepoConfig = (config, file) => {
+  if (!file) {
+    return { config, source: null, settings: {}, warnings: [], error: null };
+  }
+
+  const source = { path: file.path, commit: file.commit || null };
+  try {
+    const { settings, warnings } = validateRepoConfig(parseRepoConfig(file.path, file.content));
+    return { config: mergeRepoConfig(config, settings), source, settings, warnings, error: null };
+  } catch (error) {
+    return { config, source, settings: {}, warnings: [], error: error.message };
+  }
+};
+
+/**
+ * Describe the effective value of each repository-configurable setting
+ * @param {Object} resolved - Result of resolveRepoConfig
+ * @returns {Array} Rows { label, value, fromRepo }
+ */
+export const describeEffectiveConfig = (resolved) => {
+  const { config, settings } = resolved;
+  return [
+    {
+      label: 'Prompt additions',
+      value: settings.prompt || 'None',
+      fromRepo: !!settings.prompt
+    },
+    {
+      label: 'Ignored paths',
+      value: config.ignorePaths?.length > 0 ? config.ignorePaths.join(', ') : 'None',
+      fromRepo: !!settings.ignore?.length
+    },
+    {
+      label: 'Severity threshold',
+      value: config.minSeverity || 'info',
+      fromRepo: settings.severityThreshold !== undefined
+    },
+    {
+      label: 'Output mode',
+      value: config.outputMode || 'comments',
+      fromRepo: settings.outputMode !== undefined
+    },
+    {
+      label: 'Max comments',
+      value: config.maxComments ? String(config.maxComments) : 'No limit',
+      fromRepo: settings.maxComments !== undefined
+    }
+  ];
+};
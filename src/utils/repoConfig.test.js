@@ -0,0 +1,141 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseSimpleYaml,
+  parseRepoConfig,
+  validateRepoConfig,
+  mergeRepoConfig,
+  resolveRepoConfig,
+  describeEffectiveConfig
+} from './repoConfig.js';
+
+const globalConfig = { reviewPrompt: 'Review this.', ignorePaths: ['dist/**'], minSeverity: 'low', outputMode: 'comments', maxComments: 0 };
+
+describe('parseSimpleYaml', () => {
+  it('parses scalars, lists, block scalars and comments', () => {
+    const yaml = [
+      '---',
+      '# Review settings',
+      'prompt: |',
+      '  We use Redux Toolkit.',
+      '',
+      '  Flag hand-written reducers.',
+      'notes: >',
+      '  one',
+      '  two',
+      'ignore:',
+      '  - "migrations/**"   # generated',
+      "  - 'it''s/*.snap'",
+      'extensions: [js, "ts, tsx", 3]',
+      'severity_threshold: medium',
+      'max_comments: 20',
+      'strict: true',
+      'empty: ~',
+      "channel: '#reviews'"
+    ].join('\r\n');
+
+    expect(parseSimpleYaml(yaml)).toEqual({
+      prompt: 'We use Redux Toolkit.\n\nFlag hand-written reducers.',
+      notes: 'one two',
+      ignore: ['migrations/**', "it's/*.snap"],
+      extensions: ['js', 'ts, tsx', 3],
+      severity_threshold: 'medium',
+      max_comments: 20,
+      strict: true,
+      empty: null,
+      channel: '#reviews'
+    });
+  });
+
+  it('treats a key without items as null', () => {
+    expect(parseSimpleYaml('ignore:\nprompt: hi')).toEqual({ ignore: null, prompt: 'hi' });
+  });
+
+  it('rejects nested maps and other unsupported syntax', () => {
+    expect(() => parseSimpleYaml('rules:\n  max: 3')).toThrow('unsupported syntax on line 2: "max: 3"');
+    expect(() => parseSimpleYaml('just text')).toThrow('unsupported syntax on line 1');
+  });
+});
+
+describe('parseRepoConfig', () => {
+  it('parses JSON or YAML by file name', () => {
+    expect(parseRepoConfig('.ai-review.json', '{"max_comments": 5}')).toEqual({ max_comments: 5 });
+    expect(parseRepoConfig('.ai-review.yml', 'max_comments: 5')).toEqual({ max_comments: 5 });
+  });
+
+  it('reports files that are not a map of settings', () => {
+    expect(() => parseRepoConfig('.ai-review.json', '[1, 2]')).toThrow('Invalid .ai-review.json: expected a map of settings');
+    expect(() => parseRepoConfig('.ai-review.json', '{')).toThrow(/^Invalid \.ai-review\.json: /);
+  });
+});
+
+describe('validateRepoConfig', () => {
+  it('accepts camelCase and kebab-case keys', () => {
+    const { settings, warnings } = validateRepoConfig({
+      prompt: '  Be brief.  ',
+      ignore: 'vendor/**',
+      severityThreshold: 'high',
+      'output-mode': 'both',
+      max_comments: 0
+    });
+
+    expect(settings).toEqual({ prompt: 'Be brief.', ignore: ['vendor/**'], severityThreshold: 'high', outputMode: 'both', maxComments: 0 });
+    expect(warnings).toEqual([]);
+  });
+
+  it('drops invalid and unknown settings with a warning', () => {
+    const { settings, warnings } = validateRepoConfig({
+      prompt: 3,
+      ignore: ['a/**', 4],
+      severity_threshold: 'urgent',
+      output_mode: 'email',
+      max_comments: -1,
+      model: 'gpt'
+    });
+
+    expect(settings).toEqual({});
+    expect(warnings).toEqual([
+      'prompt must be text',
+      'ignore must be a list of path globs',
+      'severity_threshold must be one of info, low, medium, high, critical',
+      'output_mode must be one of comments, insights, both, none',
+      'max_comments must be a whole number (0 for no limit)',
+      'Unknown setting "model" was ignored'
+    ]);
+  });
+});
+
+describe('mergeRepoConfig', () => {
+  it('appends the prompt and ignore globs and replaces the other settings', () => {
+    expect(mergeRepoConfig(globalConfig, { prompt: 'Use tabs.', ignore: ['docs/'], severityThreshold: 'high', maxComments: 10 })).toEqual({
+      reviewPrompt: 'Review this.\n\n## Repository Guidelines\nUse tabs.',
+      ignorePaths: ['dist/**', 'docs/'],
+      minSeverity: 'high',
+      outputMode: 'comments',
+      maxComments: 10
+    });
+  });
+});
+
+describe('resolveRepoConfig', () => {
+  it('uses the global configuration without a file', () => {
+    expect(resolveRepoConfig(globalConfig, null)).toEqual({ config: globalConfig, source: null, settings: {}, warnings: [], error: null });
+  });
+
+  it('merges a valid file and records its source', () => {
+    const resolved = resolveRepoConfig(globalConfig, { path: '.ai-review.yml', content: 'output_mode: insights\nfoo: 1', commit: 'abc' });
+
+    expect(resolved.config.outputMode).toBe('insights');
+    expect(resolved.source).toEqual({ path: '.ai-review.yml', commit: 'abc' });
+    expect(resolved.warnings).toEqual(['Unknown setting "foo" was ignored']);
+    expect(describeEffectiveConfig(resolved).find(row => row.label === 'Output mode')).toEqual({
+      label: 'Output mode', value: 'insights', fromRepo: true
+    });
+  });
+
+  it('falls back to the global configuration when the file does not parse', () => {
+    const resolved = resolveRepoConfig(globalConfig, { path: '.ai-review.yml', content: 'rules:\n  max: 3' });
+
+    expect(resolved.config).toBe(globalConfig);
+    expect(resolved.error).toBe('Invalid .ai-review.yml: unsupported syntax on line 2: "max: 3"');
+  });
+});
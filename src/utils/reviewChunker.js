@@ -0,0 +1,197 @@
+/**
+ * Helpers for map-reduce reviews of diffs that exceed the model context window
+ * Splits parseDiff output into token-budgeted batches by file and hunk
+ */
+
+import { VERDICTS } from './reviewSchema.js';
+
+// Rough average for code with English comments; good enough for budgeting
+const CHARS_PER_TOKEN = 4;
+
+// Prompts above this size are reviewed in batches when the review mode is 'auto'
+export const DEFAULT_MAX_PROMPT_TOKENS = 100000;
+export const DEFAULT_CHUNK_CONCURRENCY = 3;
+
+/**
+ * Estimate the number of tokens in a text
+ * @param {string} text - Text to measure
+ * @returns {number} Estimated token count
+ */
+export const estimateTokens = (text) => {
+  if (!text) return 0;
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+};
+
+/**
+ * Render a hunk back to unified diff text
+ * @param {Object} hunk - Hunk from parseDiff
+ * @returns {string} Hunk text including its header
+ */
+const hunkToDiffText = (hunk) => {
+  const header = `@@ -${hunk.oldStart},${hunk.oldLength} +${hunk.newStart},${hunk.newLength} @@${hunk.context ? ' ' + hunk.context : ''}`;
+  const lines = (hunk.lines || []).map(line => {
+    const prefix = line.lineType === 'added' ? '+' :
+                   line.lineType === 'removed' ? '-' : ' ';
+    return `${prefix}${line.content}`;
+  });
+  return [header, ...lines].join('\n');
+};
+
+/**
+ * Render parsed changes back to unified diff text
+ * @param {Array} changes - List of changes from parseDiff
+ * @returns {string} Unified diff text
+ */
+export const changesToDiffText = (changes) => {
+  return changes.map(change => {
+    const oldPath = change.isNew ? '/dev/null' : `a/${change.oldFilePath || change.filePath}`;
+    const newPath = change.isDeleted ? '/dev/null' : `b/${change.filePath}`;
+    const header = [
+      `diff --git a/${change.oldFilePath || change.filePath} b/${change.filePath}`,
+      `--- ${oldPath}`,
+      `+++ ${newPath}`
+    ];
+    if (change.isBinary) {
+      return [...header, 'Binary files differ'].join('\n');
+    }
+    return [...header, ...(change.hunks || []).map(hunkToDiffText)].join('\n');
+  }).join('\n');
+};
+
+/**
+ * Split parsed changes into batches that fit a token budget
+ * Files are kept whole when possible; large files are split between hunks.
+ * A single hunk larger than the budget becomes its own batch.
+ * @param {Array} changes - List of changes from parseDiff
+ * @param {number} tokenBudget - Maximum estimated tokens of diff content per batch
+ * @param {Function} getContextTokens - Tokens of extra context a change brings into every
+ *   batch that holds (part of) it, e.g. its full-file context; none by default
+ * @returns {Array} List of batches, each a list of (possibly partial) file changes
+ */
+export const splitChangesIntoBatches = (changes, tokenBudget, getContextTokens = () => 0) => {
+  const batches = [];
+  let currentBatch = [];
+  let currentTokens = 0;
+
+  const flush = () => {
+    if (currentBatch.length > 0) {
+      batches.push(currentBatch);
+    }
+    currentBatch = [];
+    currentTokens = 0;
+  };
+
+  for (const change of changes || []) {
+    const hunks = change.hunks || [];
+    // Diff content appears twice in the prompt: structured blocks and raw diff
+    const hunkTokens = hunks.map(hunk => estimateTokens(hunkToDiffText(hunk)) * 2);
+    const contextTokens = getContextTokens(change);
+    const fileTokens = hunkTokens.reduce((sum, tokens) => sum + tokens, contextTokens);
+
+    if (currentTokens + fileTokens <= tokenBudget) {
+      currentBatch.push(change);
+      currentTokens += fileTokens;
+      continue;
+    }
+
+    if (fileTokens <= tokenBudget) {
+      flush();
+      currentBatch.push(change);
+      currentTokens = fileTokens;
+      continue;
+    }
+
+    // File alone exceeds the budget - split it between hunks; every part carries its context
+    flush();
+    let partialHunks = [];
+    currentTokens = contextTokens;
+    hunks.forEach((hunk, index) => {
+      if (partialHunks.length > 0 && currentTokens + hunkTokens[index] > tokenBudget) {
+        currentBatch.push({ ...change, hunks: partialHunks, isPartial: true });
+        flush();
+        partialHunks = [];
+        currentTokens = contextTokens;
+      }
+      partialHunks.push(hunk);
+      currentTokens += hunkTokens[index];
+    });
+    if (partialHunks.length > 0) {
+      currentBatch.push({ ...change, hunks: partialHunks, isPartial: true });
+    }
+  }
+
+  flush();
+  return batches;
+};
+
+/**
+ * Map over items with at most `limit` calls in flight
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - Async function called with (item, index)
+ * @returns {Promise<Array>} Results in input order
+ */
+export const runWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+  await Promise.all(workers);
+  return results;
+};
+
+/**
+ * Sum the numeric usage counters reported by several LLM calls
+ * @param {Array} usages - Usage objects from the provider responses
+ * @returns {Object} Combined usage
+ */
+export const mergeUsage = (usages) => {
+  const total = {};
+  for (const usage of usages) {
+    for (const [key, value] of Object.entries(usage || {})) {
+      if (typeof value === 'number') {
+        total[key] = (total[key] || 0) + value;
+      }
+    }
+  }
+  return total;
+};
+
+/**
+ * Merge per-batch findings without an LLM, dropping exact duplicates
+ * Used when the consolidation pass fails.
+ * @param {Array} batchReviews - Parsed reviews of each batch
+ * @returns {Object} Merged review with summary, the most blocking verdict and comments
+ */
+export const mergeBatchReviews = (batchReviews) => {
+  const seen = new Set();
+  const comments = [];
+
+  for (const review of batchReviews) {
+    for (const comment of review.comments || []) {
+      const key = `${comment.file}:${comment.line}:${(comment.comment || '').trim().toLowerCase()}`;
+      if (!seen.has(key)) {
+        seen.add(key);
+        comments.push(comment);
+      }
+    }
+  }
+
+  return {
+    summary: batchReviews
+      .map(review => review.summary)
+      .filter(Boolean)
+      .join('\n\n'),
+    verdict: batchReviews.reduce((verdict, review) =>
+      VERDICTS.indexOf(review.verdict) > VERDICTS.indexOf(verdict) ? review.verdict : verdict
+    , null),
+    comments
+  };
+};
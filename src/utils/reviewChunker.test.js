@@ -0,0 +1,162 @@
+import { describe, it, expect } from 'vitest';
+import { parseDiff } from './diffParser.js';
+import {
+  estimateTokens,
+  changesToDiffText,
+  splitChangesIntoBatches,
+  runWithConcurrency,
+  mergeUsage,
+  mergeBatchReviews
+} from './reviewChunker.js';
+
+// A new file whose single hunk adds `lines` lines of 40 characters
+const addedFile = (path, lines) => [
+  `diff --git a/${path} b/${path}`,
+  'new file mode 100644',
+  '--- /dev/null',
+  `+++ b/${path}`,
+  `@@ -0,0 +1,${lines} @@`,
+  ...Array.from({ length: lines }, (_, i) => `+const value${String(i).padStart(4, '0')} = 'abcdefghijklmnopq';`)
+].join('\n');
+
+// A modified file with one hunk per entry of `hunkLines`, 100 lines apart
+const modifiedFile = (path, hunkLines) => [
+  `diff --git a/${path} b/${path}`,
+  `--- a/${path}`,
+  `+++ b/${path}`,
+  ...hunkLines.flatMap((lines, index) => [
+    `@@ -${index * 100 + 1},0 +${index * 100 + 1},${lines} @@`,
+    ...Array.from({ length: lines }, (_, i) => `+const part${index}_${String(i).padStart(4, '0')} = 'abcdefghijklmno';`)
+  ])
+].join('\n');
+
+const batchTokens = (batch) => estimateTokens(changesToDiffText(batch)) * 2;
+
+describe('estimateTokens', () => {
+  it('counts about four characters per token', () => {
+    expect(estimateTokens('')).toBe(0);
+    expect(estimateTokens(null)).toBe(0);
+    expect(estimateTokens('abcd')).toBe(1);
+    expect(estimateTokens('abcde')).toBe(2);
+  });
+});
+
+describe('changesToDiffText', () => {
+  it('renders parsed changes back to a diff that parses the same way', () => {
+    const diff = `${modifiedFile('src/a.js', [2, 3])}\n${addedFile('src/b.js', 2)}`;
+    const changes = parseDiff(diff);
+    const text = changesToDiffText(changes);
+    const reparsed = parseDiff(text);
+
+    expect(text).toContain('--- /dev/null\n+++ b/src/b.js');
+    expect(reparsed.map(change => change.filePath)).toEqual(['src/a.js', 'src/b.js']);
+    expect(reparsed[0].hunks).toHaveLength(2);
+    expect(reparsed.flatMap(change => change.hunks.flatMap(hunk => hunk.lines.map(line => line.content))))
+      .toEqual(changes.flatMap(change => change.hunks.flatMap(hunk => hunk.lines.map(line => line.content))));
+  });
+});
+
+describe('splitChangesIntoBatches', () => {
+  it('keeps everything in one batch when it fits the budget', () => {
+    const changes = parseDiff(`${addedFile('a.js', 5)}\n${addedFile('b.js', 5)}`);
+    const batches = splitChangesIntoBatches(changes, 10000);
+
+    expect(batches).toHaveLength(1);
+    expect(batches[0].map(change => change.filePath)).toEqual(['a.js', 'b.js']);
+  });
+
+  it('starts a new batch for a file that does not fit, keeping files whole', () => {
+    const changes = parseDiff(`${addedFile('a.js', 40)}\n${addedFile('b.js', 40)}\n${addedFile('c.js', 40)}`);
+    const oneFile = batchTokens([changes[0]]);
+    const batches = splitChangesIntoBatches(changes, oneFile * 2);
+
+    expect(batches.map(batch => batch.map(change => change.filePath))).toEqual([['a.js', 'b.js'], ['c.js']]);
+    batches.forEach(batch => batch.forEach(change => expect(change.isPartial).toBeUndefined()));
+  });
+
+  it('splits a file larger than the budget between hunks and marks the parts', () => {
+    const changes = parseDiff(modifiedFile('big.js', [30, 30, 30]));
+    const oneHunk = Math.ceil(batchTokens(changes) / 3);
+    const batches = splitChangesIntoBatches(changes, oneHunk * 2);
+
+    expect(batches).toHaveLength(2);
+    expect(batches.map(batch => batch[0].hunks.length)).toEqual([2, 1]);
+    batches.forEach(batch => {
+      expect(batch[0].filePath).toBe('big.js');
+      expect(batch[0].isPartial).toBe(true);
+    });
+  });
+
+  it('puts a single hunk over the budget in a batch of its own', () => {
+    const changes = parseDiff(`${addedFile('small.js', 2)}\n${addedFile('huge.js', 200)}`);
+    const batches = splitChangesIntoBatches(changes, 100);
+
+    expect(batches.map(batch => batch.map(change => change.filePath))).toEqual([['small.js'], ['huge.js']]);
+  });
+
+  it('counts the context of a file in every batch that holds part of it', () => {
+    const changes = parseDiff(`${addedFile('a.js', 40)}\n${addedFile('b.js', 40)}\n${modifiedFile('c.js', [30, 30])}`);
+    const oneFile = batchTokens([changes[0]]);
+    const budget = oneFile * 2;
+    const contextTokens = { 'b.js': oneFile, 'c.js': Math.ceil(batchTokens([changes[2]]) / 2) };
+    const batches = splitChangesIntoBatches(changes, budget, change => contextTokens[change.filePath] || 0);
+
+    expect(batches.map(batch => batch.map(change => `${change.filePath}:${change.hunks.length}`)))
+      .toEqual([['a.js:1'], ['b.js:1'], ['c.js:1'], ['c.js:1']]);
+    batches.forEach(batch => {
+      const tokens = batch.reduce((sum, change) => sum + batchTokens([change]) + (contextTokens[change.filePath] || 0), 0);
+      expect(tokens).toBeLessThanOrEqual(budget);
+    });
+  });
+
+  it('returns no batches for no changes', () => {
+    expect(splitChangesIntoBatches([], 1000)).toEqual([]);
+    expect(splitChangesIntoBatches(undefined, 1000)).toEqual([]);
+  });
+});
+
+describe('runWithConcurrency', () => {
+  it('returns the results in input order with at most `limit` calls in flight', async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const results = await runWithConcurrency([30, 10, 20, 5, 15], 2, async (delay, index) => {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await new Promise(resolve => setTimeout(resolve, delay));
+      inFlight--;
+      return `${index}:${delay}`;
+    });
+
+    expect(results).toEqual(['0:30', '1:10', '2:20', '3:5', '4:15']);
+    expect(maxInFlight).toBe(2);
+  });
+
+  it('handles an empty list', async () => {
+    expect(await runWithConcurrency([], 3, async () => 1)).toEqual([]);
+  });
+});
+
+describe('mergeUsage', () => {
+  it('sums numeric counters and skips missing usage', () => {
+    expect(mergeUsage([
+      { promptTokens: 10, completionTokens: 5, model: 'x' },
+      null,
+      { promptTokens: 3, totalTokens: 8 }
+    ])).toEqual({ promptTokens: 13, completionTokens: 5, totalTokens: 8 });
+  });
+});
+
+describe('mergeBatchReviews', () => {
+  it('joins summaries, keeps the most blocking verdict and drops exact duplicates', () => {
+    const finding = { file: 'a.js', line: 3, comment: 'Missing null check' };
+    const merged = mergeBatchReviews([
+      { summary: 'Part one', verdict: 'approve', comments: [finding] },
+      { summary: '', verdict: 'request_changes', comments: [{ ...finding, comment: ' missing NULL check ' }] },
+      { summary: 'Part three', verdict: 'comment', comments: [{ ...finding, line: 4 }] }
+    ]);
+
+    expect(merged.summary).toBe('Part one\n\nPart three');
+    expect(merged.verdict).toBe('request_changes');
+    expect(merged.comments.map(comment => comment.line)).toEqual([3, 4]);
+  });
+});
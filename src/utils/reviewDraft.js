@@ -0,0 +1,132 @@
+/**
+ * Draft triage of AI review comments
+ * A draft holds the generated comments of a review until they are accepted,
+ * discarded or edited, so only the accepted set is posted to the pull request.
+ */
+
+export const DRAFT_STATUS = {
+  PENDING: 'pending',
+  ACCEPTED: 'accepted',
+  DISCARDED: 'discarded',
+  POSTED: 'posted'
+};
+
+/**
+ * Create a draft from a validated review
+ * @param {string} prKey - Key from generatePRKey
+ * @param {string} repoFullName - Repository full name (workspace/repo)
+ * @param {number} prId - Pull request ID
+ * @param {Object} review - Review with summary and comments
+ * @returns {Object} Draft with every comment pending
+ */
+export const createReviewDraft = (prKey, repoFullName, prId, review) => {
+  const now = new Date().toISOString();
+  return {
+    prKey,
+    repoFullName,
+    prId,
+    summary: review.summary || '',
+    // Kept for the approval decision, which waits until the findings are triaged
+    verdict: review.verdict || null,
+    summaryPosted: false,
+    comments: (review.comments || []).map((comment, index) => ({
+      ...comment,
+      id: `comment-${index + 1}`,
+      status: DRAFT_STATUS.PENDING,
+      originalComment: comment.comment
+    })),
+    createdAt: now,
+    updatedAt: now
+  };
+};
+
+/**
+ * Apply changes to one draft comment
+ * @param {Object} draft - Review draft
+ * @param {string} commentId - ID of the comment to change
+ * @param {Object} changes - Fields to update, e.g. { status } or { comment }
+ * @returns {Object} Updated draft
+ */
+export const updateDraftComment = (draft, commentId, changes) => ({
+  ...draft,
+  comments: draft.comments.map(comment =>
+    comment.id === commentId ? { ...comment, ...changes } : comment
+  ),
+  updatedAt: new Date().toISOString()
+});
+
+/**
+ * Accept every comment that is still pending
+ * @param {Object} draft - Review draft
+ * @returns {Object} Updated draft
+ */
+export const acceptPendingComments = (draft) => ({
+  ...draft,
+  comments: draft.comments.map(comment =>
+    comment.status === DRAFT_STATUS.PENDING ? { ...comment, status: DRAFT_STATUS.ACCEPTED } : comment
+  ),
+  updatedAt: new Date().toISOString()
+});
+
+/**
+ * Build the review to post: accepted comments, plus the summary if not posted yet
+ * @param {Object} draft - Review draft
+ * @returns {Object} Review with summary and comments
+ */
+export const getReviewToPost = (draft) => ({
+  summary: draft.summaryPosted ? '' : draft.summary,
+  comments: draft.comments.filter(comment => comment.status === DRAFT_STATUS.ACCEPTED)
+});
+
+/**
+ * Build the review the triage kept: the verdict and the accepted or posted comments
+ * Used to decide on approval once the draft is published, instead of on findings that may be discarded
+ * @param {Object} draft - Review draft
+ * @returns {Object} Review with verdict and comments
+ */
+export const getTriagedReview = (draft) => ({
+  verdict: draft.verdict || null,
+  comments: draft.comments.filter(comment =>
+    comment.status === DRAFT_STATUS.ACCEPTED || comment.status === DRAFT_STATUS.POSTED
+  )
+});
+
+/**
+ * Mark the accepted comments that were posted successfully
+ * @param {Object} draft - Review draft
+ * @param {Object} postResults - Results from postReviewComments
+ * @returns {Object} Updated draft; failed comments stay accepted so they can be retried
+ */
+export const markDraftPosted = (draft, postResults) => {
+  const failed = new Set(
+    (postResults.failed || [])
+      .filter(result => result.type !== 'summary')
+      .map(result => `${result.file}:${result.line}`)
+  );
+  const summaryFailed = (postResults.failed || []).some(result => result.type === 'summary');
+
+  return {
+    ...draft,
+    summaryPosted: draft.summaryPosted || (!!draft.summary && !summaryFailed),
+    comments: draft.comments.map(comment =>
+      comment.status === DRAFT_STATUS.ACCEPTED && !failed.has(`${comment.file}:${comment.line}`)
+        ? { ...comment, status: DRAFT_STATUS.POSTED }
+        : comment
+    ),
+    postedAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  };
+};
+
+/**
+ * Count draft comments by status
+ * @param {Object} draft - Review draft
+ * @returns {Object} { pending, accepted, discarded, posted }
+ */
+export const getDraftCounts = (draft) => {
+  const counts = { pending: 0, accepted: 0, discarded: 0, posted: 0 };
+  draft.comments.forEach(comment => {
+    counts[comment.status]++;
+  });
+  return counts;
+};
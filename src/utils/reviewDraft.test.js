@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DRAFT_STATUS,
+  createReviewDraft,
+  updateDraftComment,
+  acceptPendingComments,
+  getReviewToPost,
+  getTriagedReview,
+  markDraftPosted,
+  getDraftCounts
+} from './reviewDraft.js';
+
+const review = {
+  summary: 'Two findings',
+  verdict: 'request_changes',
+  comments: [
+    { file: 'a.js', line: 1, severity: 'high', comment: 'Crash on empty input' },
+    { file: 'b.js', line: 2, severity: 'low', comment: 'Rename this' },
+    { file: 'c.js', line: 3, severity: 'medium', comment: 'Missing await' }
+  ]
+};
+
+const createDraft = () => createReviewDraft('team/repo/1', 'team/repo', 1, review);
+
+describe('review drafts', () => {
+  it('start with every comment pending and keep the verdict', () => {
+    const draft = createDraft();
+
+    expect(draft.verdict).toBe('request_changes');
+    expect(draft.comments.map(comment => [comment.id, comment.status])).toEqual([
+      ['comment-1', 'pending'], ['comment-2', 'pending'], ['comment-3', 'pending']
+    ]);
+    expect(getDraftCounts(draft)).toEqual({ pending: 3, accepted: 0, discarded: 0, posted: 0 });
+  });
+
+  it('post only the accepted comments, and the summary once', () => {
+    let draft = updateDraftComment(createDraft(), 'comment-1', { status: DRAFT_STATUS.DISCARDED });
+    draft = updateDraftComment(draft, 'comment-2', { comment: 'Rename to fetchUser' });
+    draft = acceptPendingComments(draft);
+
+    expect(getReviewToPost(draft)).toEqual({
+      summary: 'Two findings',
+      comments: [draft.comments[1], draft.comments[2]]
+    });
+    expect(draft.comments[1]).toMatchObject({ comment: 'Rename to fetchUser', originalComment: 'Rename this' });
+
+    const posted = markDraftPosted(draft, { failed: [{ type: 'inline', file: 'c.js', line: 3 }] });
+
+    expect(getDraftCounts(posted)).toEqual({ pending: 0, accepted: 1, discarded: 1, posted: 1 });
+    expect(getReviewToPost(posted)).toEqual({ summary: '', comments: [posted.comments[2]] });
+  });
+
+  it('decide on approval from the accepted and posted comments only', () => {
+    let draft = updateDraftComment(createDraft(), 'comment-1', { status: DRAFT_STATUS.DISCARDED });
+    draft = updateDraftComment(draft, 'comment-2', { status: DRAFT_STATUS.ACCEPTED });
+    draft = markDraftPosted(draft, {});
+    draft = updateDraftComment(draft, 'comment-3', { status: DRAFT_STATUS.ACCEPTED });
+
+    expect(getTriagedReview(draft)).toEqual({
+      verdict: 'request_changes',
+      comments: [draft.comments[1], draft.comments[2]]
+    });
+  });
+});
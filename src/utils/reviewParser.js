@@ -0,0 +1,67 @@
+/**
+ * Parsing of streamed LLM review output for live progress display
+ * (complete responses are validated by reviewSchema.js)
+ */
+
+/**
+ * Extract what can already be shown from a partially streamed JSON review
+ * @param {string} text - Response text received so far
+ * @returns {Object} { summary, comments, isJson } - comments holds only complete comment objects
+ */
+export const parsePartialReview = (text) => {
+  const body = (text || '').replace(/^\s*```(?:json)?\s*/, '');
+  const isJson = body.trimStart().startsWith('{');
+
+  let summary = '';
+  const summaryMatch = body.match(/"summary"\s*:\s*"((?:[^"\\]|\\.)*)/);
+  if (summaryMatch) {
+    // Drop a cut-off unicode escape before decoding the partial string
+    const rawSummary = summaryMatch[1].replace(/\\u[0-9a-fA-F]{0,3}$/, '');
+    try {
+      summary = JSON.parse(`"${rawSummary}"`);
+    } catch (error) {
+      summary = rawSummary;
+    }
+  }
+
+  const comments = [];
+  const listMatch = body.match(/"comments"\s*:\s*\[/);
+  if (listMatch) {
+    let depth = 0;
+    let start = -1;
+    let inString = false;
+    let escaped = false;
+
+    for (let i = listMatch.index + listMatch[0].length; i < body.length; i++) {
+      const ch = body[i];
+
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (ch === '\\') escaped = true;
+        else if (ch === '"') inString = false;
+        continue;
+      }
+
+      if (ch === '"') {
+        inString = true;
+      } else if (ch === '{') {
+        if (depth === 0) start = i;
+        depth++;
+      } else if (ch === '}') {
+        depth--;
+        if (depth === 0 && start !== -1) {
+          try {
+            comments.push(JSON.parse(body.slice(start, i + 1)));
+          } catch (error) {
+            // Malformed object - skip it, the final parse will report the problem
+          }
+          start = -1;
+        }
+      } else if (ch === ']' && depth === 0) {
+        break;
+      }
+    }
+  }
+
+  return { summary, comments, isJson };
+};
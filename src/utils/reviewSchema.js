@@ -0,0 +1,268 @@
+/**
+ * Versioned review output schema
+ * Sent to providers that support native structured output and used to validate every response
+ */
+
+export const REVIEW_SCHEMA_VERSION = '1.3';
+
+export const SEVERITIES = ['info', 'low', 'medium', 'high', 'critical'];
+
+/**
+ * Check whether a severity is at or above a threshold
+ * @param {string} severity - Severity of a finding
+ * @param {string} threshold - Minimum severity, one of SEVERITIES
+ * @returns {boolean}
+ */
+export const isSeverityAtLeast = (severity, threshold) => {
+  return SEVERITIES.includes(threshold) && SEVERITIES.indexOf(severity) >= SEVERITIES.indexOf(threshold);
+};
+
+/**
+ * Find the highest severity among review comments
+ * @param {Array} comments - Review comments
+ * @returns {string|null} Highest severity, or null when there are no comments
+ */
+export const getHighestSeverity = (comments = []) => {
+  return comments.reduce((highest, comment) => {
+    if (!SEVERITIES.includes(comment.severity)) return highest;
+    return !highest || SEVERITIES.indexOf(comment.severity) > SEVERITIES.indexOf(highest)
+      ? comment.severity
+      : highest;
+  }, null);
+};
+
+// Overall recommendation of the reviewer, from least to most blocking (added in 1.1)
+export const VERDICTS = ['approve', 'comment', 'request_changes'];
+
+// Side of the diff a finding's lines refer to: the new file, or removed lines of the old file (added in 1.2)
+export const COMMENT_SIDES = ['new', 'old'];
+
+export const CATEGORIES = [
+  'bug',
+  'security',
+  'performance',
+  'maintainability',
+  'readability',
+  'error-handling',
+  'testing',
+  'documentation',
+  'style',
+  'other'
+];
+
+/**
+ * JSON Schema of a review. Every property is required and optional values are
+ * nullable so the schema is accepted by strict structured-output modes.
+ */
+export const REVIEW_JSON_SCHEMA = {
+  type: 'object',
+  properties: {
+    summary: {
+      type: 'string',
+      description: 'Brief overall summary of the review'
+    },
+    verdict: {
+      type: 'string',
+      enum: VERDICTS,
+      description: 'Overall recommendation: approve, comment (no strong opinion) or request_changes'
+    },
+    comments: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          file: { type: 'string', description: 'Path of the file as shown in the diff' },
+          line: { type: 'integer', description: 'First line of the finding, in the version of the file given by side' },
+          end_line: { type: ['integer', 'null'], description: 'Last line of the finding, or null for a single line' },
+          side: { type: 'string', enum: COMMENT_SIDES, description: 'new for added or unchanged lines, old for removed lines' },
+          severity: { type: 'string', enum: SEVERITIES },
+          category: { type: 'string', enum: CATEGORIES },
+          comment: { type: 'string', description: 'Specific feedback for these lines' },
+          suggestion: { type: ['string', 'null'], description: 'Suggested fix, or null' },
+          replacement: {
+            type: ['string', 'null'],
+            description: 'Exact code that replaces lines line to end_line of the new file, without diff markers, or null'
+          },
+          confidence: { type: 'number', description: 'Confidence between 0 and 1' }
+        },
+        required: ['file', 'line', 'end_line', 'side', 'severity', 'category', 'comment', 'suggestion', 'replacement', 'confidence'],
+        additionalProperties: false
+      }
+    }
+  },
+  required: ['summary', 'verdict', 'comments'],
+  additionalProperties: false
+};
+
+/**
+ * Convert a JSON Schema into the OpenAPI subset accepted by Gemini responseSchema
+ * @param {Object} schema - JSON Schema node
+ * @returns {Object} Gemini schema node
+ */
+export const toGeminiSchema = (schema) => {
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  const type = types.find(t => t !== 'null');
+  const converted = { type: type.toUpperCase() };
+
+  if (types.includes('null')) converted.nullable = true;
+  if (schema.description) converted.description = schema.description;
+  if (schema.enum) converted.enum = schema.enum;
+  if (schema.items) converted.items = toGeminiSchema(schema.items);
+  if (schema.properties) {
+    converted.properties = Object.fromEntries(
+      Object.entries(schema.properties).map(([key, value]) => [key, toGeminiSchema(value)])
+    );
+    converted.required = schema.required;
+    converted.propertyOrdering = Object.keys(schema.properties);
+  }
+
+  return converted;
+};
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+/**
+ * Validate a single review comment
+ * @param {Object} comment - Comment from the model output
+ * @param {number} index - Position in the comments array, for error messages
+ * @returns {Object} { errors, comment } with the normalized comment
+ */
+const validateComment = (comment, index) => {
+  const errors = [];
+  const at = `comments[${index}]`;
+
+  if (!comment || typeof comment !== 'object' || Array.isArray(comment)) {
+    return { errors: [`${at} must be an object`], comment: null };
+  }
+
+  // Accept numeric strings, which some models emit despite the schema
+  const line = typeof comment.line === 'string' ? parseInt(comment.line) : comment.line;
+  const endLine = typeof comment.end_line === 'string' ? parseInt(comment.end_line) : comment.end_line;
+  const severity = typeof comment.severity === 'string' ? comment.severity.toLowerCase() : comment.severity;
+  const category = typeof comment.category === 'string' ? comment.category.toLowerCase() : comment.category;
+  // Reviews from before 1.2 have no side and always refer to the new file
+  const side = typeof comment.side === 'string' ? comment.side.toLowerCase() : comment.side ?? 'new';
+
+  if (typeof comment.file !== 'string' || comment.file.trim().length === 0) {
+    errors.push(`${at}.file must be a non-empty string`);
+  }
+  if (!isPositiveInteger(line)) {
+    errors.push(`${at}.line must be a positive integer`);
+  }
+  if (endLine !== null && endLine !== undefined && (!isPositiveInteger(endLine) || endLine < line)) {
+    errors.push(`${at}.end_line must be null or an integer >= line`);
+  }
+  if (!COMMENT_SIDES.includes(side)) {
+    errors.push(`${at}.side must be one of ${COMMENT_SIDES.join(', ')}`);
+  }
+  if (!SEVERITIES.includes(severity)) {
+    errors.push(`${at}.severity must be one of ${SEVERITIES.join(', ')}`);
+  }
+  if (!CATEGORIES.includes(category)) {
+    errors.push(`${at}.category must be one of ${CATEGORIES.join(', ')}`);
+  }
+  if (typeof comment.comment !== 'string' || comment.comment.trim().length === 0) {
+    errors.push(`${at}.comment must be a non-empty string`);
+  }
+  if (comment.suggestion !== null && comment.suggestion !== undefined && typeof comment.suggestion !== 'string') {
+    errors.push(`${at}.suggestion must be a string or null`);
+  }
+  if (comment.replacement !== null && comment.replacement !== undefined && typeof comment.replacement !== 'string') {
+    errors.push(`${at}.replacement must be a string or null`);
+  }
+  if (typeof comment.confidence !== 'number' || comment.confidence < 0 || comment.confidence > 1) {
+    errors.push(`${at}.confidence must be a number between 0 and 1`);
+  }
+
+  return {
+    errors,
+    comment: {
+      ...comment,
+      line,
+      end_line: endLine ?? null,
+      side,
+      severity,
+      category,
+      suggestion: comment.suggestion ?? null,
+      // Removed lines cannot be replaced (added in 1.3)
+      replacement: side === 'old' ? null : comment.replacement ?? null
+    }
+  };
+};
+
+/**
+ * Validate a parsed review against the review schema
+ * @param {*} data - Parsed model output
+ * @returns {Object} { valid, errors, review } - review keeps the summary and every comment that validated
+ */
+export const validateReview = (data) => {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { valid: false, errors: ['Review must be a JSON object'], review: null };
+  }
+
+  const errors = [];
+  if (typeof data.summary !== 'string') {
+    errors.push('summary must be a string');
+  }
+  const verdict = typeof data.verdict === 'string' ? data.verdict.toLowerCase() : data.verdict;
+  if (!VERDICTS.includes(verdict)) {
+    errors.push(`verdict must be one of ${VERDICTS.join(', ')}`);
+  }
+  if (!Array.isArray(data.comments)) {
+    errors.push('comments must be an array');
+  }
+
+  const comments = [];
+  (Array.isArray(data.comments) ? data.comments : []).forEach((item, index) => {
+    const result = validateComment(item, index);
+    if (result.errors.length > 0) {
+      errors.push(...result.errors);
+    } else {
+      comments.push(result.comment);
+    }
+  });
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    review: {
+      ...data,
+      schema_version: REVIEW_SCHEMA_VERSION,
+      summary: typeof data.summary === 'string' ? data.summary : '',
+      verdict: VERDICTS.includes(verdict) ? verdict : null,
+      comments
+    }
+  };
+};
+
+/**
+ * Remove a Markdown code fence around JSON output
+ * Models without native structured output (many self-hosted and OpenAI-compatible ones)
+ * often wrap their answer in a ```json block. Only a fence around the whole output is
+ * removed, so fences inside the JSON strings (e.g. code in a comment) are left alone.
+ * @param {string} output - Raw model output
+ * @returns {string} The fenced content, or the trimmed output when it is not fenced
+ */
+export const stripCodeFence = (output) => {
+  const text = String(output ?? '').trim();
+  const fenced = text.match(/^```(?:json|JSON)?[ \t]*\r?\n([\s\S]*?)\r?\n?[ \t]*```$/);
+  return fenced ? fenced[1].trim() : text;
+};
+
+/**
+ * Parse raw model output and validate it against the review schema
+ * @param {string|Object} output - Raw review result from the LLM provider
+ * @returns {Object} { valid, errors, review }
+ */
+export const parseReviewOutput = (output) => {
+  if (output && typeof output === 'object') {
+    return validateReview(output);
+  }
+
+  try {
+    // Fenced JSON is only a formatting issue, not worth a repair round-trip
+    return validateReview(JSON.parse(stripCodeFence(output)));
+  } catch (error) {
+    return { valid: false, errors: [`Response is not valid JSON: ${error.message}`], review: null };
+  }
+};
@@ -0,0 +1,155 @@
+import { describe, it, expect } from 'vitest';
+import {
+  REVIEW_JSON_SCHEMA,
+  isSeverityAtLeast,
+  getHighestSeverity,
+  toGeminiSchema,
+  validateReview,
+  stripCodeFence,
+  parseReviewOutput
+} from './reviewSchema.js';
+
+const finding = (overrides = {}) => ({
+  file: 'src/app.js',
+  line: 10,
+  end_line: null,
+  side: 'new',
+  severity: 'high',
+  category: 'bug',
+  comment: 'Possible null dereference',
+  suggestion: null,
+  replacement: null,
+  confidence: 0.8,
+  ...overrides
+});
+
+describe('severities', () => {
+  it('compares severities against a threshold', () => {
+    expect(isSeverityAtLeast('high', 'medium')).toBe(true);
+    expect(isSeverityAtLeast('low', 'medium')).toBe(false);
+    expect(isSeverityAtLeast('critical', 'unknown')).toBe(false);
+  });
+
+  it('finds the highest severity and ignores unknown ones', () => {
+    expect(getHighestSeverity([{ severity: 'low' }, { severity: 'bogus' }, { severity: 'high' }])).toBe('high');
+    expect(getHighestSeverity([])).toBeNull();
+  });
+});
+
+describe('validateReview', () => {
+  it('accepts a review that follows the schema', () => {
+    const result = validateReview({ summary: 'Looks fine', verdict: 'comment', comments: [finding()] });
+
+    expect(result.valid).toBe(true);
+    expect(result.errors).toEqual([]);
+    expect(result.review.comments).toEqual([finding()]);
+  });
+
+  it('normalizes case, numeric strings and the fields older reviews lack', () => {
+    const { valid, review } = validateReview({
+      summary: '',
+      verdict: 'APPROVE',
+      comments: [{ file: 'a.js', line: '3', end_line: '5', severity: 'High', category: 'Bug', comment: 'x', confidence: 1 }]
+    });
+
+    expect(valid).toBe(true);
+    expect(review.verdict).toBe('approve');
+    expect(review.comments[0]).toMatchObject({
+      line: 3,
+      end_line: 5,
+      side: 'new',
+      severity: 'high',
+      category: 'bug',
+      suggestion: null,
+      replacement: null
+    });
+  });
+
+  it('drops the replacement of a finding on removed lines', () => {
+    const { review } = validateReview({
+      summary: '',
+      verdict: 'comment',
+      comments: [finding({ side: 'old', replacement: 'const x = 1;' })]
+    });
+
+    expect(review.comments[0].replacement).toBeNull();
+  });
+
+  it('keeps the comments that validate and reports the others', () => {
+    const result = validateReview({
+      summary: 'Summary',
+      verdict: 'maybe',
+      comments: [finding(), finding({ line: 0 }), finding({ end_line: 5 }), finding({ severity: 'urgent', confidence: 2 })]
+    });
+
+    expect(result.valid).toBe(false);
+    expect(result.review.comments).toHaveLength(1);
+    expect(result.review.verdict).toBeNull();
+    expect(result.errors).toEqual([
+      'verdict must be one of approve, comment, request_changes',
+      'comments[1].line must be a positive integer',
+      'comments[2].end_line must be null or an integer >= line',
+      'comments[3].severity must be one of info, low, medium, high, critical',
+      'comments[3].confidence must be a number between 0 and 1'
+    ]);
+  });
+
+  it('rejects output that is not an object', () => {
+    expect(validateReview([]).valid).toBe(false);
+    expect(validateReview('text').errors).toEqual(['Review must be a JSON object']);
+  });
+});
+
+describe('stripCodeFence', () => {
+  it('removes a fence around the whole output', () => {
+    expect(stripCodeFence('```json\n{"a":1}\n```')).toBe('{"a":1}');
+    expect(stripCodeFence('  ```\r\n{"a":1}\r\n```  ')).toBe('{"a":1}');
+  });
+
+  it('leaves fences inside the JSON strings alone', () => {
+    const output = '{"summary":"s","comments":[{"comment":"Use:\\n```js\\nfoo()\\n```"}]}';
+    expect(stripCodeFence(output)).toBe(output);
+  });
+
+  it('does not strip a fence that is surrounded by other text', () => {
+    const output = 'Here is the review:\n```json\n{"a":1}\n```\nThanks';
+    expect(stripCodeFence(output)).toBe(output);
+  });
+
+  it('stops at the last fence of a fenced output', () => {
+    const inner = '{"comment":"```js\\nfoo()\\n```"}';
+    expect(stripCodeFence('```json\n' + inner + '\n```')).toBe(inner);
+  });
+});
+
+describe('parseReviewOutput', () => {
+  const review = { summary: 'S', verdict: 'comment', comments: [finding()] };
+
+  it('parses raw, fenced and already parsed output', () => {
+    expect(parseReviewOutput(JSON.stringify(review)).valid).toBe(true);
+    expect(parseReviewOutput('```json\n' + JSON.stringify(review) + '\n```').valid).toBe(true);
+    expect(parseReviewOutput(review).valid).toBe(true);
+  });
+
+  it('reports output that is not JSON', () => {
+    const result = parseReviewOutput('Sorry, I cannot review this.');
+
+    expect(result.valid).toBe(false);
+    expect(result.review).toBeNull();
+    expect(result.errors[0]).toMatch(/^Response is not valid JSON/);
+  });
+});
+
+describe('toGeminiSchema', () => {
+  it('converts types, nullable values and property order', () => {
+    const schema = toGeminiSchema(REVIEW_JSON_SCHEMA);
+    const item = schema.properties.comments.items;
+
+    expect(schema.type).toBe('OBJECT');
+    expect(schema.propertyOrdering).toEqual(['summary', 'verdict', 'comments']);
+    expect(schema.properties.verdict.enum).toEqual(['approve', 'comment', 'request_changes']);
+    expect(item.properties.end_line).toMatchObject({ type: 'INTEGER', nullable: true });
+    expect(item.properties.line.nullable).toBeUndefined();
+    expect(item.additionalProperties).toBeUndefined();
+  });
+});
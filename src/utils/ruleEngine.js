@@ -0,0 +1,201 @@
+/**
+ * Local rule engine
+ * Deterministic checks that need no LLM, run over the added lines of the diff.
+ * Built-in rules can be switched off by ID; user-defined rules have the same shape
+ * and are stored in IndexedDB. Findings use the review comment structure, tagged
+ * with source 'rule' and the ID of the rule that produced them.
+ */
+
+import { SEVERITIES, CATEGORIES } from './reviewSchema.js';
+import { matchesGlob } from './pathFilters.js';
+
+export const RULE_SOURCE = 'rule';
+
+// Stop a noisy rule from flooding a review
+export const MAX_FINDINGS_PER_RULE = 10;
+
+const SCRIPT_FILES = ['*.js', '*.jsx', '*.mjs', '*.cjs', '*.ts', '*.tsx', '*.vue', '*.svelte'];
+const TEST_FILES = ['*.test.*', '*.spec.*', '__tests__/', 'test/', 'tests/', 'e2e/'];
+
+// Rules are plain objects so built-in and stored rules share one shape:
+// { id, name, pattern, flags, severity, category, message, suggestion, include, exclude }
+export const BUILT_IN_RULES = [
+  {
+    id: 'no-console-log',
+    name: 'console.log left in',
+    pattern: '\\bconsole\\.(?:log|debug|trace|dir)\\s*\\(',
+    flags: '',
+    severity: 'low',
+    category: 'maintainability',
+    message: 'Debug logging left in the code.',
+    suggestion: 'Remove the call or use the project\'s logger.',
+    include: SCRIPT_FILES,
+    exclude: TEST_FILES
+  },
+  {
+    id: 'todo-without-ticket',
+    name: 'TODO without ticket',
+    pattern: '\\b(?:TODO|FIXME)\\b(?!.*(?:\\b[A-Z][A-Z0-9]+-\\d+\\b|#\\d+|https?://))',
+    flags: '',
+    severity: 'info',
+    category: 'documentation',
+    message: 'TODO without a ticket reference, so it is likely to be forgotten.',
+    suggestion: 'Link an issue (e.g. "TODO(PROJ-123): ...") or resolve it before merging.',
+    include: [],
+    exclude: []
+  },
+  {
+    id: 'no-debugger',
+    name: 'debugger statement',
+    pattern: '(?:^|[;{}])\\s*debugger\\s*(?:;|$)',
+    flags: '',
+    severity: 'medium',
+    category: 'bug',
+    message: 'debugger statement left in the code; it pauses execution whenever developer tools are open.',
+    suggestion: 'Remove the debugger statement.',
+    include: SCRIPT_FILES,
+    exclude: []
+  },
+  {
+    id: 'no-disabled-tests',
+    name: 'Skipped or focused test',
+    pattern: '\\b(?:(?:it|test|describe|context|suite)\\.(?:skip|only)|x(?:it|test|describe)|f(?:it|describe))\\s*\\(|@(?:Disabled|Ignore)\\b|@pytest\\.mark\\.skip|@unittest\\.skip|\\bt\\.Skip\\(',
+    flags: '',
+    severity: 'medium',
+    category: 'testing',
+    message: 'Test is skipped or focused, so part of the test suite no longer runs.',
+    suggestion: 'Fix or remove the test instead of disabling it, and drop .only before merging.',
+    include: [],
+    exclude: []
+  },
+  {
+    id: 'no-localhost-url',
+    name: 'Hard-coded localhost URL',
+    pattern: '\\bhttps?://(?:localhost|127\\.0\\.0\\.1|0\\.0\\.0\\.0|\\[::1\\])(?::\\d+)?',
+    flags: 'i',
+    severity: 'low',
+    category: 'maintainability',
+    message: 'Hard-coded localhost URL; this will not work outside a developer machine.',
+    suggestion: 'Read the URL from configuration or an environment variable.',
+    include: [],
+    exclude: [...TEST_FILES, '*.md', '*.example', '.env*', 'docker-compose*.yml']
+  }
+];
+
+// Rules are matched line by line with test(); the global and sticky flags would make it
+// stateful (lastIndex carries over between lines), so they are dropped
+const compileRule = (rule) => new RegExp(rule.pattern, (rule.flags || '').replace(/[gy]/g, ''));
+
+/**
+ * Validate a rule before it is saved
+ * @param {Object} rule - Rule fields
+ * @returns {Array<string>} Errors; empty when the rule is valid
+ */
+export const validateRule = (rule) => {
+  const errors = [];
+  if (!rule.name?.trim()) {
+    errors.push('Name is required');
+  }
+  if (!rule.pattern) {
+    errors.push('Pattern is required');
+  } else {
+    try {
+      compileRule(rule);
+    } catch (error) {
+      errors.push(`Invalid pattern: ${error.message}`);
+    }
+  }
+  if (!SEVERITIES.includes(rule.severity)) {
+    errors.push(`Severity must be one of ${SEVERITIES.join(', ')}`);
+  }
+  if (!CATEGORIES.includes(rule.category)) {
+    errors.push(`Category must be one of ${CATEGORIES.join(', ')}`);
+  }
+  if (!rule.message?.trim()) {
+    errors.push('Message is required');
+  }
+  return errors;
+};
+
+/**
+ * Create a user-defined rule with defaults for the missing fields
+ * @param {Object} fields - Rule fields
+ * @returns {Object} Rule with a new ID
+ */
+export const createRule = (fields) => ({
+  id: `custom-${Date.now().toString(36)}${Math.random().toString(36).substring(2, 6)}`,
+  flags: '',
+  severity: 'low',
+  category: 'other',
+  suggestion: null,
+  include: [],
+  exclude: [],
+  enabled: true,
+  ...fields
+});
+
+/**
+ * Get the rules a review runs
+ * @param {Array} userRules - Stored user-defined rules
+ * @param {Array<string>} disabledRules - IDs of switched-off built-in rules
+ * @returns {Array} Enabled built-in rules followed by enabled user rules
+ */
+export const getActiveRules = (userRules = [], disabledRules = []) => [
+  ...BUILT_IN_RULES.filter(rule => !disabledRules.includes(rule.id)),
+  ...userRules.filter(rule => rule.enabled !== false)
+];
+
+const appliesToFile = (rule, path) =>
+  (!rule.include?.length || rule.include.some(glob => matchesGlob(path, glob))) &&
+  !(rule.exclude || []).some(glob => matchesGlob(path, glob));
+
+/**
+ * Run rules over the added lines of parsed changes
+ * Invalid rules are skipped with a warning.
+ * @param {Array} changes - List of changes from parseDiff
+ * @param {Array} rules - Rules from getActiveRules
+ * @returns {Array} Review comments tagged with source 'rule' and the rule ID
+ */
+export const runRules = (changes, rules) => {
+  const compiled = rules.flatMap(rule => {
+    try {
+      return [{ rule, regex: compileRule(rule) }];
+    } catch (error) {
+      console.warn(`Skipping rule ${rule.id}: ${error.message}`);
+      return [];
+    }
+  });
+
+  const findings = [];
+  const counts = new Map();
+  changes.filter(change => !change.isDeleted && !change.isBinary).forEach(change => {
+    const rulesForFile = compiled.filter(({ rule }) => appliesToFile(rule, change.filePath));
+    if (rulesForFile.length === 0) return;
+
+    change.hunks.forEach(hunk => {
+      hunk.lines.filter(line => line.lineType === 'added').forEach(line => {
+        rulesForFile.forEach(({ rule, regex }) => {
+          const count = counts.get(rule.id) || 0;
+          if (count >= MAX_FINDINGS_PER_RULE || !regex.test(line.content)) return;
+          counts.set(rule.id, count + 1);
+          findings.push({
+            file: change.filePath,
+            line: line.newLineNumber,
+            end_line: null,
+            side: 'new',
+            severity: rule.severity,
+            category: rule.category,
+            comment: rule.message,
+            suggestion: rule.suggestion || null,
+            replacement: null,
+            confidence: 1,
+            source: RULE_SOURCE,
+            rule: rule.id
+          });
+        });
+      });
+    });
+  });
+
+  return findings;
+};
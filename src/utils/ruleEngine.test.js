@@ -0,0 +1,133 @@
+import { describe, it, expect, vi } from 'vitest';
+import { parseDiff } from './diffParser.js';
+import { BUILT_IN_RULES, MAX_FINDINGS_PER_RULE, validateRule, createRule, getActiveRules, runRules } from './ruleEngine.js';
+
+// A parsed change that adds the given lines to path
+const addedChange = (path, lines) => parseDiff([
+  `diff --git a/${path} b/${path}`,
+  'new file mode 100644',
+  '--- /dev/null',
+  `+++ b/${path}`,
+  `@@ -0,0 +1,${lines.length} @@`,
+  ...lines.map(line => `+${line}`)
+].join('\n'))[0];
+
+const builtIn = (id) => BUILT_IN_RULES.filter(rule => rule.id === id);
+const ruleHits = (id, path, lines) => runRules([addedChange(path, lines)], builtIn(id)).map(finding => finding.line);
+
+describe('built-in rules', () => {
+  it('flag console.log in scripts but not in tests or other files', () => {
+    expect(ruleHits('no-console-log', 'src/app.js', ['console.log(x);', 'logger.log(x);', 'console.error(x);'])).toEqual([1]);
+    expect(ruleHits('no-console-log', 'src/app.test.js', ['console.log(x);'])).toEqual([]);
+    expect(ruleHits('no-console-log', 'README.md', ['console.log(x);'])).toEqual([]);
+  });
+
+  it('flag TODOs without a ticket reference', () => {
+    expect(ruleHits('todo-without-ticket', 'a.py', [
+      '# TODO: clean up',
+      '# TODO(PROJ-123): clean up',
+      '# FIXME see #42',
+      '# TODO https://example.com/issue'
+    ])).toEqual([1]);
+  });
+
+  it('flag debugger statements but not identifiers containing the word', () => {
+    expect(ruleHits('no-debugger', 'src/app.js', ['debugger;', 'if (x) { debugger; }', 'const debuggerEnabled = true;'])).toEqual([1, 2]);
+  });
+
+  it('flag skipped and focused tests', () => {
+    expect(ruleHits('no-disabled-tests', 'src/a.spec.ts', ['it.only(\'works\', () => {})', 'xit(\'later\')', 'it(\'runs\', () => {})'])).toEqual([1, 2]);
+    expect(ruleHits('no-disabled-tests', 'test_a.py', ['@pytest.mark.skip(reason="flaky")'])).toEqual([1]);
+  });
+
+  it('flag localhost URLs outside tests, docs and env files', () => {
+    expect(ruleHits('no-localhost-url', 'src/api.js', ['const base = "http://localhost:3000";'])).toEqual([1]);
+    expect(ruleHits('no-localhost-url', 'docs/setup.md', ['Open http://localhost:3000'])).toEqual([]);
+    expect(ruleHits('no-localhost-url', '.env.local', ['API=http://127.0.0.1:8080'])).toEqual([]);
+  });
+});
+
+describe('runRules', () => {
+  it('builds findings tagged with the rule', () => {
+    expect(runRules([addedChange('src/app.js', ['a();', 'debugger;'])], builtIn('no-debugger'))).toEqual([{
+      file: 'src/app.js',
+      line: 2,
+      end_line: null,
+      side: 'new',
+      severity: 'medium',
+      category: 'bug',
+      comment: builtIn('no-debugger')[0].message,
+      suggestion: 'Remove the debugger statement.',
+      replacement: null,
+      confidence: 1,
+      source: 'rule',
+      rule: 'no-debugger'
+    }]);
+  });
+
+  it('checks only added lines of files that still exist', () => {
+    const [modified] = parseDiff([
+      'diff --git a/src/app.js b/src/app.js',
+      '--- a/src/app.js',
+      '+++ b/src/app.js',
+      '@@ -1,2 +1,2 @@',
+      ' debugger;',
+      '-debugger;',
+      '+run();'
+    ].join('\n'));
+    const deleted = { ...addedChange('src/old.js', ['debugger;']), isDeleted: true };
+
+    expect(runRules([modified, deleted], builtIn('no-debugger'))).toEqual([]);
+  });
+
+  it('matches every line with a global or sticky pattern', () => {
+    const rule = createRule({ name: 'No eval', pattern: 'eval\\(', flags: 'gy', message: 'Avoid eval.' });
+    const lines = ['eval(a);', 'eval(b);', 'eval(c);'];
+
+    expect(runRules([addedChange('src/a.js', lines)], [rule]).map(finding => finding.line)).toEqual([1, 2, 3]);
+    expect(runRules([addedChange('src/a.js', lines)], [{ ...rule, flags: 'g' }]).map(finding => finding.line)).toEqual([1, 2, 3]);
+  });
+
+  it('caps the findings of a rule', () => {
+    const lines = Array.from({ length: MAX_FINDINGS_PER_RULE + 5 }, () => 'debugger;');
+    expect(runRules([addedChange('src/a.js', lines)], builtIn('no-debugger'))).toHaveLength(MAX_FINDINGS_PER_RULE);
+  });
+
+  it('skips rules whose pattern does not compile', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const broken = createRule({ id: 'broken', name: 'Broken', pattern: '(', message: 'x' });
+
+    expect(runRules([addedChange('src/a.js', ['debugger;'])], [broken, ...builtIn('no-debugger')])).toHaveLength(1);
+    expect(warn).toHaveBeenCalledWith(expect.stringMatching(/^Skipping rule broken: /));
+    warn.mockRestore();
+  });
+});
+
+describe('validateRule', () => {
+  it('accepts a complete rule', () => {
+    expect(validateRule(createRule({ name: 'No eval', pattern: 'eval\\(', message: 'Avoid eval.' }))).toEqual([]);
+  });
+
+  it('reports every missing or invalid field', () => {
+    expect(validateRule({ name: ' ', pattern: '[', severity: 'urgent', category: 'misc', message: '' })).toEqual([
+      'Name is required',
+      expect.stringMatching(/^Invalid pattern: /),
+      'Severity must be one of info, low, medium, high, critical',
+      'Category must be one of bug, security, performance, maintainability, readability, error-handling, testing, documentation, style, other',
+      'Message is required'
+    ]);
+  });
+});
+
+describe('getActiveRules', () => {
+  it('leaves out disabled built-in rules and user rules', () => {
+    const custom = createRule({ name: 'Custom', pattern: 'x', message: 'x' });
+    const off = createRule({ name: 'Off', pattern: 'y', message: 'y', enabled: false });
+    const ids = getActiveRules([custom, off], ['no-debugger']).map(rule => rule.id);
+
+    expect(ids).not.toContain('no-debugger');
+    expect(ids).toContain('no-console-log');
+    expect(ids).toContain(custom.id);
+    expect(ids).not.toContain(off.id);
+  });
+});
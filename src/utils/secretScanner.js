@@ -0,0 +1,239 @@
+/**
+ * Secret scanner
+ * Finds credentials in diff lines before any code is sent to the LLM: known token
+ * formats (AWS keys, private keys, JWTs, connection strings, Bitbucket app passwords,
+ * common API tokens) plus entropy checks for secret-looking assignments and strings.
+ * Matches are replaced with a [REDACTED:<type>] marker so line numbers stay intact,
+ * and secrets on added lines become high-severity findings.
+ */
+
+export const SECRET_FINDING_SOURCE = 'secret-scan';
+
+// Known credential formats; group is the capture group holding the secret itself
+export const SECRET_PATTERNS = [
+  { type: 'aws-access-key', label: 'AWS access key ID', pattern: /\b(?:AKIA|ASIA|AGPA|AIDA|AROA)[0-9A-Z]{16}\b/g },
+  {
+    type: 'aws-secret-key',
+    label: 'AWS secret access key',
+    pattern: /aws.{0,20}?(?:secret|private).{0,20}?[\s'"=:]([A-Za-z0-9/+]{40})(?![A-Za-z0-9/+])/gi,
+    group: 1
+  },
+  { type: 'private-key', label: 'private key', pattern: /-----BEGIN (?:[A-Z0-9]+ )*PRIVATE KEY(?: BLOCK)?-----/g },
+  { type: 'jwt', label: 'JSON Web Token', pattern: /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g },
+  {
+    type: 'connection-string',
+    label: 'connection string password',
+    pattern: /\b(?:postgres(?:ql)?|mysql|mariadb|mongodb(?:\+srv)?|rediss?|amqps?|mssql|sqlserver):\/\/[^\s:@/'"]+:([^\s@/'"]+)@/gi,
+    group: 1
+  },
+  { type: 'bitbucket-app-password', label: 'Bitbucket app password', pattern: /\bATBB[A-Za-z0-9_=.-]{24,}/g },
+  {
+    type: 'bitbucket-app-password',
+    label: 'Bitbucket app password',
+    pattern: /bitbucket[\w.-]*pass(?:word)?\w*['"]?\s*[:=]\s*['"]?([A-Za-z0-9]{20})(?![A-Za-z0-9])/gi,
+    group: 1
+  },
+  {
+    type: 'api-token',
+    label: 'API token',
+    pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|xox[abprs]-[A-Za-z0-9-]{10,}|sk-[A-Za-z0-9_-]{20,}|AIza[0-9A-Za-z_-]{35})/g
+  }
+];
+
+// Values assigned to secret-like names are flagged when they look random enough
+const SECRET_ASSIGNMENT_PATTERN = /(?:pass(?:word|wd)?|pwd|secret|token|api[_-]?key|access[_-]?key|private[_-]?key|client[_-]?secret|credentials?)\w*['"]?\s*[:=]\s*['"]([^'"\s]{8,})['"]/gi;
+const HIGH_ENTROPY_STRING_PATTERN = /['"]([A-Za-z0-9+/=_-]{32,})['"]/g;
+const PLACEHOLDER_PATTERN = /^(?:x+|\*+|\.+)$|\$\{|\{\{|<[^>]*>|process\.env|changeme|example|placeholder|your[_-]|dummy|redacted/i;
+const ASSIGNMENT_MIN_ENTROPY = 3;
+const STRING_MIN_ENTROPY = 4.3;
+
+const PRIVATE_KEY_END = /-----END (?:[A-Z0-9]+ )*PRIVATE KEY(?: BLOCK)?-----/;
+
+/**
+ * Shannon entropy of a string, in bits per character
+ * @param {string} text - Text to measure
+ * @returns {number} Entropy
+ */
+export const shannonEntropy = (text) => {
+  if (!text) return 0;
+  const counts = new Map();
+  for (const char of text) {
+    counts.set(char, (counts.get(char) || 0) + 1);
+  }
+  let entropy = 0;
+  counts.forEach(count => {
+    const probability = count / text.length;
+    entropy -= probability * Math.log2(probability);
+  });
+  return entropy;
+};
+
+/**
+ * Find the secrets in one line
+ * @param {string} line - Line of code
+ * @returns {Array} Matches { type, label, start, end } covering the secret value, without overlaps
+ */
+export const findSecrets = (line) => {
+  const matches = [];
+  const addMatch = (match, group, type, label) => {
+    const value = match[group];
+    // Captured secrets come last in their pattern
+    const start = match.index + match[0].lastIndexOf(value);
+    matches.push({ type, label, start, end: start + value.length });
+  };
+
+  SECRET_PATTERNS.forEach(({ type, label, pattern, group = 0 }) => {
+    for (const match of line.matchAll(pattern)) {
+      addMatch(match, group, type, label);
+    }
+  });
+
+  for (const match of line.matchAll(SECRET_ASSIGNMENT_PATTERN)) {
+    const value = match[1];
+    if (!PLACEHOLDER_PATTERN.test(value) && shannonEntropy(value) >= ASSIGNMENT_MIN_ENTROPY) {
+      addMatch(match, 1, 'hardcoded-secret', 'hard-coded password or secret');
+    }
+  }
+
+  for (const match of line.matchAll(HIGH_ENTROPY_STRING_PATTERN)) {
+    const value = match[1];
+    if (/[0-9]/.test(value) && /[A-Za-z]/.test(value) && shannonEntropy(value) >= STRING_MIN_ENTROPY) {
+      addMatch(match, 1, 'high-entropy-string', 'high-entropy string that looks like a secret');
+    }
+  }
+
+  // Keep the earliest (then longest) match where matches overlap; known formats come first
+  const sorted = matches.sort((a, b) => a.start - b.start || b.end - a.end);
+  return sorted.filter((match, index) => !sorted.slice(0, index).some(other => match.start < other.end && other.start < match.end));
+};
+
+/**
+ * Replace the secrets in one line with redaction markers
+ * @param {string} line - Line of code
+ * @returns {Object} { text, matches }
+ */
+export const redactLine = (line) => {
+  const matches = findSecrets(line);
+  let text = line;
+  [...matches].reverse().forEach(match => {
+    text = `${text.substring(0, match.start)}[REDACTED:${match.type}]${text.substring(match.end)}`;
+  });
+  return { text, matches };
+};
+
+/**
+ * Redact the lines of a private key block after its BEGIN line
+ * @param {Object} state - { inPrivateKey } carried from line to line
+ * @param {string} line - Line of code
+ * @returns {Object|null} { text, matches } when the line is part of a key body or its END line
+ */
+const redactPrivateKeyBody = (state, line) => {
+  if (!state.inPrivateKey) return null;
+  if (PRIVATE_KEY_END.test(line)) {
+    state.inPrivateKey = false;
+    return { text: line, matches: [] };
+  }
+  return { text: line.replace(/[A-Za-z0-9+/=]{16,}/g, '[REDACTED:private-key]'), matches: [] };
+};
+
+const redactWithState = (state, line) => {
+  const body = redactPrivateKeyBody(state, line);
+  if (body) return body;
+  const result = redactLine(line);
+  if (result.matches.some(match => match.type === 'private-key') && !PRIVATE_KEY_END.test(line)) {
+    state.inPrivateKey = true;
+  }
+  return result;
+};
+
+/**
+ * Redact the secrets in a block of text, e.g. the content of a file
+ * @param {string} text - Text to redact
+ * @returns {Object} { text, count } - count is the number of secrets found
+ */
+export const redactText = (text) => {
+  const state = { inPrivateKey: false };
+  let count = 0;
+  const lines = text.split('\n').map(line => {
+    const result = redactWithState(state, line);
+    count += result.matches.length;
+    return result.text;
+  });
+  return { text: lines.join('\n'), count };
+};
+
+/**
+ * Redact the secrets in parsed diff changes
+ * Every line is redacted since context and removed lines are sent to the LLM too;
+ * only secrets on added lines are reported.
+ * @param {Array} changes - List of changes from parseDiff
+ * @returns {Object} { changes: redacted copies, secrets: [{ file, line, type, label }], redactedLines }
+ */
+export const redactChanges = (changes) => {
+  const secrets = [];
+  let redactedLines = 0;
+  const redacted = changes.map(change => {
+    if (change.isBinary) return change;
+    const state = { inPrivateKey: false };
+    let changed = false;
+
+    const hunks = (change.hunks || []).map(hunk => ({
+      ...hunk,
+      lines: hunk.lines.map(line => {
+        const result = redactWithState(state, line.content);
+        if (result.text === line.content) return line;
+        changed = true;
+        redactedLines++;
+        if (line.lineType === 'added') {
+          result.matches.forEach(match => secrets.push({
+            file: change.filePath,
+            line: line.newLineNumber,
+            type: match.type,
+            label: match.label
+          }));
+        }
+        return { ...line, content: result.text };
+      })
+    }));
+
+    return changed ? { ...change, hunks } : change;
+  });
+
+  return { changes: redacted, secrets, redactedLines };
+};
+
+/**
+ * Turn detected secrets into review findings, one per line
+ * The findings never contain the secret itself.
+ * @param {Array} secrets - Secrets from redactChanges
+ * @returns {Array} Review comments tagged with source 'secret-scan'
+ */
+export const buildSecretFindings = (secrets = []) => {
+  const byLine = new Map();
+  secrets.forEach(secret => {
+    const key = `${secret.file}:${secret.line}`;
+    const labels = byLine.get(key)?.labels || [];
+    if (!labels.includes(secret.label)) labels.push(secret.label);
+    byLine.set(key, {
+      file: secret.file,
+      line: secret.line,
+      labels,
+      // Entropy checks are guesses; known formats are near-certain
+      guessed: (byLine.get(key)?.guessed ?? true) && ['hardcoded-secret', 'high-entropy-string'].includes(secret.type)
+    });
+  });
+
+  return [...byLine.values()].map(entry => ({
+    file: entry.file,
+    line: entry.line,
+    end_line: null,
+    side: 'new',
+    severity: 'high',
+    category: 'security',
+    comment: `Possible ${entry.labels.join(' and ')} committed on this line. It was redacted before the code was sent to the AI reviewer. Remove it, purge it from the Git history and rotate the credential.`,
+    suggestion: 'Load the value from an environment variable or a secrets manager instead of the source code.',
+    replacement: null,
+    confidence: entry.guessed ? 0.6 : 0.95,
+    source: SECRET_FINDING_SOURCE
+  }));
+};
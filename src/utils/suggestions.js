@@ -0,0 +1,155 @@
+/**
+ * Suggested changes
+ * A finding's replacement snippet replaces lines line..end_line of the new file.
+ * The review engine attaches the diff lines being replaced (the suggestion base),
+ * so suggestions can be shown as before/after diffs and exported as a patch.
+ */
+
+export const SUGGESTION_CONTEXT_LINES = 3;
+
+const splitLines = (text) => (text === '' ? [] : text.replace(/\n$/, '').split('\n'));
+
+/**
+ * Collect the lines a suggestion replaces from the parsed diff
+ * @param {Object} fileChange - Parsed file from parseDiff
+ * @param {Object} comment - Review comment aligned to the diff
+ * @param {number} contextLines - Unchanged lines to keep around the replaced lines
+ * @returns {Object|null} { startLine, lines, before, after }, or null when the comment has no
+ *   replacement, refers to removed lines, or its lines are not all part of the diff
+ */
+export const getSuggestionBase = (fileChange, comment, contextLines = SUGGESTION_CONTEXT_LINES) => {
+  if (typeof comment.replacement !== 'string' || comment.side === 'old' || !fileChange) {
+    return null;
+  }
+
+  const newLines = new Map();
+  fileChange.hunks.forEach(hunk => {
+    hunk.lines.forEach(line => {
+      if (line.newLineNumber !== null && line.newLineNumber !== undefined) {
+        newLines.set(line.newLineNumber, line.content);
+      }
+    });
+  });
+
+  const startLine = comment.line;
+  const endLine = comment.end_line || comment.line;
+  const lines = [];
+  for (let number = startLine; number <= endLine; number++) {
+    if (!newLines.has(number)) {
+      return null;
+    }
+    lines.push(newLines.get(number));
+  }
+
+  const before = [];
+  for (let number = startLine - 1; number >= startLine - contextLines && newLines.has(number); number--) {
+    before.unshift(newLines.get(number));
+  }
+  const after = [];
+  for (let number = endLine + 1; number <= endLine + contextLines && newLines.has(number); number++) {
+    after.push(newLines.get(number));
+  }
+
+  return { startLine, lines, before, after };
+};
+
+/**
+ * Check whether a comment carries a suggestion that can be applied
+ * @param {Object} comment - Review comment
+ * @returns {boolean}
+ */
+export const hasApplicableSuggestion = (comment) =>
+  typeof comment.replacement === 'string' && !!comment.suggestionBase;
+
+/**
+ * Build the before/after rows of a suggestion for display
+ * @param {Object} comment - Review comment with replacement and suggestionBase
+ * @returns {Array} Rows { type: 'context' | 'removed' | 'added', lineNumber, content }
+ */
+export const getSuggestionDiffRows = (comment) => {
+  const base = comment.suggestionBase;
+  const firstLine = base.startLine - base.before.length;
+  const replacement = splitLines(comment.replacement);
+
+  return [
+    ...base.before.map((content, index) => ({ type: 'context', lineNumber: firstLine + index, content })),
+    ...base.lines.map((content, index) => ({ type: 'removed', lineNumber: base.startLine + index, content })),
+    ...replacement.map(content => ({ type: 'added', lineNumber: null, content })),
+    ...base.after.map((content, index) => ({
+      type: 'context',
+      lineNumber: base.startLine + base.lines.length + index,
+      content
+    }))
+  ];
+};
+
+/**
+ * Build a unified diff that applies the given suggestions to the PR's source branch
+ * Suggestions overlapping an earlier one in the same file are left out.
+ * @param {Array} comments - Review comments; those without an applicable suggestion are ignored
+ * @returns {Object} { patch, included, skipped } - patch is '' when nothing can be applied
+ */
+export const buildSuggestionsPatch = (comments = []) => {
+  const byFile = new Map();
+  comments.filter(hasApplicableSuggestion).forEach(comment => {
+    if (!byFile.has(comment.file)) {
+      byFile.set(comment.file, []);
+    }
+    byFile.get(comment.file).push(comment);
+  });
+
+  const fileDiffs = [];
+  let included = 0;
+  let skipped = 0;
+
+  for (const [file, fileComments] of byFile) {
+    const sorted = [...fileComments].sort((a, b) => a.suggestionBase.startLine - b.suggestionBase.startLine);
+    const kept = [];
+    sorted.forEach(comment => {
+      const previous = kept[kept.length - 1]?.suggestionBase;
+      if (previous && comment.suggestionBase.startLine < previous.startLine + previous.lines.length) {
+        skipped++;
+      } else {
+        kept.push(comment);
+      }
+    });
+
+    const hunks = [];
+    let lastOldLine = 0;
+    let offset = 0;
+    kept.forEach((comment, index) => {
+      const base = comment.suggestionBase;
+      const endLine = base.startLine + base.lines.length - 1;
+      const nextStart = kept[index + 1]?.suggestionBase.startLine ?? Infinity;
+      // Trim context so consecutive hunks never overlap
+      const before = base.before.slice(Math.max(0, base.before.length - (base.startLine - 1 - lastOldLine)));
+      const after = base.after.slice(0, Math.max(0, nextStart - 1 - endLine));
+      const replacement = splitLines(comment.replacement);
+
+      const oldStart = base.startLine - before.length;
+      const oldLength = before.length + base.lines.length + after.length;
+      const newLength = before.length + replacement.length + after.length;
+      const newStart = oldStart + offset - (newLength === 0 ? 1 : 0);
+
+      hunks.push([
+        `@@ -${oldStart},${oldLength} +${newStart},${newLength} @@`,
+        ...before.map(line => ` ${line}`),
+        ...base.lines.map(line => `-${line}`),
+        ...replacement.map(line => `+${line}`),
+        ...after.map(line => ` ${line}`)
+      ].join('\n'));
+
+      lastOldLine = endLine + after.length;
+      offset += replacement.length - base.lines.length;
+      included++;
+    });
+
+    fileDiffs.push([`diff --git a/${file} b/${file}`, `--- a/${file}`, `+++ b/${file}`, ...hunks].join('\n'));
+  }
+
+  return {
+    patch: fileDiffs.length > 0 ? `${fileDiffs.join('\n')}\n` : '',
+    included,
+    skipped
+  };
+};
@@ -0,0 +1,107 @@
+import { describe, it, expect } from 'vitest';
+import { parseDiff } from './diffParser.js';
+import { getSuggestionBase, hasApplicableSuggestion, getSuggestionDiffRows, buildSuggestionsPatch } from './suggestions.js';
+
+// src/app.js is a new file with the lines line1..line10
+const [appFile] = parseDiff(`diff --git a/src/app.js b/src/app.js
+new file mode 100644
+--- /dev/null
++++ b/src/app.js
+@@ -0,0 +1,10 @@
+${Array.from({ length: 10 }, (_, i) => `+line${i + 1}`).join('\n')}`);
+
+const suggestion = (line, endLine, replacement, file = 'src/app.js') => {
+  const comment = { file, line, end_line: endLine, side: 'new', replacement };
+  return { ...comment, suggestionBase: getSuggestionBase(appFile, comment) };
+};
+
+describe('getSuggestionBase', () => {
+  it('collects the replaced lines with up to three lines of context', () => {
+    expect(getSuggestionBase(appFile, { line: 2, end_line: 3, side: 'new', replacement: 'x' })).toEqual({
+      startLine: 2,
+      lines: ['line2', 'line3'],
+      before: ['line1'],
+      after: ['line4', 'line5', 'line6']
+    });
+  });
+
+  it('returns null without a replacement, for removed lines or lines outside the diff', () => {
+    expect(getSuggestionBase(appFile, { line: 2, side: 'new', replacement: null })).toBeNull();
+    expect(getSuggestionBase(appFile, { line: 2, side: 'old', replacement: 'x' })).toBeNull();
+    expect(getSuggestionBase(appFile, { line: 9, end_line: 11, side: 'new', replacement: 'x' })).toBeNull();
+    expect(getSuggestionBase(undefined, { line: 2, side: 'new', replacement: 'x' })).toBeNull();
+  });
+});
+
+describe('getSuggestionDiffRows', () => {
+  it('shows the replaced lines as removed and the replacement as added', () => {
+    const comment = suggestion(10, null, 'last\n');
+
+    expect(hasApplicableSuggestion(comment)).toBe(true);
+    expect(getSuggestionDiffRows(comment)).toEqual([
+      { type: 'context', lineNumber: 7, content: 'line7' },
+      { type: 'context', lineNumber: 8, content: 'line8' },
+      { type: 'context', lineNumber: 9, content: 'line9' },
+      { type: 'removed', lineNumber: 10, content: 'line10' },
+      { type: 'added', lineNumber: null, content: 'last' }
+    ]);
+  });
+});
+
+describe('buildSuggestionsPatch', () => {
+  it('builds non-overlapping hunks with line numbers shifted by earlier suggestions', () => {
+    const result = buildSuggestionsPatch([
+      suggestion(9, null, ''),
+      suggestion(2, 3, 'new2'),
+      suggestion(6, null, 'a\nb')
+    ]);
+
+    expect(result).toEqual({
+      patch: [
+        'diff --git a/src/app.js b/src/app.js',
+        '--- a/src/app.js',
+        '+++ b/src/app.js',
+        '@@ -1,5 +1,4 @@',
+        ' line1',
+        '-line2',
+        '-line3',
+        '+new2',
+        ' line4',
+        ' line5',
+        '@@ -6,3 +5,4 @@',
+        '-line6',
+        '+a',
+        '+b',
+        ' line7',
+        ' line8',
+        '@@ -9,2 +9,1 @@',
+        '-line9',
+        ' line10',
+        ''
+      ].join('\n'),
+      included: 3,
+      skipped: 0
+    });
+  });
+
+  it('leaves out suggestions that overlap an earlier one', () => {
+    const result = buildSuggestionsPatch([suggestion(2, 4, 'x'), suggestion(4, null, 'y'), suggestion(5, null, 'z')]);
+
+    expect(result.included).toBe(2);
+    expect(result.skipped).toBe(1);
+    expect(result.patch).not.toContain('+y');
+  });
+
+  it('uses the start line before the hunk when a whole file is removed', () => {
+    const comment = { file: 'src/app.js', line: 1, end_line: 10, side: 'new', replacement: '' };
+    const { patch } = buildSuggestionsPatch([{ ...comment, suggestionBase: getSuggestionBase(appFile, comment) }]);
+
+    expect(patch).toContain('@@ -1,10 +0,0 @@');
+  });
+
+  it('ignores comments without an applicable suggestion', () => {
+    expect(buildSuggestionsPatch([{ file: 'a.js', line: 1, replacement: 'x' }, { file: 'a.js', line: 2 }]))
+      .toEqual({ patch: '', included: 0, skipped: 0 });
+    expect(buildSuggestionsPatch()).toEqual({ patch: '', included: 0, skipped: 0 });
+  });
+});